@@ -0,0 +1,12 @@
+/*
+  File: api/v1/v1.11tydata.cjs
+  Description: Directory data for the static JSON API. API files are plain JSON,
+               so they get no layout and stay out of every collection.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+module.exports = {
+  layout: null,
+  eleventyExcludeFromCollections: true
+};
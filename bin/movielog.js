@@ -0,0 +1,548 @@
+#!/usr/bin/env node
+/*
+  File: bin/movielog.js
+  Description: Command line tool for local movies (movies/*.md): add, import, edit,
+               remove and list, writing front matter that passes the catalog check
+  Author: Sai Trivedi
+  Date: 2026-10-19
+
+  Usage (npm run movielog -- <command>, or `movielog <command>` after `npm link`):
+    movielog add                                 Ask for every field
+    movielog add --title="Heat" --year=1995 --rating=4.5 --genre="Crime, Drama" --poster=~/heat.jpg
+    movielog import ratings.csv                  Letterboxd, IMDb or plain CSV export (detected from the header)
+    movielog edit heat --rating=5                Change fields (no field flags: ask for every field)
+    movielog remove heat                         Delete movies/heat.md and its poster
+    movielog list [--json]                       Every local movie
+
+  Field flags: --title --year --director --rating (0-5) --genre --imdb-id --poster (file or URL)
+               --excerpt --body
+  Other flags: --omdb            Prefill missing fields from OMDB (_data/omdbData.json, then the OMDB API)
+               --omdb-file=file  Prefill from a saved response of the OMDB function (/.netlify/functions/movie?imdbId=...)
+               --dry-run         Show what would be written (add, import, edit)
+               --update          import: update movies that already exist instead of skipping them
+               --format=name     import: letterboxd, imdb or csv instead of detecting it
+               --keep-poster     remove: keep the poster file
+               --yes             remove: don't ask for confirmation
+
+  Posters are copied (or downloaded) to images/<slug>.<ext>. Movies without a poster
+  get the placeholder poster, so the catalog check still passes. New files are dated
+  today (`date:`).
+*/
+
+import fs from "fs";
+import path from "path";
+import readline from "readline/promises";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import matter from "gray-matter";
+import {
+  MOVIE_FIELDS,
+  detectImportFormat,
+  fromImportRow,
+  fromOmdbData,
+  parseCsv,
+  renderMovieFile,
+  toFrontMatter,
+  uniqueSlug,
+  validateFrontMatter,
+  withDefaults
+} from "../lib/authoring.cjs";
+import { loadConfig, redact, validateConfig } from "../lib/config.cjs";
+import { PLACEHOLDER_POSTER, fromMarkdown } from "../lib/movie-model.cjs";
+import { isSameMovie } from "../lib/movie-merge.cjs";
+import { lookupMovie } from "../lib/omdb-client.cjs";
+import { OMDB_DATA_FILE, enrichmentKey, lookupParams } from "../lib/omdb-enrichment.cjs";
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const MOVIES_DIR = path.join(ROOT_DIR, "movies");
+const IMAGES_DIR = path.join(ROOT_DIR, "images");
+
+// Poster extensions by Content-Type, for downloads without one in the URL
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/gif": ".gif"
+};
+
+const OPTIONS = {
+  title: { type: "string" },
+  year: { type: "string" },
+  director: { type: "string" },
+  rating: { type: "string" },
+  genre: { type: "string" },
+  "imdb-id": { type: "string" },
+  poster: { type: "string" },
+  excerpt: { type: "string" },
+  body: { type: "string" },
+  omdb: { type: "boolean" },
+  "omdb-file": { type: "string" },
+  "dry-run": { type: "boolean" },
+  update: { type: "boolean" },
+  format: { type: "string" },
+  "keep-poster": { type: "boolean" },
+  yes: { type: "boolean" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+/**
+ * Local movies as stored
+ * @returns {Object[]} [{ slug, filePath, data, body }]
+ */
+function readLocalMovies() {
+  return fs.readdirSync(MOVIES_DIR)
+    .filter(file => file.endsWith(".md"))
+    .sort()
+    .map(file => {
+      const filePath = path.join(MOVIES_DIR, file);
+      const { data, content } = matter(fs.readFileSync(filePath, "utf-8"));
+      return { slug: path.basename(file, ".md"), filePath, data, body: content };
+    });
+}
+
+/**
+ * The same film among the local movies
+ * @param {Object} data - Front matter of the new movie
+ * @param {Object[]} movies - From readLocalMovies()
+ * @returns {Object|null}
+ */
+function findExisting(data, movies) {
+  const year = value => (value === undefined || value === "" ? null : Number(value));
+  const candidate = { title: data.title, imdbId: data.imdbId || null, year: year(data.year) };
+  return movies.find(movie => isSameMovie(candidate, {
+    title: movie.data.title,
+    imdbId: movie.data.imdbId || null,
+    year: year(movie.data.year ?? movie.data.releaseYear)
+  })) || null;
+}
+
+/**
+ * CLI fields given as flags
+ * @param {Object} values - parseArgs() values
+ * @returns {Object} MOVIE_FIELDS values that were set
+ */
+function fieldsFromFlags(values) {
+  const fields = {};
+  MOVIE_FIELDS.forEach(field => {
+    const flag = field === "imdbId" ? "imdb-id" : field;
+    if (values[flag] !== undefined) fields[field] = values[flag];
+  });
+  return fields;
+}
+
+/**
+ * OMDB data for a movie, in the OMDB function's format
+ * Tries --omdb-file, then _data/omdbData.json, then the OMDB API (needs OMDB_API_KEY).
+ * @param {Object} fields - { title, year, imdbId }
+ * @param {Object} values - parseArgs() values
+ * @returns {Promise<Object>} MOVIE_FIELDS values from fromOmdbData() (empty when nothing was found)
+ */
+async function omdbPrefill(fields, values) {
+  if (values["omdb-file"]) {
+    return fromOmdbData(JSON.parse(fs.readFileSync(path.resolve(values["omdb-file"]), "utf-8")));
+  }
+
+  const movie = {
+    title: fields.title,
+    year: fields.year ? Number(fields.year) : null,
+    imdbId: fields.imdbId || null
+  };
+
+  try {
+    const omdbData = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, "_data", OMDB_DATA_FILE), "utf-8"));
+    const entry = omdbData.entries?.[enrichmentKey(movie)];
+    if (entry && entry.status === "found") return fromOmdbData(entry.data);
+  } catch (error) {
+    // No build-time data yet
+  }
+
+  const appConfig = loadConfig();
+  if (validateConfig(appConfig, "omdb").length > 0) {
+    console.warn("⚠️  OMDB_API_KEY is not set - skipping the OMDB prefill");
+    return {};
+  }
+
+  try {
+    const result = await lookupMovie(appConfig.omdb.apiKey, lookupParams(movie));
+    if (result.statusCode === 200) return fromOmdbData(result.body);
+    console.warn(result.statusCode === 404
+      ? `⚠️  "${movie.title}" was not found on OMDB`
+      : `⚠️  OMDB lookup failed: ${result.body.message}`);
+  } catch (error) {
+    console.warn(`⚠️  OMDB lookup failed: ${redact(error.message, appConfig)}`);
+  }
+  return {};
+}
+
+/**
+ * Copy or download a poster to images/<slug>.<ext>
+ * Site paths that already exist (e.g. /images/heat.jpg) are kept as they are.
+ * @param {string} source - File path, URL or site path
+ * @param {string} slug - Movie slug
+ * @param {boolean} dryRun - Don't write anything
+ * @returns {Promise<string>} Site path of the poster
+ */
+async function storePoster(source, slug, dryRun) {
+  if (source.startsWith("/") && fs.existsSync(path.join(ROOT_DIR, source))) return source;
+
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not download ${source} (HTTP ${response.status})`);
+    const type = (response.headers.get("content-type") || "").split(";")[0];
+    const extension = path.extname(new URL(source).pathname).toLowerCase() || IMAGE_EXTENSIONS[type] || ".jpg";
+    const fileName = `${slug}${extension}`;
+    if (!dryRun) fs.writeFileSync(path.join(IMAGES_DIR, fileName), Buffer.from(await response.arrayBuffer()));
+    return `/images/${fileName}`;
+  }
+
+  const filePath = path.resolve(source.replace(/^~(?=\/)/, process.env.HOME || "~"));
+  if (!fs.existsSync(filePath)) throw new Error(`Poster file not found: ${source}`);
+  const fileName = `${slug}${path.extname(filePath).toLowerCase()}`;
+  if (!dryRun) fs.copyFileSync(filePath, path.join(IMAGES_DIR, fileName));
+  return `/images/${fileName}`;
+}
+
+/**
+ * Poster of a movie file's front matter
+ * @param {Object} data - Front matter
+ * @returns {string|undefined} Site path or URL
+ */
+function posterOf(data) {
+  return data.poster || data.image;
+}
+
+/**
+ * Delete a poster from images/ once no other local movie uses it
+ * The placeholder and posters outside images/ are never deleted.
+ * @param {string} poster - Site path of the poster
+ * @param {Object} options - { except: slug of the movie that no longer uses it, dryRun }
+ */
+function deleteUnusedPoster(poster, { except, dryRun }) {
+  if (!poster || !poster.startsWith("/images/") || poster === PLACEHOLDER_POSTER) return;
+
+  const posterPath = path.join(ROOT_DIR, poster);
+  const usedElsewhere = readLocalMovies().some(other => other.slug !== except && posterOf(other.data) === poster);
+  if (usedElsewhere || !fs.existsSync(posterPath)) return;
+
+  if (!dryRun) fs.unlinkSync(posterPath);
+  console.log(`🗑️  ${dryRun ? "Would delete" : "Deleted"} ${poster.slice(1)}`);
+}
+
+/**
+ * Validate and write one movie file
+ * @param {string} slug - File slug
+ * @param {Object} data - Front matter
+ * @param {string} body - Markdown review
+ * @param {boolean} dryRun - Print instead of writing
+ * @throws {Error} When the movie would not build
+ */
+function writeMovie(slug, data, body, dryRun) {
+  const filePath = path.join(MOVIES_DIR, `${slug}.md`);
+  const problems = validateFrontMatter(data);
+  if (problems.length > 0) throw new Error(`movies/${slug}.md: ${problems.join("; ")}`);
+
+  // Same mapping as the build, so a file that is written also builds
+  fromMarkdown(data, { fileSlug: slug, inputPath: filePath, url: `/movies/${slug}/`, date: new Date() });
+
+  const file = renderMovieFile(data, body);
+  if (dryRun) {
+    console.log(`--- movies/${slug}.md (dry run)\n${file}`);
+    return;
+  }
+  fs.writeFileSync(filePath, file);
+}
+
+/**
+ * Ask for every field, showing the current value as the default
+ * @param {Object} defaults - MOVIE_FIELDS values
+ * @returns {Promise<Object>} Answers (defaults for empty answers)
+ */
+async function promptFields(defaults) {
+  if (!process.stdin.isTTY) throw new Error("No terminal to ask in - pass the fields as flags (see movielog --help)");
+
+  const labels = {
+    title: "Title",
+    year: "Year",
+    director: "Director",
+    rating: "Rating (0-5)",
+    genre: "Genres (comma separated)",
+    imdbId: "IMDb ID (e.g. tt1375666)",
+    poster: "Poster (file, URL or /images/ path)",
+    excerpt: "Short description",
+    body: "Review (one paragraph)"
+  };
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answers = {};
+  try {
+    for (const field of MOVIE_FIELDS) {
+      const current = defaults[field] === undefined ? "" : String(defaults[field]);
+      const answer = (await rl.question(`${labels[field]}${current ? ` [${current}]` : ""}: `)).trim();
+      answers[field] = answer || current || undefined;
+    }
+  } finally {
+    rl.close();
+  }
+  return answers;
+}
+
+/**
+ * Ask a yes/no question
+ * @param {string} question - Question
+ * @returns {Promise<boolean>}
+ */
+async function confirm(question) {
+  if (!process.stdin.isTTY) return false;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Build, store and write one new movie
+ * @param {Object} fields - MOVIE_FIELDS values
+ * @param {Object} options - { values, movies } (parseArgs() values, readLocalMovies())
+ * @returns {Promise<string>} Slug of the new file
+ */
+async function createMovieFile(fields, { values, movies }) {
+  if (values.omdb || values["omdb-file"]) fields = withDefaults(fields, await omdbPrefill(fields, values));
+  if (!fields.title) throw new Error("A title is required");
+
+  // Fail before a poster is copied
+  const problems = validateFrontMatter(toFrontMatter(fields));
+  if (problems.length > 0) throw new Error(problems.join("; "));
+
+  const slug = uniqueSlug(fields.title, fields.year, new Set(movies.map(movie => movie.slug)));
+  let poster = fields.poster ? await storePoster(fields.poster, slug, values["dry-run"]) : undefined;
+  if (!poster) {
+    console.warn(`⚠️  No poster for "${fields.title}" - using ${PLACEHOLDER_POSTER}`);
+    poster = PLACEHOLDER_POSTER;
+  }
+
+  // Dated when added: feeds, the sitemap and "recently added" read it (see lib/feeds.cjs)
+  writeMovie(slug, { ...toFrontMatter({ ...fields, poster }), date: new Date() }, fields.body || "", values["dry-run"]);
+  movies.push({ slug, filePath: path.join(MOVIES_DIR, `${slug}.md`), data: toFrontMatter(fields), body: fields.body || "" });
+  return slug;
+}
+
+/**
+ * movielog add
+ * @param {Object} values - parseArgs() values
+ */
+async function addCommand(values) {
+  const movies = readLocalMovies();
+  let fields = fieldsFromFlags(values);
+  if (!fields.title) {
+    const prefill = values["omdb-file"] ? await omdbPrefill(fields, values) : {};
+    fields = await promptFields(withDefaults(fields, prefill));
+  }
+
+  const existing = findExisting(toFrontMatter(fields), movies);
+  if (existing) throw new Error(`"${fields.title}" already exists as movies/${existing.slug}.md - use "movielog edit ${existing.slug}"`);
+
+  const slug = await createMovieFile(fields, { values, movies });
+  console.log(`✅ ${values["dry-run"] ? "Would add" : "Added"} movies/${slug}.md`);
+}
+
+/**
+ * movielog import <file>
+ * @param {string} file - CSV file
+ * @param {Object} values - parseArgs() values
+ */
+async function importCommand(file, values) {
+  if (!file) throw new Error("Usage: movielog import <file.csv>");
+
+  const { headers, rows } = parseCsv(fs.readFileSync(path.resolve(file), "utf-8"));
+  const format = values.format || detectImportFormat(headers);
+  if (!["letterboxd", "imdb", "csv"].includes(format)) {
+    throw new Error(`Unrecognized file: expected a Letterboxd or IMDb export, or a CSV with a "title" column (headers: ${headers.join(", ")})`);
+  }
+
+  console.log(`📥 Importing ${rows.length} rows (${format})...`);
+  const movies = readLocalMovies();
+  const counts = { added: 0, updated: 0, skipped: 0, failed: 0 };
+
+  for (const row of rows) {
+    const fields = fromImportRow(row, format);
+    if (!fields.title) {
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      const existing = findExisting(toFrontMatter(fields), movies);
+      if (existing && !values.update) {
+        console.log(`   = ${fields.title} (movies/${existing.slug}.md exists)`);
+        counts.skipped++;
+      } else if (existing) {
+        const poster = fields.poster ? await storePoster(fields.poster, existing.slug, values["dry-run"]) : undefined;
+        writeMovie(existing.slug, toFrontMatter({ ...fields, poster }, existing.data), fields.body || existing.body, values["dry-run"]);
+        if (poster && poster !== posterOf(existing.data)) {
+          deleteUnusedPoster(posterOf(existing.data), { except: existing.slug, dryRun: values["dry-run"] });
+        }
+        console.log(`   ~ ${fields.title} (movies/${existing.slug}.md)`);
+        counts.updated++;
+      } else {
+        const slug = await createMovieFile(fields, { values, movies });
+        console.log(`   + ${fields.title} (movies/${slug}.md)`);
+        counts.added++;
+      }
+    } catch (error) {
+      console.warn(`⚠️  ${fields.title}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+
+  console.log(`✅ ${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.failed} failed${values["dry-run"] ? " (dry run)" : ""}`);
+  if (counts.failed > 0) process.exitCode = 1;
+}
+
+/**
+ * Local movie by slug
+ * @param {string} slug - File slug
+ * @returns {Object} From readLocalMovies()
+ * @throws {Error} When there is no such file
+ */
+function requireMovie(slug) {
+  const movie = slug && readLocalMovies().find(candidate => candidate.slug === slug);
+  if (!movie) throw new Error(`No movie movies/${slug}.md - see "movielog list"`);
+  return movie;
+}
+
+/**
+ * movielog edit <slug>
+ * @param {string} slug - File slug
+ * @param {Object} values - parseArgs() values
+ */
+async function editCommand(slug, values) {
+  const movie = requireMovie(slug);
+  let fields = fieldsFromFlags(values);
+
+  if (Object.keys(fields).length === 0 && !values.omdb && !values["omdb-file"]) {
+    const { data } = movie;
+    fields = await promptFields({
+      title: data.title,
+      year: data.year ?? data.releaseYear,
+      director: data.director,
+      rating: data.rating,
+      genre: data.genres ?? data.genre,
+      imdbId: data.imdbId,
+      poster: data.poster || data.image,
+      excerpt: data.excerpt ?? data.description,
+      body: movie.body.trim()
+    });
+  }
+
+  if (values.omdb || values["omdb-file"]) {
+    const current = { title: movie.data.title, year: movie.data.year ?? movie.data.releaseYear, imdbId: movie.data.imdbId };
+    const prefill = await omdbPrefill({ ...current, ...fields }, values);
+    // Only fill what the file doesn't have yet
+    MOVIE_FIELDS.forEach(field => {
+      const stored = field === "poster" ? movie.data.poster || movie.data.image : movie.data[field];
+      const missing = stored === undefined || stored === "" || stored === PLACEHOLDER_POSTER;
+      if (fields[field] === undefined && missing && prefill[field] !== undefined) fields[field] = prefill[field];
+    });
+  }
+
+  const poster = fields.poster ? await storePoster(fields.poster, slug, values["dry-run"]) : undefined;
+  writeMovie(slug, toFrontMatter({ ...fields, poster }, movie.data), fields.body ?? movie.body, values["dry-run"]);
+  console.log(`✅ ${values["dry-run"] ? "Would update" : "Updated"} movies/${slug}.md`);
+
+  // A poster with another extension is a new file; the old one would be left behind
+  if (poster && poster !== posterOf(movie.data)) {
+    deleteUnusedPoster(posterOf(movie.data), { except: slug, dryRun: values["dry-run"] });
+  }
+}
+
+/**
+ * movielog remove <slug>
+ * The poster is deleted too unless another movie uses it or it is the placeholder.
+ * @param {string} slug - File slug
+ * @param {Object} values - parseArgs() values
+ */
+async function removeCommand(slug, values) {
+  const movie = requireMovie(slug);
+  if (!values.yes && !(await confirm(`Delete movies/${slug}.md?`))) {
+    console.log("Nothing deleted (pass --yes to skip this question)");
+    return;
+  }
+
+  fs.unlinkSync(movie.filePath);
+  console.log(`🗑️  Deleted movies/${slug}.md`);
+
+  if (!values["keep-poster"]) deleteUnusedPoster(posterOf(movie.data), { except: slug, dryRun: false });
+}
+
+/**
+ * movielog list
+ * @param {Object} values - parseArgs() values
+ */
+function listCommand(values) {
+  const rows = readLocalMovies().map(({ slug, data }) => ({
+    slug,
+    title: data.title,
+    year: data.year ?? data.releaseYear ?? null,
+    rating: data.rating ?? null,
+    genre: data.genres ?? data.genre ?? "",
+    poster: data.poster || data.image || null
+  }));
+
+  if (values.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  const width = Math.max(4, ...rows.map(row => row.slug.length));
+  rows.forEach(row => {
+    console.log(`${row.slug.padEnd(width)}  ${String(row.year ?? "").padEnd(4)}  ${String(row.rating ?? "-").padStart(3)}  ${row.title}${row.genre ? ` (${row.genre})` : ""}`);
+  });
+  console.log(`\n${rows.length} local movies`);
+}
+
+/**
+ * Print the usage block at the top of this file
+ */
+function printHelp() {
+  const source = fs.readFileSync(fileURLToPath(import.meta.url), "utf-8");
+  console.log(source.slice(source.indexOf("  Usage"), source.indexOf("*/")).trimEnd());
+}
+
+/**
+ * Run a command
+ * @param {string[]} argv - Arguments after the script name
+ */
+export async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, target] = positionals;
+
+  switch (command) {
+    case "add":
+      return addCommand(values);
+    case "import":
+      return importCommand(target, values);
+    case "edit":
+      return editCommand(target, values);
+    case "remove":
+      return removeCommand(target, values);
+    case "list":
+      return listCommand(values);
+    default:
+      printHelp();
+      if (command && command !== "help" && !values.help) {
+        throw new Error(`Unknown command "${command}"`);
+      }
+  }
+}
+
+// Only run when executed directly (not when imported by other scripts)
+if (process.argv[1] && fs.realpathSync(path.resolve(process.argv[1])) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,125 @@
+/*
+  File: check-catalog.js
+  Description: Validates movies/*.md front matter and _data/cmsData.json before the build
+               and writes a readable report plus a JSON report
+  Author: Sai Trivedi
+  Date: 2026-10-19
+
+  Usage:
+    node check-catalog.js                 Check the catalog, exit code 1 on errors
+    node check-catalog.js --strict        Fail on warnings too
+    node check-catalog.js --json=file     Write the JSON report to another file ("-" prints it instead of the text report)
+    node check-catalog.js --data-dir=dir  Read cmsData.json from another folder
+
+  Run by `prebuild` after fetch-cms-data.js, so a broken catalog fails the build with the
+  full list of problems. The JSON report (reports/catalog-check.json by default) has
+  { generatedAt, ok, strict, summary, issues[] }; every issue is
+  { severity, code, source, location, title, message }, see lib/catalog-check.cjs.
+*/
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import matter from "gray-matter";
+import { checkCatalog, formatReport } from "./lib/catalog-check.cjs";
+import { decodeUrl } from "./lib/images.cjs";
+import { readSnapshot } from "./fetch-cms-data.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Front matter of every local markdown movie
+ * @param {string} moviesDir - Folder with the markdown files
+ * @returns {Object[]} [{ location, fileSlug, inputPath, date, data }]
+ */
+function readLocalFiles(moviesDir) {
+  return fs.readdirSync(moviesDir)
+    .filter(file => file.endsWith(".md"))
+    .sort()
+    .map(file => {
+      const inputPath = path.join(moviesDir, file);
+      return {
+        location: path.relative(__dirname, inputPath),
+        fileSlug: path.basename(file, ".md"),
+        inputPath,
+        date: fs.statSync(inputPath).birthtime,
+        data: matter(fs.readFileSync(inputPath, "utf-8")).data
+      };
+    });
+}
+
+/**
+ * Does a site path (e.g. /images/inception.jpg) exist in the project?
+ * Compares exact file names, so a wrong case fails here too and not only on Linux.
+ * @param {string} url - Site path
+ * @returns {boolean}
+ */
+function posterExists(url) {
+  const filePath = path.join(__dirname, decodeUrl(url));
+  const dir = path.dirname(filePath);
+  return fs.existsSync(dir) && fs.readdirSync(dir).includes(path.basename(filePath));
+}
+
+/**
+ * Check the catalog and write the reports
+ * @param {Object} options
+ * @param {boolean} options.strict - Treat warnings as errors
+ * @param {string} options.jsonPath - Where to write the JSON report ("-" for stdout)
+ * @param {string} options.dataDir - Folder with cmsData.json
+ * @param {string} options.moviesDir - Folder with the markdown movies
+ * @returns {Object} The report
+ */
+export function checkCatalogFiles({
+  strict = false,
+  jsonPath = path.join(__dirname, "reports", "catalog-check.json"),
+  dataDir = path.join(__dirname, "_data"),
+  moviesDir = path.join(__dirname, "movies")
+} = {}) {
+  const cmsDataPath = path.join(dataDir, "cmsData.json");
+  const snapshot = readSnapshot(cmsDataPath);
+
+  const result = checkCatalog({
+    localFiles: readLocalFiles(moviesDir),
+    cmsMovies: snapshot.movies,
+    localizedMovies: snapshot.localizedMovies,
+    posterExists,
+    cmsLocation: path.relative(__dirname, cmsDataPath)
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    ...result,
+    ok: result.summary.errors === 0 && (!strict || result.summary.warnings === 0),
+    strict
+  };
+
+  if (jsonPath === "-") {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatReport(report));
+    fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Saved JSON report to ${path.relative(process.cwd(), jsonPath)}`);
+  }
+
+  return report;
+}
+
+// Only run when executed directly (not when imported by other scripts)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const jsonArg = args.find(arg => arg.startsWith("--json="));
+  const dataDirArg = args.find(arg => arg.startsWith("--data-dir="));
+  const jsonValue = jsonArg && jsonArg.split("=")[1];
+
+  const report = checkCatalogFiles({
+    strict: args.includes("--strict"),
+    ...(jsonValue && { jsonPath: jsonValue === "-" ? "-" : path.resolve(jsonValue) }),
+    ...(dataDirArg && { dataDir: path.resolve(dataDirArg.split("=")[1]) })
+  });
+
+  if (!report.ok) {
+    console.error(`❌ Catalog check failed${report.strict ? " (--strict: warnings count)" : ""}`);
+    process.exit(1);
+  }
+}
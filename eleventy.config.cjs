@@ -5,18 +5,45 @@
   Date: 2025-11-13
 */
 
-require("dotenv").config();
 const fs = require("fs");
+const { EleventyRenderPlugin } = require("@11ty/eleventy");
 const path = require("path");
+const { loadConfig } = require("./lib/config.cjs");
+const { createFunctionsMiddleware } = require("./lib/dev-functions.cjs");
+const { formatRating, fromCmsRecord } = require("./lib/movie-model.cjs");
+const { buildSearchIndex } = require("./lib/search-index.cjs");
+const { buildListingPages } = require("./lib/movie-listing.cjs");
+const { buildTaxonomies, taxonomyUrl } = require("./lib/taxonomy.cjs");
+const { getEnrichment } = require("./lib/omdb-enrichment.cjs");
+const { mergeCatalog } = require("./lib/movie-merge.cjs");
+const { IMAGE_CACHE_DIR, getImage, pictureHtml } = require("./lib/images.cjs");
+const { becauseYouLiked, buildRecommendations } = require("./lib/recommendations.cjs");
+const { absoluteUrl, feedItems, feedUpdated, toJsonFeed } = require("./lib/feeds.cjs");
+const { movieApiUrl, moviesPageUrl, toApiIndex, toApiListing, toApiMovie } = require("./lib/catalog-api.cjs");
+const { buildReviewTimeline } = require("./lib/reviews.cjs");
+const { jsonLdScript, movieJsonLd, pageSeo, sitemapEntries } = require("./lib/seo.cjs");
 
 // Eleventy Configuration File
 module.exports = function(eleventyConfig) {
   
+  // {% renderTemplate %} renders markdown kept in data, e.g. the body of a merged movie
+  eleventyConfig.addPlugin(EleventyRenderPlugin);
+  
+  // Environment, .env files and profile (dev / preview / production), see lib/config.cjs
+  const config = loadConfig();
+  console.log(`⚙️  Building with the "${config.profile}" profile`);
+  
+  // Available to templates as {{ buildProfile }}
+  eleventyConfig.addGlobalData("buildProfile", config.profile);
+  
   // Copy CSS files, images, and JavaScript to output
   eleventyConfig.addPassthroughCopy("css");
   eleventyConfig.addPassthroughCopy("images");
   eleventyConfig.addPassthroughCopy("js");
   
+  // Responsive poster variants generated by process-images.js (IMAGE_CACHE_DIR -> IMAGE_URL_PATH)
+  eleventyConfig.addPassthroughCopy({ ".cache/posters": "img/posters" });
+  
   // Watch CSS files and force a build when they change
   eleventyConfig.setWatchJavaScriptDependencies(false);
   eleventyConfig.addWatchTarget("./css/");
@@ -26,75 +53,91 @@ module.exports = function(eleventyConfig) {
     files: ['_site/css/**/*.css']
   });
   
-  // Add a collection for all movies (merged from CMS JSON and local markdown)
-  eleventyConfig.addCollection("allMovies", function(collectionApi) {
-    
-    // Get CMS movies from pre-fetched JSON file - read directly from file
+  // `eleventy --serve` runs netlify/functions/* itself (/.netlify/functions/* and the /api/* redirect)
+  eleventyConfig.setServerOptions({
+    middleware: [
+      createFunctionsMiddleware({
+        functionsDir: path.join(__dirname, "netlify", "functions"),
+        tomlPath: path.join(__dirname, "netlify.toml")
+      })
+    ]
+  });
+  
+  // Read CMS movies from the pre-fetched JSON file and map them to the canonical model
+  // `key` is "movies" (default locale) or "localizedMovies" (other locales)
+  function loadCmsMovies(key = "movies") {
     let cmsMovies = [];
-    try {
-      const cmsDataPath = path.join(__dirname, '_data', 'cmsData.json');
-      
-      if (fs.existsSync(cmsDataPath)) {
+    const cmsDataPath = path.join(__dirname, '_data', 'cmsData.json');
+    
+    if (fs.existsSync(cmsDataPath)) {
+      try {
         const cmsData = JSON.parse(fs.readFileSync(cmsDataPath, 'utf-8'));
-        cmsMovies = cmsData.movies || [];
-        
-        // DEBUG: Write to file to verify
-        const debugInfo = {
-          cmsDataPath,
-          fileExists: true,
-          cmsMoviesCount: cmsMovies.length,
-          timestamp: new Date().toISOString()
-        };
-        fs.writeFileSync(path.join(__dirname, 'collection-debug.json'), JSON.stringify(debugInfo, null, 2));
-      } else {
-        fs.writeFileSync(path.join(__dirname, 'collection-debug.json'), JSON.stringify({
-          cmsDataPath,
-          fileExists: false,
-          timestamp: new Date().toISOString()
-        }, null, 2));
+        cmsMovies = cmsData[key] || [];
+      } catch (error) {
+        console.error(`❌ Could not read ${cmsDataPath}:`, error.message);
       }
-    } catch (error) {
-      fs.writeFileSync(path.join(__dirname, 'collection-debug.json'), JSON.stringify({
-        error: error.message,
-        stack: error.stack,
-        timestamp: new Date().toISOString()
-      }, null, 2));
+    } else {
+      console.warn(`⚠️  ${cmsDataPath} not found - run "npm run fetch-cms"`);
     }
     
-    // Get local markdown movies
-    const localMovies = collectionApi.getFilteredByGlob("movies/*.md").map(item => {
-      return {
-        ...item.data,
-        id: item.page.fileSlug,
-        source: item.data.source || "local",
-        page: item.page,
-        url: item.url,
-        date: item.date
-      };
-    });
+    // Outside the try block so invalid records fail the build instead of vanishing
+    return cmsMovies.map(fromCmsRecord);
+  }
+  
+  // Movies whose page comes from the CMS (one detail page each, see cms-movies.njk),
+  // including films merged with a local file when Contentful wins
+  eleventyConfig.addCollection("cmsMovies", function(collectionApi) {
+    return loadAllMovies(collectionApi).filter(movie => movie.source === "contentful");
+  });
+  
+  // Translated copies of CMS movies (see cms-movies-localized.njk)
+  eleventyConfig.addCollection("localizedCmsMovies", function() {
+    return loadCmsMovies("localizedMovies");
+  });
+  
+  // Merge CMS and local movies into one list of canonical movies (lib/movie-model.cjs),
+  // one per film: duplicates are merged with CATALOG_MERGE_STRATEGY (lib/movie-merge.cjs)
+  function mergeAllMovies(collectionApi) {
+    const cmsMovies = loadCmsMovies();
+    
+    // Local markdown movies carry their unmerged model in `data.localMovie` (movies/movies.11tydata.cjs)
+    const localMovies = collectionApi.getFilteredByGlob("movies/*.md").map(item => item.data.localMovie);
     
-    console.log(`📂 Found ${localMovies.length} local movies`);
+    const { movies, merged } = mergeCatalog(cmsMovies, localMovies, { strategy: config.catalog.mergeStrategy });
     
-    // Merge CMS and local movies
-    const allMovies = [...cmsMovies, ...localMovies];
+    // Sort by release year descending
+    return { movies: movies.sort((a, b) => (b.year || 0) - (a.year || 0)), merged };
+  }
+  
+  function loadAllMovies(collectionApi) {
+    return mergeAllMovies(collectionApi).movies;
+  }
+  
+  // Add a collection for all movies (merged from CMS JSON and local markdown)
+  eleventyConfig.addCollection("allMovies", function(collectionApi) {
+    const { movies: allMovies, merged } = mergeAllMovies(collectionApi);
     
     console.log(`📊 Total movies: ${allMovies.length}`);
+    if (merged.length > 0) {
+      console.log(`🔀 In both Contentful and movies/, merged with the "${config.catalog.mergeStrategy}" strategy: ${merged.map(movie => movie.title).join(", ")}`);
+    }
     
-    // Sort by releaseYear descending
-    return allMovies.sort((a, b) => {
-      const yearA = a.releaseYear || a.data?.releaseYear || 0;
-      const yearB = b.releaseYear || b.data?.releaseYear || 0;
-      return yearB - yearA;
-    });
+    return allMovies;
+  });
+  
+  // Every page of the All Movies listing in every sort order (all-movies.njk)
+  eleventyConfig.addCollection("movieListPages", function(collectionApi) {
+    return buildListingPages(loadAllMovies(collectionApi));
+  });
+  
+  // Genres, directors and decades with their terms (taxonomy-index.njk)
+  eleventyConfig.addCollection("taxonomies", function(collectionApi) {
+    return buildTaxonomies(loadAllMovies(collectionApi));
   });
   
-  // Keep original movies collection for backward compatibility
-  eleventyConfig.addCollection("movies", function(collectionApi) {
-    return collectionApi.getFilteredByTag("movies").sort((a, b) => {
-      const yearA = a.data.year || a.data.releaseYear || 0;
-      const yearB = b.data.year || b.data.releaseYear || 0;
-      return yearB - yearA;
-    });
+  // Every term of every taxonomy, one page each (taxonomy-term.njk)
+  eleventyConfig.addCollection("taxonomyTerms", function(collectionApi) {
+    return buildTaxonomies(loadAllMovies(collectionApi)).flatMap(taxonomy => taxonomy.terms);
   });
   
   // Add a filter to limit number of items
@@ -102,11 +145,134 @@ module.exports = function(eleventyConfig) {
     return array.slice(0, limit);
   });
   
+  // Format a canonical rating (out of 10) using a display style from site.ratingDisplay
+  eleventyConfig.addFilter("formatRating", function(rating, display) {
+    return formatRating(rating, display);
+  });
+  
+  // Format an ISO date string as e.g. "Nov 14, 2025, 06:56 UTC"
+  eleventyConfig.addFilter("readableDate", function(value) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) return "unknown";
+    return date.toLocaleString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: false,
+      timeZone: "UTC"
+    }) + " UTC";
+  });
+  
+  // Format a review date (YYYY-MM-DD) as e.g. "Jan 26, 2024"
+  eleventyConfig.addFilter("reviewDate", function(value) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) return "unknown";
+    return date.toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" });
+  });
+  
   // Add reverse filter
   eleventyConfig.addFilter("reverse", function(array) {
     return array.slice().reverse();
   });
   
+  // Static JSON API filters (api/v1/*.njk, see lib/catalog-api.cjs)
+  eleventyConfig.addFilter("apiJson", function(value) {
+    return JSON.stringify(value, null, 2);
+  });
+  eleventyConfig.addFilter("apiMovie", function(movie, imageManifest) {
+    return toApiMovie(movie, true, imageManifest);
+  });
+  eleventyConfig.addFilter("apiListing", function(pagination, imageManifest) {
+    return toApiListing(pagination, imageManifest);
+  });
+  eleventyConfig.addFilter("apiIndex", function(movies, field) {
+    return toApiIndex(movies, field);
+  });
+  eleventyConfig.addFilter("movieApiUrl", function(slug) {
+    return movieApiUrl(slug);
+  });
+  // Takes Eleventy's 0-based pagination.pageNumber
+  eleventyConfig.addFilter("apiMoviesPageUrl", function(pageNumber) {
+    return moviesPageUrl(pageNumber + 1);
+  });
+  
+  // Link to a genre, director or decade page, e.g. {{ genre | taxonomyUrl("genres") }}
+  eleventyConfig.addFilter("taxonomyUrl", function(name, taxonomy) {
+    return taxonomyUrl(taxonomy, name);
+  });
+  
+  // Build-time OMDB data of a movie from _data/omdbData.json (fetch-omdb-data.js)
+  // e.g. {% set omdb = movie | omdbEnrichment(omdbData) %}
+  eleventyConfig.addFilter("omdbEnrichment", function(movie, omdbData) {
+    return getEnrichment(omdbData, movie);
+  });
+  
+  // Responsive poster from _data/imageManifest.json (process-images.js)
+  // e.g. {{ movie.poster | posterImage(imageManifest, { alt: movie.posterAlt, sizes: "card", attrs: { class: "w-full" } }) | safe }}
+  // Entries whose generated files are gone (e.g. .cache/ was cleared) fall back to the original URL
+  eleventyConfig.addFilter("posterImage", function(src, imageManifest, options) {
+    const image = getImage(imageManifest, src);
+    const generated = image && image.formats.jpeg?.[0];
+    const available = generated && fs.existsSync(path.join(__dirname, IMAGE_CACHE_DIR, path.basename(generated.url)));
+    return pictureHtml(src, available ? image : null, options);
+  });
+  
+  // Recommendations are computed once per build for the whole collection (lib/recommendations.cjs)
+  const recommendationsCache = new WeakMap();
+  function recommendationsFor(allMovies, omdbData) {
+    if (!recommendationsCache.has(allMovies)) {
+      recommendationsCache.set(allMovies, buildRecommendations(allMovies, { omdbData }));
+    }
+    return recommendationsCache.get(allMovies);
+  }
+  
+  // "More like this" on a movie page, e.g. movie | moreLikeThis(collections.allMovies, omdbData)
+  eleventyConfig.addFilter("moreLikeThis", function(movie, allMovies, omdbData) {
+    return recommendationsFor(allMovies, omdbData).get(movie.slug) || [];
+  });
+  
+  // "Because you liked X" sections on the home page
+  eleventyConfig.addFilter("becauseYouLiked", function(allMovies, omdbData, count) {
+    return becauseYouLiked(allMovies, recommendationsFor(allMovies, omdbData), { count });
+  });
+  
+  // Atom and JSON feeds (feed.njk, feed-json.njk, see lib/feeds.cjs)
+  eleventyConfig.addFilter("feedItems", function(movies, site) {
+    return feedItems(movies, site);
+  });
+  eleventyConfig.addFilter("feedUpdated", function(items) {
+    return feedUpdated(items);
+  });
+  eleventyConfig.addFilter("jsonFeed", function(movies, site) {
+    return toJsonFeed(movies, site);
+  });
+  eleventyConfig.addFilter("absoluteUrl", function(url, siteUrl) {
+    return absoluteUrl(url, siteUrl);
+  });
+  
+  // Page metadata, movie JSON-LD and sitemap (partials/seo.njk, sitemap.njk, see lib/seo.cjs)
+  eleventyConfig.addFilter("pageSeo", function(pageData, site, buildProfile) {
+    return pageSeo(pageData, site, buildProfile);
+  });
+  eleventyConfig.addFilter("movieJsonLd", function(movie, site, omdb) {
+    return jsonLdScript(movieJsonLd(movie, site, omdb));
+  });
+  eleventyConfig.addFilter("sitemapEntries", function(pages, movies, taxonomies, site) {
+    return sitemapEntries(pages, movies, taxonomies, site);
+  });
+  
+  // Reviews timeline, e.g. collections.allMovies | reviewTimeline (reviews.njk, see lib/reviews.cjs)
+  eleventyConfig.addFilter("reviewTimeline", function(movies) {
+    return buildReviewTimeline(movies);
+  });
+  
+  // Full-text search index (search-index.njk, see lib/search-index.cjs)
+  eleventyConfig.addFilter("searchIndex", function(movies) {
+    return buildSearchIndex(movies);
+  });
+  
   // Eleventy directory & template settings
   return {
     dir: {
@@ -1,100 +1,468 @@
-/* 
+/*
   File: fetch-cms-data.js
   Description: Pre-fetches Contentful CMS data and saves to JSON before Eleventy build
   Author: Sai Trivedi
   Date: 2025-11-14
+
+  Usage:
+    node fetch-cms-data.js                 Full refresh (pages through every entry)
+    node fetch-cms-data.js --sync          Incremental refresh using the Contentful Sync API
+    node fetch-cms-data.js --data-dir=dir  Write cmsData.json (and sync state) to another folder
+    node fetch-cms-data.js --strict        Fail (exit code 1) instead of keeping the last snapshot
+
+  When Contentful can't be reached the previous cmsData.json is kept
+  (last-known-good) and its `meta` block records the failure, see writeSnapshot().
+  CMS_FETCH_STRICT=true has the same effect as --strict.
+
+  Settings are read through lib/config.cjs (environment, .env.<profile>, .env).
+  With the production profile missing credentials always fail the build.
+  Set CONTENTFUL_HOST to point at another server, e.g. the mock in fixtures/contentful/server.js
+  Set CONTENTFUL_LOCALES=en-US,fr-FR to fetch several locales (the first one is the default)
 */
 
-import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { describeConfig, loadConfig, redact, requireConfig, validateConfig } from "./lib/config.cjs";
+import { withFixtures } from "./lib/http-fixtures.cjs";
+import { fromContentfulEntry, slugify } from "./lib/movie-model.cjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-dotenv.config();
+// Contentful returns at most 1000 entries per request; stay well below it
+const PAGE_LIMIT = 100;
 
-async function fetchContentfulData() {
-  const SPACE_ID = process.env.CONTENTFUL_SPACE_ID;
-  const ACCESS_TOKEN = process.env.CONTENTFUL_ACCESS_TOKEN;
+// Content types fetched by a full refresh: movies, and the reviews that link to them
+const CONTENT_TYPES = ["movie", "review"];
 
-  console.log("🔍 Checking Contentful credentials...");
-  
-  if (!SPACE_ID || !ACCESS_TOKEN) {
-    console.warn("⚠️  Missing Contentful environment variables!");
-    console.warn("   Creating empty cmsData.json file...");
-    fs.writeFileSync(
-      path.join(__dirname, "_data", "cmsData.json"),
-      JSON.stringify({ movies: [] }, null, 2)
-    );
-    return;
+// Content types a space may not have (yet): a space without them simply has none of those entries
+const OPTIONAL_CONTENT_TYPES = ["review"];
+
+// Sync state (token + raw entries/assets) lives next to cmsData.json
+const SYNC_STATE_FILE = ".cmsSyncState.json";
+
+// Recorded responses instead of the network when MOVIELOG_FIXTURES is set
+const contentfulFetch = withFixtures(fetch);
+
+/**
+ * Base URL of the configured space and environment
+ * @param {Object} config - Contentful settings (`contentful` from lib/config.cjs loadConfig())
+ * @returns {string}
+ */
+function environmentUrl(config) {
+  return `${config.host}/spaces/${config.spaceId}/environments/${config.environment}`;
+}
+
+/**
+ * GET a Contentful API URL and parse the JSON response
+ * The token is sent as a header so it never shows up in logged URLs
+ * @param {string} url - Absolute API URL
+ * @param {Object} config - Contentful settings (`contentful` from lib/config.cjs loadConfig())
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function getJSON(url, config) {
+  const response = await contentfulFetch(url, {
+    headers: { Authorization: `Bearer ${config.accessToken}` }
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Contentful API Error: ${response.status}`);
+    error.status = response.status;
+    error.body = await response.json().catch(() => null);
+    throw error;
   }
 
-  try {
-    console.log("🎬 Fetching movies from Contentful...");
-    
-    const url = `https://cdn.contentful.com/spaces/${SPACE_ID}/environments/master/entries?content_type=movie&include=2&access_token=${ACCESS_TOKEN}`;
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Contentful API Error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    // Extract all assets (images)
-    const assets = {};
-    if (data.includes?.Asset) {
-      data.includes.Asset.forEach(asset => {
-        const fileUrl = asset.fields.file?.url || asset.fields.file?.file?.url;
-        if (fileUrl) {
-          assets[asset.sys.id] = `https:${fileUrl}`;
+  return response.json();
+}
+
+/**
+ * Whether Contentful rejected a query because the space has no such content type
+ * (400 InvalidQuery with an `unknownContentType` error)
+ * @param {Error} error - Error thrown by getJSON()
+ * @returns {boolean}
+ */
+function isUnknownContentType(error) {
+  return error.status === 400 &&
+    error.body?.sys?.id === "InvalidQuery" &&
+    (error.body.details?.errors || []).some(detail => detail.name === "unknownContentType");
+}
+
+/**
+ * Fetch every movie and review entry in every locale, following skip/limit until `total` is reached
+ * A space without a `review` content type has no reviews (Contentful answers 400 for it)
+ * @param {Object} config - Contentful settings (`contentful` from lib/config.cjs loadConfig())
+ * @returns {Promise<Object>} Raw records: { entries, assets } (movies, reviews plus linked entries)
+ */
+export async function fetchAllRecords(config) {
+  const entries = [];
+  const assets = [];
+
+  for (const contentType of CONTENT_TYPES) {
+    let skip = 0;
+    let total = 0;
+    let count = 0;
+
+    do {
+      const url = `${environmentUrl(config)}/entries?content_type=${contentType}&include=2&locale=*&skip=${skip}&limit=${PAGE_LIMIT}`;
+      let data;
+      try {
+        data = await getJSON(url, config);
+      } catch (error) {
+        if (!OPTIONAL_CONTENT_TYPES.includes(contentType) || !isUnknownContentType(error)) throw error;
+        console.log(`   ${contentType}: no such content type in this space, 0 entries`);
+        break;
+      }
+
+      entries.push(...data.items, ...(data.includes?.Entry || []));
+      assets.push(...(data.includes?.Asset || []));
+      count += data.items.length;
+      total = data.total ?? count;
+      skip += PAGE_LIMIT;
+
+      console.log(`   ${contentType} page ${skip / PAGE_LIMIT}: ${count}/${total} entries`);
+    } while (skip < total);
+  }
+
+  return { entries, assets };
+}
+
+/**
+ * Read the saved sync state, or an empty one for an initial sync
+ * @param {string|null} statePath - Path to the sync state file (null for an empty state)
+ * @returns {Object} { syncToken, entries, assets }
+ */
+export function readSyncState(statePath) {
+  if (statePath && fs.existsSync(statePath)) {
+    return JSON.parse(fs.readFileSync(statePath, "utf-8"));
+  }
+  return { syncToken: null, entries: {}, assets: {} };
+}
+
+/**
+ * Apply one page of Sync API items to the state
+ * @param {Object} state - Sync state from readSyncState()
+ * @param {Object[]} items - Entries, assets and deletions from the Sync API
+ * @returns {Object} Counts of created, updated and deleted records
+ */
+export function applySyncItems(state, items) {
+  const changes = { created: 0, updated: 0, deleted: 0 };
+
+  items.forEach(item => {
+    const id = item.sys.id;
+
+    switch (item.sys.type) {
+      case "Entry":
+      case "Asset": {
+        const store = item.sys.type === "Entry" ? state.entries : state.assets;
+        changes[store[id] ? "updated" : "created"]++;
+        store[id] = item;
+        break;
+      }
+      case "DeletedEntry":
+      case "DeletedAsset": {
+        const store = item.sys.type === "DeletedEntry" ? state.entries : state.assets;
+        if (store[id]) {
+          delete store[id];
+          changes.deleted++;
         }
+        break;
+      }
+      default:
+        console.warn(`⚠️  Ignoring unknown sync item type: ${item.sys.type}`);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Pull every change since the last sync token (or everything on the first run)
+ * Follows `nextPageUrl` until Contentful hands back a `nextSyncUrl`
+ * @param {Object} config - Contentful settings (`contentful` from lib/config.cjs loadConfig())
+ * @param {Object} state - Sync state from readSyncState() (updated in place)
+ * @returns {Promise<Object>} Total counts of created, updated and deleted records
+ */
+export async function syncContentful(config, state) {
+  const totals = { created: 0, updated: 0, deleted: 0 };
+  let url = state.syncToken
+    ? `${environmentUrl(config)}/sync?sync_token=${encodeURIComponent(state.syncToken)}`
+    : `${environmentUrl(config)}/sync?initial=true`;
+
+  while (url) {
+    const data = await getJSON(url, config);
+    const changes = applySyncItems(state, data.items || []);
+    Object.keys(totals).forEach(key => { totals[key] += changes[key]; });
+
+    if (data.nextPageUrl) {
+      url = data.nextPageUrl;
+    } else if (data.nextSyncUrl) {
+      state.syncToken = new URL(data.nextSyncUrl).searchParams.get("sync_token");
+      url = null;
+    } else {
+      throw new Error("Contentful sync response has neither nextPageUrl nor nextSyncUrl");
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Records fetched with `locale=*` (and all Sync API records) carry every locale
+ * (`fields.title["en-US"]`); flatten them to one locale like a single-locale
+ * delivery response, falling back to the default locale for untranslated fields
+ * @param {Object} record - Entry or asset
+ * @param {string} locale - Locale to keep
+ * @param {string} defaultLocale - Fallback locale
+ * @returns {Object} Record with single-locale fields
+ */
+function localizeRecord(record, locale, defaultLocale) {
+  const fields = {};
+  Object.entries(record.fields || {}).forEach(([name, values]) => {
+    if (locale in values) fields[name] = values[locale];
+    else if (defaultLocale in values) fields[name] = values[defaultLocale];
+    else fields[name] = Object.values(values)[0];
+  });
+  return { ...record, fields };
+}
+
+/**
+ * Index records by id, flattened to one locale
+ * @param {Object[]} records - Entries or assets
+ * @param {string} locale - Locale to keep
+ * @param {string} defaultLocale - Fallback locale
+ * @returns {Object} Records keyed by id
+ */
+function indexRecords(records, locale, defaultLocale) {
+  const index = {};
+  records.forEach(record => {
+    index[record.sys.id] = localizeRecord(record, locale, defaultLocale);
+  });
+  return index;
+}
+
+/**
+ * URL of a movie page in a locale (the default locale has no prefix)
+ * @param {string} slug - Movie slug
+ * @param {string} locale - Locale code
+ * @param {string} defaultLocale - Default locale code
+ * @returns {string}
+ */
+function localizedUrl(slug, locale, defaultLocale) {
+  return locale === defaultLocale ? `/movies/${slug}/` : `/${locale.toLowerCase()}/movies/${slug}/`;
+}
+
+/**
+ * Build canonical movies for every locale from raw Contentful records
+ * Linked entries (director, cast), poster assets and the `review` entries linking
+ * to each movie are resolved per locale.
+ * The slug always comes from the default-locale title so translations share it.
+ * @param {Object} records - { entries, assets } raw multi-locale records
+ * @param {string[]} locales - Locales to build (default locale first)
+ * @returns {Object} { movies, localizedMovies } — default-locale movies, newest first, and their translations
+ */
+export function buildMovies(records, locales) {
+  const [defaultLocale] = locales;
+  const unique = (entry, index, list) => list.findIndex(other => other.sys.id === entry.sys.id) === index;
+  const movieEntries = records.entries
+    .filter(entry => entry.sys.contentType?.sys.id === "movie")
+    .filter(unique);
+  const reviewEntries = records.entries
+    .filter(entry => entry.sys.contentType?.sys.id === "review")
+    .filter(unique);
+
+  const slugs = {};
+  movieEntries.forEach(entry => {
+    slugs[entry.sys.id] = slugify(localizeRecord(entry, defaultLocale, defaultLocale).fields.title || "Untitled");
+  });
+
+  const byLocale = locales.map(locale => {
+    const links = {
+      assets: indexRecords(records.assets, locale, defaultLocale),
+      entries: indexRecords(records.entries, locale, defaultLocale)
+    };
+
+    return movieEntries.map(entry => {
+      const slug = slugs[entry.sys.id];
+      const translations = locales.length > 1
+        ? locales.map(other => ({ locale: other, url: localizedUrl(slug, other, defaultLocale) }))
+        : [];
+
+      const reviews = reviewEntries
+        .map(review => links.entries[review.sys.id])
+        .filter(review => review.fields.movie?.sys?.id === entry.sys.id);
+
+      // Convert to canonical movie objects (see lib/movie-model.cjs)
+      return fromContentfulEntry(links.entries[entry.sys.id], links, {
+        locale,
+        slug,
+        url: localizedUrl(slug, locale, defaultLocale),
+        translations,
+        reviews
       });
+    }).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  });
+
+  return { movies: byLocale[0], localizedMovies: byLocale.slice(1).flat() };
+}
+
+/**
+ * Read the current cmsData.json snapshot
+ * @param {string} outputPath - Path to cmsData.json
+ * @returns {Object} { movies, localizedMovies, meta } (empty when the file is missing or unreadable)
+ */
+export function readSnapshot(outputPath) {
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(outputPath, "utf-8"));
+    return {
+      movies: snapshot.movies || [],
+      localizedMovies: snapshot.localizedMovies || [],
+      meta: snapshot.meta || {}
+    };
+  } catch (error) {
+    return { movies: [], localizedMovies: [], meta: {} };
+  }
+}
+
+/**
+ * Write cmsData.json with its fetch metadata
+ * meta fields:
+ *   lastAttemptAt - when the last fetch was attempted
+ *   lastSuccessAt - when the movies were last fetched successfully
+ *   entryCount    - number of movies in the snapshot (default locale)
+ *   locales       - locales in the snapshot (default first)
+ *   mode          - "sync" or "full"
+ *   error         - message of the last failed attempt (null after a success)
+ *   stale         - true when the movies are older than the last attempt
+ * @param {string} outputPath - Path to cmsData.json
+ * @param {Object} snapshot - { movies, localizedMovies } canonical movies
+ * @param {Object} meta - Fetch metadata
+ */
+function writeSnapshot(outputPath, { movies, localizedMovies }, meta) {
+  const data = { meta: { ...meta, entryCount: movies.length }, movies, localizedMovies };
+  fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Fetch movies from Contentful and save them to cmsData.json
+ * On failure the previous snapshot is kept and marked stale, unless `strict` is set
+ * @param {Object} options
+ * @param {boolean} options.sync - Use the Sync API instead of a full refresh
+ * @param {boolean} options.strict - Throw instead of falling back to the last snapshot (default: CMS_FETCH_STRICT)
+ * @param {string} options.dataDir - Folder to write cmsData.json to
+ * @throws {Error} In strict mode, when credentials are missing or the fetch fails;
+ *   with the production profile, whenever credentials are missing
+ */
+export async function fetchContentfulData({
+  sync = false,
+  strict,
+  dataDir = path.join(__dirname, "_data")
+} = {}) {
+  const appConfig = loadConfig();
+  const config = appConfig.contentful;
+  strict = strict ?? appConfig.cms.strict;
+  const outputPath = path.join(dataDir, "cmsData.json");
+  const statePath = path.join(dataDir, SYNC_STATE_FILE);
+  const previous = readSnapshot(outputPath);
+  const attemptedAt = new Date().toISOString();
+  const mode = sync ? "sync" : "full";
+
+  // Keep the last-known-good movies and record why they weren't refreshed
+  const keepLastKnownGood = error => {
+    if (strict) {
+      throw error;
     }
-    
-    // Convert to movie objects
-    const movies = data.items.map(item => {
-      const fields = item.fields;
-      
-      // Poster field is a LIST (Media - many files)
-      let posterId = null;
-      if (Array.isArray(fields.poster) && fields.poster.length > 0) {
-        posterId = fields.poster[0].sys.id; // Take first image
-      }
-      
-      return {
-        id: item.sys.id,
-        title: fields.title || "Untitled",
-        director: fields.director || "Unknown",
-        releaseYear: fields.releaseYear || 0,
-        genre: fields.genre || "Unknown",
-        rating: fields.rating || 0,
-        description: fields.description || "",
-        poster: posterId ? assets[posterId] : "https://via.placeholder.com/300x450",
-        source: "contentful",
-        createdAt: item.sys.createdAt,
-        updatedAt: item.sys.updatedAt
-      };
+
+    console.warn(previous.meta.lastSuccessAt
+      ? `   Keeping last-known-good cmsData.json (${previous.movies.length} movies from ${previous.meta.lastSuccessAt})`
+      : `   Keeping existing cmsData.json (${previous.movies.length} movies)`);
+
+    writeSnapshot(outputPath, previous, {
+      ...previous.meta,
+      lastAttemptAt: attemptedAt,
+      lastSuccessAt: previous.meta.lastSuccessAt || null,
+      mode,
+      error: redact(error.message, appConfig),
+      stale: true
     });
-    
-    console.log(`✅ Loaded ${movies.length} movies from Contentful`);
-    
+  };
+
+  console.log(`🔍 Checking Contentful credentials (${appConfig.profile} profile)...`);
+  console.log("   Config:", JSON.stringify(describeConfig(appConfig).contentful));
+
+  const problems = validateConfig(appConfig, "contentful");
+  if (problems.length > 0) {
+    // Production builds must not quietly ship an old snapshot
+    if (appConfig.settings.contentfulRequired) {
+      requireConfig(appConfig, "contentful");
+    }
+
+    console.warn("⚠️  Missing Contentful environment variables!");
+    problems.forEach(problem => console.warn(`   - ${problem}`));
+    keepLastKnownGood(new Error(`Missing Contentful configuration: ${problems.map(problem => problem.split(" ")[0]).join(", ")}`));
+    return;
+  }
+
+  try {
+    let records;
+    let syncState = null;
+
+    if (sync) {
+      // Recordings are one snapshot: a replayed sync always starts from the recorded
+      // initial sync, and never touches the real sync token
+      const replaying = appConfig.fixtures.mode === "replay";
+      const state = readSyncState(replaying ? null : statePath);
+      console.log(state.syncToken
+        ? "🔄 Syncing changes from Contentful..."
+        : "🎬 Running initial sync from Contentful...");
+
+      const changes = await syncContentful(config, state);
+      console.log(`   ${changes.created} created, ${changes.updated} updated, ${changes.deleted} deleted`);
+
+      records = { entries: Object.values(state.entries), assets: Object.values(state.assets) };
+      syncState = replaying ? null : state;
+    } else {
+      console.log("🎬 Fetching movies from Contentful...");
+      records = await fetchAllRecords(config);
+    }
+
+    const { movies, localizedMovies } = buildMovies(records, config.locales);
+
+    console.log(`✅ Loaded ${movies.length} movies from Contentful (${config.locales.join(", ")})`);
+
     // Save to JSON file
-    const outputPath = path.join(__dirname, "_data", "cmsData.json");
-    fs.writeFileSync(outputPath, JSON.stringify({ movies }, null, 2));
-    
+    writeSnapshot(outputPath, { movies, localizedMovies }, {
+      lastAttemptAt: attemptedAt,
+      lastSuccessAt: attemptedAt,
+      locales: config.locales,
+      mode,
+      error: null,
+      stale: false
+    });
+
+    // Only advance the sync token once the movies it covers are saved
+    if (syncState) {
+      fs.writeFileSync(statePath, JSON.stringify(syncState, null, 2));
+    }
+
     console.log(`💾 Saved CMS data to ${outputPath}`);
-    
+
   } catch (error) {
-    console.error("❌ Error loading Contentful data:", error.message);
-    console.warn("   Creating empty cmsData.json file...");
-    fs.writeFileSync(
-      path.join(__dirname, "_data", "cmsData.json"),
-      JSON.stringify({ movies: [] }, null, 2)
-    );
+    console.error("❌ Error loading Contentful data:", redact(error.message, appConfig));
+    keepLastKnownGood(error);
   }
 }
 
-fetchContentfulData();
+// Only run when executed directly (not when imported by other scripts)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const dataDirArg = args.find(arg => arg.startsWith("--data-dir="));
+
+  fetchContentfulData({
+    sync: args.includes("--sync"),
+    ...(args.includes("--strict") && { strict: true }),
+    ...(dataDirArg && { dataDir: path.resolve(dataDirArg.split("=")[1]) })
+  }).catch(error => {
+    console.error(`❌ Failing the build: ${redact(error.message, loadConfig())}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,218 @@
+/*
+  File: fetch-omdb-data.js
+  Description: Optional pre-build step that looks up every movie on OMDB once and saves
+               runtime, cast, plot and IMDb rating to _data/omdbData.json, so movie pages
+               ship with the "Live OMDB Data" box already filled in
+  Author: Sai Trivedi
+  Date: 2026-10-19
+
+  Usage:
+    node fetch-omdb-data.js                 Look up new movies and entries older than OMDB_ENRICH_MAX_AGE
+    node fetch-omdb-data.js --force         Look up every movie again
+    node fetch-omdb-data.js --max-age=3600  Override OMDB_ENRICH_MAX_AGE (seconds)
+    node fetch-omdb-data.js --data-dir=dir  Read cmsData.json from / write omdbData.json to another folder
+
+  Run it after fetch-cms-data.js: the movies are the same ones as collections.allMovies
+  (cmsData.json plus movies/*.md). Every entry records when it was fetched; js/live.js only
+  asks the serverless function again once an entry is stale. Without OMDB_API_KEY the step
+  is skipped and the existing omdbData.json (if any) is kept.
+*/
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import matter from "gray-matter";
+import { loadConfig, redact, validateConfig } from "./lib/config.cjs";
+import { fromCmsRecord, fromMarkdown } from "./lib/movie-model.cjs";
+import { lookupMovie } from "./lib/omdb-client.cjs";
+import { OMDB_DATA_FILE, enrichmentKey, isFresh, lookupParams } from "./lib/omdb-enrichment.cjs";
+import { readSnapshot } from "./fetch-cms-data.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Read the local markdown movies the way Eleventy does (movies/movies.11tydata.cjs)
+ * @param {string} moviesDir - Folder with the markdown files
+ * @returns {Object[]} Canonical movies
+ */
+export function loadLocalMovies(moviesDir) {
+  return fs.readdirSync(moviesDir)
+    .filter(file => file.endsWith(".md"))
+    .map(file => {
+      const inputPath = path.join(moviesDir, file);
+      const fileSlug = path.basename(file, ".md");
+      const { data } = matter(fs.readFileSync(inputPath, "utf-8"));
+
+      return fromMarkdown(data, {
+        fileSlug,
+        inputPath,
+        url: `/movies/${fileSlug}/`,
+        date: fs.statSync(inputPath).birthtime
+      });
+    });
+}
+
+/**
+ * Every movie of collections.allMovies, once per enrichment key
+ * @param {string} dataDir - Folder with cmsData.json
+ * @param {string} moviesDir - Folder with the markdown movies
+ * @returns {Object[]} Canonical movies
+ */
+export function loadMovies(dataDir, moviesDir) {
+  const cmsMovies = readSnapshot(path.join(dataDir, "cmsData.json")).movies.map(fromCmsRecord);
+  const movies = [...cmsMovies, ...loadLocalMovies(moviesDir)];
+
+  return movies.filter((movie, index) =>
+    movies.findIndex(other => enrichmentKey(other) === enrichmentKey(movie)) === index);
+}
+
+/**
+ * Read the current omdbData.json
+ * @param {string} outputPath - Path to omdbData.json
+ * @returns {Object} { meta, entries } (empty when the file is missing or unreadable)
+ */
+export function readOmdbData(outputPath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(outputPath, "utf-8"));
+    return { meta: data.meta || {}, entries: data.entries || {} };
+  } catch (error) {
+    return { meta: {}, entries: {} };
+  }
+}
+
+/**
+ * Look up the movies whose entries are missing or stale
+ * Entry fields:
+ *   key       - enrichmentKey() of the movie
+ *   query     - OMDB lookup parameters used
+ *   status    - "found", "not-found" or "error" (never fetched successfully)
+ *   fetchedAt - when the data was fetched (null for "error")
+ *   data      - movie fields from lib/omdb-client.cjs toMovieData() (null unless found)
+ *   error     - message of the last failed attempt (only while it keeps failing)
+ * A failed lookup keeps the previous data, so one bad run doesn't empty the pages.
+ * @param {Object[]} movies - Canonical movies from loadMovies()
+ * @param {Object} options
+ * @param {string} options.apiKey - OMDB API key
+ * @param {Object} options.entries - Entries from readOmdbData()
+ * @param {number} options.maxAge - Seconds an entry stays fresh
+ * @param {boolean} options.force - Look up fresh entries too
+ * @param {Function} options.redactError - Turns an error into a loggable message
+ * @returns {Promise<Object>} { entries, counts } - entries for the given movies only
+ */
+export async function enrichMovies(movies, { apiKey, entries, maxAge, force = false, redactError = String }) {
+  const updated = {};
+  const counts = { fresh: 0, found: 0, notFound: 0, failed: 0 };
+
+  for (const movie of movies) {
+    const key = enrichmentKey(movie);
+    const previous = entries[key];
+
+    if (!force && isFresh(previous, maxAge)) {
+      updated[key] = previous;
+      counts.fresh++;
+      continue;
+    }
+
+    const query = lookupParams(movie);
+    try {
+      const result = await lookupMovie(apiKey, query);
+      // OMDB failing (502) is not the same as OMDB not knowing the movie (404)
+      if (result.statusCode !== 200 && result.statusCode !== 404) throw new Error(result.body.message);
+      const found = result.statusCode === 200;
+
+      updated[key] = {
+        key,
+        query,
+        status: found ? "found" : "not-found",
+        fetchedAt: new Date().toISOString(),
+        data: found ? result.body : null
+      };
+      counts[found ? "found" : "notFound"]++;
+    } catch (error) {
+      const message = redactError(error);
+      console.warn(`⚠️  OMDB lookup failed for ${key}: ${message}`);
+
+      updated[key] = previous && previous.status !== "error"
+        ? { ...previous, error: message }
+        : { key, query, status: "error", fetchedAt: null, data: null, error: message };
+      counts.failed++;
+    }
+  }
+
+  return { entries: updated, counts };
+}
+
+/**
+ * Enrich every movie with OMDB data and save it to omdbData.json
+ * Never fails the build over OMDB itself: missing keys skip the step and failed
+ * lookups are retried on the next run.
+ * @param {Object} options
+ * @param {boolean} options.force - Look up every movie again
+ * @param {number} options.maxAge - Seconds an entry stays fresh (default: OMDB_ENRICH_MAX_AGE)
+ * @param {string} options.dataDir - Folder with cmsData.json and omdbData.json
+ * @param {string} options.moviesDir - Folder with the markdown movies
+ */
+export async function fetchOmdbData({
+  force = false,
+  maxAge,
+  dataDir = path.join(__dirname, "_data"),
+  moviesDir = path.join(__dirname, "movies")
+} = {}) {
+  const appConfig = loadConfig();
+  maxAge = maxAge ?? appConfig.omdb.enrichMaxAge;
+  const outputPath = path.join(dataDir, OMDB_DATA_FILE);
+
+  const problems = validateConfig(appConfig, "omdb");
+  if (problems.length > 0) {
+    console.warn("⚠️  Skipping OMDB enrichment:");
+    problems.forEach(problem => console.warn(`   - ${problem}`));
+    console.warn("   Movie pages will load OMDB data in the browser instead");
+    return;
+  }
+
+  const movies = loadMovies(dataDir, moviesDir);
+  const previous = readOmdbData(outputPath);
+
+  console.log(`🎞️  Enriching ${movies.length} movies with OMDB data (${force ? "all entries" : `entries older than ${maxAge}s`})...`);
+
+  const { entries, counts } = await enrichMovies(movies, {
+    apiKey: appConfig.omdb.apiKey,
+    entries: previous.entries,
+    maxAge,
+    force,
+    redactError: error => redact(error.message, appConfig)
+  });
+
+  console.log(`   ${counts.found} found, ${counts.notFound} not on OMDB, ${counts.failed} failed, ${counts.fresh} still fresh`);
+
+  // Sorted keys keep the file diff-friendly when it is committed
+  const sortedEntries = {};
+  Object.keys(entries).sort().forEach(key => { sortedEntries[key] = entries[key]; });
+
+  fs.writeFileSync(outputPath, JSON.stringify({
+    meta: {
+      lastRunAt: new Date().toISOString(),
+      maxAge,
+      entryCount: Object.keys(sortedEntries).length
+    },
+    entries: sortedEntries
+  }, null, 2));
+
+  console.log(`💾 Saved OMDB data to ${outputPath}`);
+}
+
+// Only run when executed directly (not when imported by other scripts)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const maxAgeArg = args.find(arg => arg.startsWith("--max-age="));
+  const dataDirArg = args.find(arg => arg.startsWith("--data-dir="));
+
+  fetchOmdbData({
+    force: args.includes("--force"),
+    ...(maxAgeArg && { maxAge: parseInt(maxAgeArg.split("=")[1], 10) }),
+    ...(dataDirArg && { dataDir: path.resolve(dataDirArg.split("=")[1]) })
+  }).catch(error => {
+    console.error(`❌ OMDB enrichment failed: ${redact(error.message, loadConfig())}`);
+    process.exit(1);
+  });
+}
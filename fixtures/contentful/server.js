@@ -0,0 +1,132 @@
+/*
+  File: fixtures/contentful/server.js
+  Description: Mock Contentful delivery + Sync API serving the JSON fixtures in this folder.
+               Lets fetch-cms-data.js run without real credentials or network access.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+
+  Usage:
+    node fixtures/contentful/server.js            # listens on http://localhost:4010
+    CONTENTFUL_HOST=http://localhost:4010 CONTENTFUL_SPACE_ID=mock CONTENTFUL_ACCESS_TOKEN=mock \
+      node fetch-cms-data.js --sync --data-dir=/tmp/movielog-data
+
+  Sync tokens walk through sync.json: the initial sync spans two pages,
+  `token-1` updates one entry, adds one and deletes one, `token-2` has no changes.
+  Querying a content type the space doesn't have is a 400 InvalidQuery, like Contentful.
+*/
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const entriesFixture = JSON.parse(fs.readFileSync(path.join(__dirname, "entries.json"), "utf-8"));
+const syncFixture = JSON.parse(fs.readFileSync(path.join(__dirname, "sync.json"), "utf-8"));
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - JSON body
+ */
+function sendJSON(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Contentful's answer to a query for a content type the space doesn't have
+ * @param {string} contentType - Requested content type
+ * @returns {Object} Error body
+ */
+function unknownContentType(contentType) {
+  return {
+    sys: { type: "Error", id: "InvalidQuery" },
+    message: "The query you sent was invalid. Probably a filter or ordering specification is not applicable to the type of a field.",
+    details: { errors: [{ name: "unknownContentType", value: contentType }] }
+  };
+}
+
+/**
+ * Paged /entries endpoint (honours content_type, skip and limit like Contentful)
+ * @param {URLSearchParams} params - Query string
+ * @param {string[]} contentTypes - Content types of the space
+ * @returns {Object} Entries response
+ */
+function entriesPage(params, contentTypes) {
+  const skip = Number(params.get("skip") || 0);
+  const limit = Number(params.get("limit") || 100);
+  const contentType = params.get("content_type");
+  const items = entriesFixture.items.filter(entry =>
+    contentTypes.includes(entry.sys.contentType.sys.id) && (!contentType || entry.sys.contentType.sys.id === contentType));
+
+  return {
+    sys: { type: "Array" },
+    total: items.length,
+    skip,
+    limit,
+    items: items.slice(skip, skip + limit),
+    includes: entriesFixture.includes
+  };
+}
+
+/**
+ * /sync endpoint: `initial=true` or `sync_token=<key in sync.json>`
+ * @param {URLSearchParams} params - Query string
+ * @param {string} syncUrl - Absolute URL of the sync endpoint (for next URLs)
+ * @returns {Object|null} Sync response, or null for an unknown token
+ */
+function syncPage(params, syncUrl) {
+  const key = params.get("initial") === "true" ? "initial" : params.get("sync_token");
+  const page = syncFixture[key];
+  if (!page) return null;
+
+  const response = { sys: { type: "Array" }, items: page.items };
+  if (page.nextPageUrl) response.nextPageUrl = `${syncUrl}?sync_token=${page.nextPageUrl}`;
+  if (page.nextSyncUrl) response.nextSyncUrl = `${syncUrl}?sync_token=${page.nextSyncUrl}`;
+  return response;
+}
+
+/**
+ * Create (but don't start) the mock server
+ * @param {Object} options
+ * @param {string[]} options.contentTypes - Content types of the space (default: every type in entries.json)
+ * @returns {http.Server}
+ */
+export function createMockContentfulServer({
+  contentTypes = [...new Set(entriesFixture.items.map(entry => entry.sys.contentType.sys.id))]
+} = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (!req.headers.authorization?.startsWith("Bearer ")) {
+      return sendJSON(res, 401, { sys: { id: "AccessTokenInvalid" }, message: "Missing access token" });
+    }
+
+    if (/^\/spaces\/[^/]+\/environments\/[^/]+\/entries$/.test(url.pathname)) {
+      const contentType = url.searchParams.get("content_type");
+      return contentType && !contentTypes.includes(contentType)
+        ? sendJSON(res, 400, unknownContentType(contentType))
+        : sendJSON(res, 200, entriesPage(url.searchParams, contentTypes));
+    }
+
+    if (/^\/spaces\/[^/]+\/environments\/[^/]+\/sync$/.test(url.pathname)) {
+      const page = syncPage(url.searchParams, `${url.origin}${url.pathname}`);
+      return page
+        ? sendJSON(res, 200, page)
+        : sendJSON(res, 400, { sys: { id: "BadRequest" }, message: "Unknown sync token" });
+    }
+
+    sendJSON(res, 404, { sys: { id: "NotFound" }, message: "The resource could not be found." });
+  });
+}
+
+// Only listen when executed directly (tests can import createMockContentfulServer)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT || 4010);
+  createMockContentfulServer().listen(port, () => {
+    console.log(`🧪 Mock Contentful listening on http://localhost:${port}`);
+  });
+}
@@ -3,51 +3,301 @@
  * Description: Client-side JavaScript for loading dynamic movie data from serverless function
  * Author: Sai Trivedi
  * Date: December 2025
- * 
+ *
  * This script demonstrates:
  * - Asynchronous programming with async/await
  * - Dynamic content loading in static sites
  * - State management in the browser
  * - DOM manipulation
  * - Error handling for network requests
+ *
+ * Every element with a data-movie-title attribute is a live data widget: the
+ * "Live OMDB Data" box on movie pages and the IMDb rating on movie cards.
+ * Fields inside a widget are marked with data-live-field (rating, runtime,
+ * genre, actors, plot). Widgets that start out `hidden` are only shown once
+ * they have data.
+ *
+ * - State is kept in localStorage with a TTL, a size limit and a version, so
+ *   it survives navigation between pages
+ * - Widgets for the same movie share one request; at most
+ *   MAX_CONCURRENT_REQUESTS run at a time
+ * - Loading again (e.g. when js/movie-list.js re-renders the grid) aborts the
+ *   requests of the previous load with an AbortController
  */
 
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const LIVE_FUNCTION_URL = '/.netlify/functions/movie';
+
+// Bump when the shape of cached data changes; older caches are discarded
+const LIVE_CACHE_VERSION = 2;
+const LIVE_CACHE_PREFIX = 'movielog:live:';
+const LIVE_CACHE_KEY = `${LIVE_CACHE_PREFIX}v${LIVE_CACHE_VERSION}`;
+
+// Found movies are kept for 6 hours, "not found" answers for 1 hour
+const LIVE_CACHE_TTL = 6 * 60 * 60 * 1000;
+const LIVE_NOT_FOUND_TTL = 60 * 60 * 1000;
+
+// Oldest entries are dropped beyond this
+const LIVE_CACHE_MAX_ENTRIES = 200;
+
+// The function allows 30 requests a minute per client (lib/rate-limit.cjs)
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// Names of the data-live-field elements and how each one is filled
+const LIVE_FIELDS = {
+  rating: data => (data.imdbRating !== 'N/A' ? `⭐ ${data.imdbRating}/10` : 'N/A'),
+  runtime: data => data.runtime,
+  genre: data => data.genre,
+  actors: data => data.actors,
+  plot: data => data.plot
+};
+
 // ============================================
 // STATE MANAGEMENT
 // ============================================
 
+/**
+ * Read the persisted state, dropping expired entries and caches of older versions
+ * @returns {Object} Entries keyed by IMDb ID (or title and year)
+ */
+function loadPersistedState() {
+  try {
+    // Caches written by older versions of this script can't be trusted
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(LIVE_CACHE_PREFIX) && key !== LIVE_CACHE_KEY)
+      .forEach(key => localStorage.removeItem(key));
+
+    const stored = JSON.parse(localStorage.getItem(LIVE_CACHE_KEY) || '{}');
+    const state = {};
+    Object.entries(stored).forEach(([key, entry]) => {
+      if (!isExpired(entry)) state[key] = entry;
+    });
+    return state;
+  } catch (error) {
+    // Storage disabled (private mode) or corrupted - start empty
+    console.warn('⚠️ Live data cache unavailable:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Has a state entry outlived its TTL?
+ * @param {Object} entry - { data, timestamp, notFound }
+ * @returns {boolean}
+ */
+function isExpired(entry) {
+  const ttl = entry.notFound ? LIVE_NOT_FOUND_TTL : LIVE_CACHE_TTL;
+  return !entry.timestamp || Date.now() - entry.timestamp >= ttl;
+}
+
 /**
  * Global state object to cache movie data
- * Prevents redundant API calls for the same movie
- * Key: movie title, Value: movie data object
+ * Prevents redundant API calls for the same movie, across page loads
+ * Key: IMDb ID (or title and year), Value: { data, timestamp, notFound }
+ */
+let liveMovieState = loadPersistedState();
+
+/**
+ * Write the state to localStorage, keeping the newest LIVE_CACHE_MAX_ENTRIES entries
  */
-let liveMovieState = {};
+function persistState() {
+  const entries = Object.entries(liveMovieState)
+    .filter(([, entry]) => !isExpired(entry))
+    .sort((a, b) => b[1].timestamp - a[1].timestamp)
+    .slice(0, LIVE_CACHE_MAX_ENTRIES);
+  liveMovieState = Object.fromEntries(entries);
+
+  try {
+    localStorage.setItem(LIVE_CACHE_KEY, JSON.stringify(liveMovieState));
+  } catch (error) {
+    // Quota exceeded or storage disabled - the in-memory state still works
+    console.warn('⚠️ Could not persist live data cache:', error.message);
+  }
+}
 
 /**
  * Save movie data to state
- * @param {string} title - Movie title (used as key)
- * @param {Object} data - Movie data to cache
+ * @param {string} key - IMDb ID, or title and year
+ * @param {Object|null} data - Movie data to cache (null when OMDB doesn't know the movie)
  */
-function saveToState(title, data) {
-  liveMovieState[title] = {
+function saveToState(key, data) {
+  liveMovieState[key] = {
     data: data,
     timestamp: Date.now(),
-    cached: true
+    notFound: data === null
   };
-  console.log(`✅ Saved "${title}" to state cache`);
+  persistState();
+  console.log(`✅ Saved "${key}" to state cache`);
 }
 
 /**
  * Retrieve movie data from state
- * @param {string} title - Movie title to look up
- * @returns {Object|null} Cached movie data or null if not found
+ * @param {string} key - IMDb ID, or title and year
+ * @returns {Object|null} { data, notFound } or null if not cached (or expired)
  */
-function getFromState(title) {
-  if (liveMovieState[title]) {
-    console.log(`♻️ Using cached state for "${title}"`);
-    return liveMovieState[title].data;
+function getFromState(key) {
+  const entry = liveMovieState[key];
+  if (!entry) return null;
+
+  if (isExpired(entry)) {
+    delete liveMovieState[key];
+    persistState();
+    return null;
   }
-  return null;
+
+  console.log(`♻️ Using cached state for "${key}"`);
+  return entry;
+}
+
+/**
+ * State key of a widget
+ * Same as the keys of _data/omdbData.json (lib/omdb-enrichment.cjs)
+ * @param {Element} widget - Element with the data-movie-* attributes
+ * @returns {string}
+ */
+function getStateKey(widget) {
+  const imdbId = widget.getAttribute('data-movie-imdb-id');
+  const movieTitle = widget.getAttribute('data-movie-title');
+  const movieYear = widget.getAttribute('data-movie-year');
+  return imdbId || `${movieTitle} (${movieYear || 'any year'})`;
+}
+
+/**
+ * Function query for a widget
+ * An IMDb ID identifies the exact movie; a bare title can match a remake
+ * @param {Element} widget - Element with the data-movie-* attributes
+ * @returns {URLSearchParams}
+ */
+function getQuery(widget) {
+  const imdbId = widget.getAttribute('data-movie-imdb-id');
+  const movieYear = widget.getAttribute('data-movie-year');
+  const query = new URLSearchParams(imdbId ? { imdbId } : { title: widget.getAttribute('data-movie-title') });
+  if (!imdbId && movieYear) query.set('year', movieYear);
+  return query;
+}
+
+/**
+ * OMDB data rendered into the widget at build time (fetch-omdb-data.js)
+ * @param {Element} widget - Element with the data-omdb-* attributes
+ * @returns {Object|null} { status, fetchedAt, stale } or null when the widget has none
+ */
+function getBuildTimeData(widget) {
+  const fetchedAt = widget.getAttribute('data-omdb-fetched-at');
+  if (!fetchedAt) return null;
+
+  const maxAge = parseInt(widget.getAttribute('data-omdb-max-age'), 10) || 0;
+  return {
+    status: widget.getAttribute('data-omdb-status'),
+    fetchedAt,
+    stale: Date.now() - new Date(fetchedAt).getTime() >= maxAge * 1000
+  };
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+// Requests still running, by state key: { promise, signal }
+const inFlightRequests = new Map();
+
+// Controller of the latest loadLiveMovieData() call
+let currentLoad = null;
+
+// Set after a 429 so no more requests are sent until the window resets
+let rateLimitedUntil = 0;
+
+// Set when the function isn't available (e.g. a plain static server), so the rest of the page doesn't try
+let functionUnavailable = false;
+
+/**
+ * Fetch one movie from the serverless function
+ * @param {URLSearchParams} query - From getQuery()
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object|null>} Movie data, or null when OMDB doesn't know the movie
+ */
+async function fetchLiveData(query, signal) {
+  if (functionUnavailable) {
+    throw new Error('Serverless function not available. Run "npm start" or deploy to Netlify to see live data.');
+  }
+  if (Date.now() < rateLimitedUntil) {
+    throw new Error('Too many requests, live data paused for a moment');
+  }
+
+  // Construct serverless function URL
+  const functionUrl = `${LIVE_FUNCTION_URL}?${query}`;
+  console.log(`🌐 Fetching from: ${functionUrl}`);
+
+  // Asynchronous fetch using async/await
+  const response = await fetch(functionUrl, { signal });
+
+  if (response.status === 404) {
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('text/html')) {
+      // Serverless function not available (likely running locally)
+      functionUnavailable = true;
+      throw new Error('Serverless function not available. Run "npm start" or deploy to Netlify to see live data.');
+    }
+    return null;
+  }
+
+  if (response.status === 429) {
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10) || 60;
+    rateLimitedUntil = Date.now() + retryAfter * 1000;
+    throw new Error(`Too many requests, try again in ${retryAfter} seconds`);
+  }
+
+  // Check if the request was successful
+  if (!response.ok) {
+    // Try to parse error as JSON
+    let errorData = null;
+    try {
+      errorData = await response.json();
+      console.error('Error response from function:', errorData);
+    } catch (e) {
+      console.error('Could not parse error response:', e);
+    }
+    throw new Error(errorData?.message || errorData?.error || `Failed to load data (HTTP ${response.status})`);
+  }
+
+  // Parse JSON response asynchronously
+  return response.json();
+}
+
+/**
+ * Fetch one movie, sharing the request with anyone already waiting for the same key
+ * @param {string} key - State key
+ * @param {URLSearchParams} query - From getQuery()
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object|null>}
+ */
+function requestLiveData(key, query, signal) {
+  const running = inFlightRequests.get(key);
+  if (running && !running.signal.aborted) return running.promise;
+
+  const promise = fetchLiveData(query, signal).finally(() => {
+    if (inFlightRequests.get(key)?.promise === promise) inFlightRequests.delete(key);
+  });
+  inFlightRequests.set(key, { promise, signal });
+  return promise;
+}
+
+/**
+ * Run async tasks with at most `limit` of them at a time
+ * @param {Function[]} tasks - Functions returning promises
+ * @param {number} limit - Maximum concurrent tasks
+ * @returns {Promise<void>}
+ */
+async function runWithLimit(tasks, limit) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+    while (next < tasks.length) {
+      await tasks[next++]();
+    }
+  });
+  await Promise.all(workers);
 }
 
 // ============================================
@@ -57,94 +307,101 @@ function getFromState(title) {
 /**
  * Main function to load live movie data from serverless function
  * Uses async/await for clean asynchronous code
+ * @param {Object} options
+ * @param {ParentNode} options.root - Where to look for widgets (default: the whole page)
+ * @param {boolean} options.force - Refresh even when cached or fresh at build time
+ * @returns {Promise<void>}
  */
-async function loadLiveMovieData() {
-  try {
-    // Get movie title from data attribute on the page
-    const movieElement = document.querySelector('[data-movie-title]');
-    
-    if (!movieElement) {
-      console.warn('⚠️ No element with data-movie-title attribute found');
-      return;
-    }
+async function loadLiveMovieData({ root = document, force = false } = {}) {
+  // A new load replaces the previous one (e.g. the grid was re-rendered)
+  if (currentLoad) currentLoad.abort();
+  const controller = new AbortController();
+  currentLoad = controller;
+
+  const widgets = Array.from(root.querySelectorAll('[data-movie-title]'));
+  if (root.matches && root.matches('[data-movie-title]')) widgets.unshift(root);
+
+  if (widgets.length === 0) {
+    console.log('📄 No live data widgets on this page');
+    return;
+  }
 
-    const movieTitle = movieElement.getAttribute('data-movie-title');
-    
-    if (!movieTitle) {
+  // Group widgets by movie so each one is requested once
+  const groups = new Map();
+  widgets.forEach(widget => {
+    if (!widget.getAttribute('data-movie-title') && !widget.getAttribute('data-movie-imdb-id')) {
       console.warn('⚠️ Movie title is empty');
-      updateUIWithError('Movie title not specified');
+      updateUIWithError(widget, 'Movie title not specified');
       return;
     }
 
-    console.log(`🎬 Loading live data for: ${movieTitle}`);
+    // Pages built with fetch-omdb-data.js already show the data; only refresh stale values
+    const buildTimeData = getBuildTimeData(widget);
+    if (buildTimeData && !buildTimeData.stale && !force) return;
+
+    const key = getStateKey(widget);
+    if (!groups.has(key)) groups.set(key, { query: getQuery(widget), widgets: [] });
+    groups.get(key).widgets.push({ widget, buildTimeData });
+  });
 
+  const tasks = [];
+  groups.forEach(({ query, widgets: group }, key) => {
     // ============================================
     // STATE MANAGEMENT CHECK
     // ============================================
-    // Check if data already exists in state
-    const cachedData = getFromState(movieTitle);
-    
-    if (cachedData) {
-      // Reuse cached data instead of making another API call
-      console.log('📦 Using cached data from state');
-      updateUI(cachedData);
-      return; // Early return - no need to fetch
+    // Reuse cached data instead of making another API call
+    const cached = force ? null : getFromState(key);
+    if (cached) {
+      group.forEach(({ widget }) => showResult(widget, cached.data));
+      return;
     }
 
-    // ============================================
-    // ASYNCHRONOUS API CALL
-    // ============================================
-    // Show loading state
-    updateUILoading();
-
-    // Construct serverless function URL
-    const functionUrl = `/.netlify/functions/movie?title=${encodeURIComponent(movieTitle)}`;
-    
-    console.log(`🌐 Fetching from: ${functionUrl}`);
-
-    // Asynchronous fetch using async/await
-    const response = await fetch(functionUrl);
-
-    // Check if the request was successful
-    if (!response.ok) {
-      // Check if response is HTML (404 page) instead of JSON
-      const contentType = response.headers.get('content-type');
-      
-      if (contentType && contentType.includes('text/html')) {
-        // Serverless function not available (likely running locally)
-        throw new Error('Serverless function not available. Deploy to Netlify to see live data.');
-      }
-      
-      // Try to parse error as JSON
+    // Show loading state (build-time values stay visible while refreshing)
+    group.forEach(({ widget, buildTimeData }) => {
+      if (!buildTimeData) updateUILoading(widget);
+    });
+
+    tasks.push(async () => {
+      if (controller.signal.aborted) return;
+
       try {
-        const errorData = await response.json();
-        console.error('Error response from function:', errorData);
-        throw new Error(errorData.message || errorData.error || `HTTP ${response.status}`);
-      } catch (e) {
-        if (e.message.includes('Serverless function')) throw e;
-        console.error('Could not parse error response:', e);
-        throw new Error(`Failed to load data (HTTP ${response.status})`);
-      }
-    }
+        console.log(`🎬 Loading live data for: ${key}`);
+        const movieData = await requestLiveData(key, query, controller.signal);
 
-    // Parse JSON response asynchronously
-    const movieData = await response.json();
-    
-    console.log('✅ Successfully fetched live movie data:', movieData);
+        // ============================================
+        // STATE MANAGEMENT - SAVE
+        // ============================================
+        saveToState(key, movieData);
+        if (controller.signal.aborted) return;
+        group.forEach(({ widget }) => showResult(widget, movieData));
 
-    // ============================================
-    // STATE MANAGEMENT - SAVE
-    // ============================================
-    // Save to state for future use
-    saveToState(movieTitle, movieData);
+      } catch (error) {
+        // Cancelled because a newer load took over
+        if (error.name === 'AbortError' || controller.signal.aborted) return;
 
-    // Update the user interface with fetched data
-    updateUI(movieData);
+        group.forEach(({ widget, buildTimeData }) => {
+          if (buildTimeData && buildTimeData.status === 'found') {
+            console.warn(`⚠️ Refresh failed, keeping build-time OMDB data from ${buildTimeData.fetchedAt}:`, error.message);
+          } else {
+            console.error(`❌ Error loading live movie data for ${key}:`, error);
+            updateUIWithError(widget, error.message);
+          }
+        });
+      }
+    });
+  });
 
-  } catch (error) {
-    // Handle any errors during the fetch process
-    console.error('❌ Error loading live movie data:', error);
-    updateUIWithError(error.message);
+  console.log(`🎬 ${widgets.length} widgets, ${groups.size} movies to load, ${tasks.length} requests`);
+  await runWithLimit(tasks, MAX_CONCURRENT_REQUESTS);
+}
+
+/**
+ * Cancel the requests of the current load (their widgets keep what they show)
+ */
+function abortLiveMovieData() {
+  if (currentLoad) {
+    currentLoad.abort();
+    currentLoad = null;
   }
 }
 
@@ -152,93 +409,90 @@ async function loadLiveMovieData() {
 // DOM MANIPULATION FUNCTIONS
 // ============================================
 
+/**
+ * Show a lookup result in a widget
+ * @param {Element} widget - Live data widget
+ * @param {Object|null} data - Movie data, or null when OMDB doesn't know the movie
+ */
+function showResult(widget, data) {
+  if (data) updateUI(widget, data);
+  else updateUIWithError(widget, 'Movie not found');
+}
+
 /**
  * Update UI elements with loading state
+ * @param {Element} widget - Live data widget
  */
-function updateUILoading() {
-  const elements = {
-    'live-rating': '⏳ Loading...',
-    'live-runtime': '⏳ Loading...',
-    'live-genre': '⏳ Loading...',
-    'live-actors': '⏳ Loading...',
-    'live-plot': '⏳ Loading...'
-  };
+function updateUILoading(widget) {
+  // Hidden widgets (cards without data) appear once the data is there
+  if (widget.hidden) return;
 
-  Object.keys(elements).forEach(id => {
-    const element = document.getElementById(id);
-    if (element) {
-      element.textContent = elements[id];
-      element.style.fontStyle = 'italic';
-      element.style.color = '#666';
-    }
+  widget.querySelectorAll('[data-live-field]').forEach(element => {
+    element.textContent = '⏳ Loading...';
+    element.style.fontStyle = 'italic';
+    element.style.color = '#666';
   });
 }
 
 /**
  * Update UI elements with fetched movie data
+ * @param {Element} widget - Live data widget
  * @param {Object} data - Movie data from serverless function
  */
-function updateUI(data) {
-  // Map data to DOM elements
-  const updates = {
-    'live-rating': data.imdbRating !== 'N/A' ? `⭐ ${data.imdbRating}/10` : 'N/A',
-    'live-runtime': data.runtime,
-    'live-genre': data.genre,
-    'live-actors': data.actors,
-    'live-plot': data.plot
-  };
+function updateUI(widget, data) {
+  // Update each field
+  widget.querySelectorAll('[data-live-field]').forEach(element => {
+    const format = LIVE_FIELDS[element.getAttribute('data-live-field')];
+    if (!format) return;
 
-  // Update each element
-  Object.keys(updates).forEach(id => {
-    const element = document.getElementById(id);
-    if (element) {
-      element.textContent = updates[id];
-      element.style.fontStyle = 'normal';
-      element.style.color = 'inherit';
-      
-      // Add fade-in animation
-      element.style.opacity = '0';
-      setTimeout(() => {
-        element.style.transition = 'opacity 0.5s ease-in';
-        element.style.opacity = '1';
-      }, 100);
-    }
+    element.textContent = format(data);
+    element.style.fontStyle = 'normal';
+    element.style.color = 'inherit';
+
+    // Add fade-in animation
+    element.style.opacity = '0';
+    setTimeout(() => {
+      element.style.transition = 'opacity 0.5s ease-in';
+      element.style.opacity = '1';
+    }, 100);
   });
 
-  console.log('✅ UI updated successfully');
+  const sourceElement = widget.querySelector('[data-live-source]');
+  if (sourceElement) {
+    sourceElement.textContent = '💡 Refreshed from OMDB API via Netlify serverless function';
+  }
+
+  widget.hidden = false;
 }
 
 /**
  * Update UI elements with error state
+ * Widgets that are still hidden (cards without data) simply stay hidden
+ * @param {Element} widget - Live data widget
  * @param {string} errorMessage - Error message to display
  */
-function updateUIWithError(errorMessage) {
-  const elements = ['live-rating', 'live-runtime', 'live-genre', 'live-actors', 'live-plot'];
-  
-  elements.forEach(id => {
-    const element = document.getElementById(id);
-    if (element) {
-      element.textContent = 'N/A';
-      element.style.fontStyle = 'italic';
-      element.style.color = '#999';
-    }
+function updateUIWithError(widget, errorMessage) {
+  if (widget.hidden) return;
+
+  widget.querySelectorAll('[data-live-field]').forEach(element => {
+    element.textContent = 'N/A';
+    element.style.fontStyle = 'italic';
+    element.style.color = '#999';
   });
 
   // Display error message if plot element exists
-  const plotElement = document.getElementById('live-plot');
+  const plotElement = widget.querySelector('[data-live-field="plot"]');
   if (plotElement) {
     // Check if it's a movie not found error
     if (errorMessage.includes('not found') || errorMessage.includes('404')) {
       plotElement.textContent = 'This movie is not available in OMDB database (primarily Hollywood movies). Try viewing a Hollywood movie like "Inception" or "The Matrix" to see live data.';
     } else if (errorMessage.includes('not available')) {
-      plotElement.textContent = 'Live data available only on Netlify deployment. This movie may also not be in OMDB database.';
+      plotElement.textContent = 'Live data needs the serverless function (npm start, or a Netlify deployment). This movie may also not be in OMDB database.';
     } else {
       plotElement.textContent = `Unable to load live data: ${errorMessage}`;
     }
     plotElement.style.color = '#d32f2f';
   }
-
-  console.error('UI updated with error state');
 }
 
 // ============================================
@@ -250,32 +504,36 @@ function updateUIWithError(errorMessage) {
  */
 document.addEventListener('DOMContentLoaded', () => {
   console.log('🚀 Live movie data script initialized');
-  
-  // Check if we're on a movie detail page
-  const isMoviePage = document.querySelector('[data-movie-title]') !== null;
-  
-  if (isMoviePage) {
-    console.log('📄 Movie detail page detected - loading live data');
-    loadLiveMovieData();
-  } else {
-    console.log('📄 Not a movie detail page - skipping live data load');
-  }
+  loadLiveMovieData();
 });
 
+/**
+ * Load, cancel or clear live data from other scripts
+ * Usage: window.MovieLive.load({ root: grid })
+ */
+window.MovieLive = {
+  load: loadLiveMovieData,
+  abort: abortLiveMovieData,
+  clearCache() {
+    liveMovieState = {};
+    persistState();
+  }
+};
+
 /**
  * Optional: Expose function globally for manual refresh
  * Usage: window.refreshMovieData()
  */
 window.refreshMovieData = () => {
   console.log('🔄 Manual refresh triggered');
-  // Clear cached state for current movie
-  const movieElement = document.querySelector('[data-movie-title]');
-  if (movieElement) {
-    const title = movieElement.getAttribute('data-movie-title');
-    delete liveMovieState[title];
-    console.log(`🗑️ Cleared cache for "${title}"`);
-  }
-  loadLiveMovieData();
+  // Clear cached state for the movies on this page
+  document.querySelectorAll('[data-movie-title]').forEach(widget => {
+    const stateKey = getStateKey(widget);
+    delete liveMovieState[stateKey];
+    console.log(`🗑️ Cleared cache for "${stateKey}"`);
+  });
+  persistState();
+  return loadLiveMovieData({ force: true });
 };
 
 // Log current state (for debugging)
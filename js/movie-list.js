@@ -0,0 +1,443 @@
+/**
+ * File: movie-list.js
+ * Description: Client-side enhancement of the All Movies listing (movielist.njk)
+ * Author: Sai Trivedi
+ * Date: 2026-10-19
+ *
+ * Without JavaScript the listing is a set of pre-rendered pages per sort order
+ * (lib/movie-listing.cjs). This script adds:
+ * - Filtering by search, genre, year and minimum rating across the whole catalog
+ * - Sorting and pagination without page reloads
+ * - Filter, sort and page state in the query string (?q=&genre=&year=&rating=&sort=&page=)
+ *   so filtered views can be bookmarked and shared
+ *
+ * The catalog comes from the static JSON API (/api/v1/movies.json).
+ */
+
+(function () {
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CATALOG_URL = '/api/v1/movies.json';
+
+  // Where filtered views live (query string state is read on every listing page)
+  const LISTING_BASE = '/all-movies/';
+
+  const DEFAULT_SORT = 'year';
+
+  /**
+   * Timestamp of an ISO date string, or null
+   * @param {string|null} value - ISO date
+   * @returns {number|null}
+   */
+  function toTime(value) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Compare two possibly missing values; missing ones always sort last
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @param {Function} compare - Comparison for two present values
+   * @returns {number}
+   */
+  function compareMissingLast(a, b, compare) {
+    const missingA = a === null || a === undefined;
+    const missingB = b === null || b === undefined;
+    if (missingA || missingB) return Number(missingA) - Number(missingB);
+    return compare(a, b);
+  }
+
+  const byTitle = (a, b) => a.title.localeCompare(b.title);
+
+  // Mirror of SORT_ORDERS in lib/movie-listing.cjs
+  const SORT_ORDERS = {
+    year: (a, b) => compareMissingLast(a.year, b.year, (x, y) => y - x) || byTitle(a, b),
+    title: byTitle,
+    rating: (a, b) => compareMissingLast(a.rating, b.rating, (x, y) => y - x) || byTitle(a, b),
+    added: (a, b) => compareMissingLast(toTime(a.createdAt), toTime(b.createdAt), (x, y) => y - x) || byTitle(a, b)
+  };
+
+  // ============================================
+  // STATE
+  // ============================================
+
+  /**
+   * Read the listing state from the query string
+   * Falls back to the sort order and page of the pre-rendered page
+   * @param {HTMLElement} grid - #moviesGrid (carries data-sort / data-page)
+   * @returns {Object} { q, genre, year, rating, sort, page }
+   */
+  function readState(grid) {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get('sort');
+    const page = parseInt(params.get('page'), 10);
+
+    return {
+      q: params.get('q') || '',
+      genre: params.get('genre') || '',
+      year: params.get('year') || '',
+      rating: parseFloat(params.get('rating')) || 0,
+      sort: SORT_ORDERS[sort] ? sort : grid.dataset.sort || DEFAULT_SORT,
+      page: page > 0 ? page : parseInt(grid.dataset.page, 10) || 1
+    };
+  }
+
+  /**
+   * Shareable URL of a listing state (defaults are left out)
+   * @param {Object} state - Listing state
+   * @returns {string}
+   */
+  function stateUrl(state) {
+    const params = new URLSearchParams();
+    if (state.q) params.set('q', state.q);
+    if (state.genre) params.set('genre', state.genre);
+    if (state.year) params.set('year', state.year);
+    if (state.rating) params.set('rating', state.rating);
+    if (state.sort !== DEFAULT_SORT) params.set('sort', state.sort);
+    if (state.page > 1) params.set('page', state.page);
+
+    const query = params.toString();
+    return LISTING_BASE + (query ? `?${query}` : '');
+  }
+
+  // ============================================
+  // DATA LOADING
+  // ============================================
+
+  /**
+   * Load every movie from the paginated JSON API
+   * @returns {Promise<Object[]>} API movies (lib/catalog-api.cjs)
+   */
+  async function loadCatalog() {
+    const movies = [];
+    let url = CATALOG_URL;
+
+    while (url) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Catalog unavailable (HTTP ${response.status})`);
+      }
+      const listing = await response.json();
+      movies.push(...listing.items);
+      url = listing.next;
+    }
+
+    console.log(`✅ Loaded ${movies.length} movies for filtering`);
+    return movies;
+  }
+
+  /**
+   * Slugs matching a search query (full-text search from js/search.js)
+   * Falls back to a title match if the search index can't be loaded
+   * @param {string} query - Search query
+   * @param {Object[]} catalog - API movies
+   * @returns {Promise<Set<string>|null>} null when there is no query
+   */
+  async function searchSlugs(query, catalog) {
+    if (!query.trim()) return null;
+
+    try {
+      const results = await window.MovieSearch.search(query, { limit: Infinity });
+      return new Set(results.map(result => result.slug));
+    } catch (error) {
+      console.warn('⚠️ Search index unavailable, matching titles only:', error);
+      const lowerQuery = query.trim().toLowerCase();
+      return new Set(catalog
+        .filter(movie => movie.title.toLowerCase().includes(lowerQuery))
+        .map(movie => movie.slug));
+    }
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  /**
+   * Escape text for safe insertion as HTML
+   * @param {*} text - Raw text
+   * @returns {string}
+   */
+  function escapeHTML(text) {
+    return String(text === null || text === undefined ? '' : text).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+
+  /**
+   * Ratings are normalized to 0-10 at build time (lib/movie-model.cjs);
+   * mirror formatRating() there so labels match the site-wide display style
+   * @param {number|null} value - Rating out of 10
+   * @param {string} display - site.ratingDisplay
+   * @returns {string}
+   */
+  function formatRating(value, display) {
+    if (value === null || value === undefined) return 'N/A';
+
+    switch (display) {
+      case 'out-of-5':
+        return `${Math.round(value / 2 * 10) / 10}/5`;
+      case 'out-of-10':
+        return `${Math.round(value * 10) / 10}/10`;
+      case 'percent':
+        return `${Math.round(value * 10)}%`;
+      default: {
+        const halves = Math.round(value);
+        const full = Math.floor(halves / 2);
+        const half = halves % 2;
+        return '★'.repeat(full) + (half ? '½' : '') + '☆'.repeat(5 - full - half);
+      }
+    }
+  }
+
+  /**
+   * Poster markup (mirror of pictureHtml() in lib/images.cjs)
+   * @param {Object} movie - API movie
+   * @returns {string} HTML
+   */
+  function renderPoster(movie) {
+    const image = movie.posterImage;
+    const alt = escapeHTML(movie.posterAlt || '');
+    if (!image) {
+      return `<img src="${escapeHTML(movie.poster)}" alt="${alt}" loading="lazy" decoding="async" class="w-full h-96 object-cover">`;
+    }
+
+    const sizes = '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw';
+    const sources = ['avif', 'webp']
+      .filter(format => image.srcset[format])
+      .map(format => `<source type="image/${format}" srcset="${escapeHTML(image.srcset[format])}" sizes="${sizes}">`)
+      .join('');
+    const placeholder = image.placeholder ? ` style="background-image: url(${image.placeholder}); background-size: cover"` : '';
+
+    return `<picture>${sources}<img src="${escapeHTML(image.src)}"${image.srcset.jpeg ? ` srcset="${escapeHTML(image.srcset.jpeg)}" sizes="${sizes}"` : ''} width="${image.width}" height="${image.height}"${placeholder} alt="${alt}" loading="lazy" decoding="async" class="w-full h-96 object-cover"></picture>`;
+  }
+
+  /**
+   * Card markup for one movie (mirror of partials/moviecard.njk)
+   * @param {Object} movie - API movie
+   * @param {string} display - site.ratingDisplay
+   * @returns {string} HTML
+   */
+  function renderCard(movie, display) {
+    const badge = movie.source === 'contentful'
+      ? '<span class="absolute top-2 right-2 bg-green-500 text-white text-xs font-semibold px-3 py-1 rounded-full">Contentful</span>'
+      : '<span class="absolute top-2 right-2 bg-gray-500 text-white text-xs font-semibold px-3 py-1 rounded-full">Local</span>';
+    const genres = movie.genres.length
+      ? `<p class="text-gray-600 text-sm mb-2"><span class="font-semibold">Genre:</span> ${escapeHTML(movie.genres.join(', '))}</p>`
+      : '';
+
+    return `
+      <div class="movie-card bg-white rounded-lg shadow-md overflow-hidden hover:shadow-xl transition-shadow duration-300"
+           data-slug="${escapeHTML(movie.slug)}"
+           data-title="${escapeHTML(movie.title)}"
+           data-genre="${escapeHTML(movie.genres.join(','))}"
+           data-year="${escapeHTML(movie.year)}"
+           data-rating="${escapeHTML(movie.rating || 0)}">
+        <a href="${escapeHTML(movie.url)}" class="block">
+          <div class="relative">
+            ${renderPoster(movie)}
+            ${badge}
+          </div>
+          <div class="p-4">
+            <h3 class="text-xl font-bold text-gray-900 mb-2">${escapeHTML(movie.title)}</h3>
+            <p class="text-gray-600 text-sm mb-2"><span class="font-semibold">Director:</span> ${escapeHTML(movie.director)}</p>
+            ${genres}
+            <div class="flex justify-between items-center">
+              <span class="text-gray-500 text-sm">${escapeHTML(movie.year)}</span>
+              <span class="bg-yellow-400 text-yellow-900 text-sm font-bold px-2 py-1 rounded">${escapeHTML(formatRating(movie.rating, display))}</span>
+            </div>
+            <p class="live-card-rating text-gray-500 text-xs mt-2"
+               data-movie-title="${escapeHTML(movie.title)}"${movie.imdbId ? ` data-movie-imdb-id="${escapeHTML(movie.imdbId)}"` : ''} data-movie-year="${escapeHTML(movie.year || '')}" hidden>
+              <span class="font-semibold">IMDb:</span>
+              <span data-live-field="rating">N/A</span>
+            </p>
+          </div>
+        </a>
+        <div class="px-4 pb-4">
+          ${window.MyList ? window.MyList.controlsHTML(movie, { compact: true }) : ''}
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Page links (mirror of the server-rendered navigation in movielist.njk)
+   * @param {Object} state - Listing state
+   * @param {number} totalPages - Number of pages
+   * @returns {string} HTML
+   */
+  function renderPagination(state, totalPages) {
+    if (totalPages <= 1) return '';
+
+    const link = (page, label, current = false) => current
+      ? `<span class="listing-page listing-page--current" aria-current="page">${label}</span>`
+      : `<a href="${escapeHTML(stateUrl({ ...state, page }))}" class="listing-page" data-page="${page}">${label}</a>`;
+
+    const links = [];
+    if (state.page > 1) links.push(link(state.page - 1, '← Previous'));
+    for (let page = 1; page <= totalPages; page++) {
+      links.push(link(page, page, page === state.page));
+    }
+    if (state.page < totalPages) links.push(link(state.page + 1, 'Next →'));
+
+    return links.join('');
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  document.addEventListener('DOMContentLoaded', async () => {
+    const grid = document.getElementById('moviesGrid');
+    if (!grid) return;
+
+    const filters = document.getElementById('movieFilters');
+    const searchInput = document.getElementById('searchInput');
+    const genreFilter = document.getElementById('genreFilter');
+    const yearFilter = document.getElementById('yearFilter');
+    const ratingFilter = document.getElementById('ratingFilter');
+    const ratingValue = document.getElementById('ratingValue');
+    const resetButton = document.getElementById('resetFilters');
+    const movieCount = document.getElementById('movieCount');
+    const sortLinks = document.getElementById('sortLinks');
+    const pagination = document.getElementById('listingPagination');
+
+    const perPage = parseInt(grid.dataset.perPage, 10) || 12;
+    const display = ratingFilter.dataset.display;
+
+    let catalog;
+    try {
+      catalog = await loadCatalog();
+    } catch (error) {
+      // The pre-rendered pages still work; just leave filtering off
+      console.error('❌ Could not load the catalog, filters disabled:', error);
+      return;
+    }
+
+    let state = readState(grid);
+    let searchMatches = null;
+    let latestSearch = '';
+
+    // Populate genre and year filters from the whole catalog
+    const genres = new Set();
+    const years = new Set();
+    catalog.forEach(movie => {
+      movie.genres.forEach(genre => genres.add(genre));
+      if (movie.year) years.add(movie.year);
+    });
+
+    Array.from(genres).sort().forEach(genre => genreFilter.add(new Option(genre, genre)));
+    Array.from(years).sort((a, b) => b - a).forEach(year => yearFilter.add(new Option(year, year)));
+
+    /**
+     * Show the state in the form controls
+     */
+    function syncControls() {
+      // Don't touch the box while someone is typing in it
+      if (searchInput.value !== state.q) searchInput.value = state.q;
+      genreFilter.value = state.genre;
+      yearFilter.value = state.year;
+      ratingFilter.value = state.rating;
+      ratingValue.textContent = formatRating(state.rating, display);
+
+      sortLinks.querySelectorAll('[data-sort]').forEach(link => {
+        const current = link.dataset.sort === state.sort;
+        link.classList.toggle('listing-sort--current', current);
+        if (current) link.setAttribute('aria-current', 'true');
+        else link.removeAttribute('aria-current');
+      });
+    }
+
+    /**
+     * Filter, sort and paginate the catalog, then render the current page
+     */
+    function render() {
+      const matches = catalog
+        .filter(movie => !searchMatches || searchMatches.has(movie.slug))
+        .filter(movie => !state.genre || movie.genres.includes(state.genre))
+        .filter(movie => !state.year || String(movie.year) === state.year)
+        .filter(movie => (movie.rating || 0) >= state.rating)
+        .sort(SORT_ORDERS[state.sort]);
+
+      const totalPages = Math.max(1, Math.ceil(matches.length / perPage));
+      state.page = Math.min(state.page, totalPages);
+
+      const start = (state.page - 1) * perPage;
+      const pageMovies = matches.slice(start, start + perPage);
+
+      grid.innerHTML = pageMovies.map(movie => renderCard(movie, display)).join('');
+      pagination.innerHTML = renderPagination(state, totalPages);
+
+      // IMDb ratings of the new cards (js/live.js cancels the previous page's requests)
+      if (window.MovieLive) window.MovieLive.load({ root: grid });
+      // Watchlist state of the new cards (js/my-list.js)
+      if (window.MyList) window.MyList.render(grid);
+
+      movieCount.textContent = matches.length
+        ? `Showing ${start + 1}–${start + pageMovies.length} of ${matches.length} movies` +
+          (matches.length < catalog.length ? ` (filtered from ${catalog.length})` : '')
+        : catalog.length ? `No movies match these filters (${catalog.length} in total)` : 'No movies yet';
+    }
+
+    /**
+     * Apply a state change, record it in the URL and re-render
+     * @param {Object} changes - Changed state fields
+     * @param {boolean} push - New history entry (pages, sorting) or replace (typing, filters)
+     */
+    async function update(changes, push = false) {
+      state = { ...state, ...changes };
+
+      if ('q' in changes) {
+        const query = state.q;
+        latestSearch = query;
+        const slugs = await searchSlugs(query, catalog);
+        if (query !== latestSearch) return; // A newer search is already running
+        searchMatches = slugs;
+      }
+
+      syncControls();
+      render();
+
+      // After render() so an out-of-range page is already clamped
+      const url = stateUrl(state);
+      if (push) history.pushState(null, '', url);
+      else history.replaceState(null, '', url);
+    }
+
+    searchInput.addEventListener('input', () => update({ q: searchInput.value, page: 1 }));
+    genreFilter.addEventListener('change', () => update({ genre: genreFilter.value, page: 1 }));
+    yearFilter.addEventListener('change', () => update({ year: yearFilter.value, page: 1 }));
+    ratingFilter.addEventListener('input', () => update({ rating: parseFloat(ratingFilter.value), page: 1 }));
+
+    resetButton.addEventListener('click', () => update({ q: '', genre: '', year: '', rating: 0, page: 1 }, true));
+
+    sortLinks.addEventListener('click', event => {
+      const link = event.target.closest('[data-sort]');
+      if (!link) return;
+      event.preventDefault();
+      update({ sort: link.dataset.sort, page: 1 }, true);
+    });
+
+    pagination.addEventListener('click', event => {
+      const link = event.target.closest('[data-page]');
+      if (!link) return;
+      event.preventDefault();
+      update({ page: parseInt(link.dataset.page, 10) }, true);
+      grid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    // Back / forward between listing states
+    window.addEventListener('popstate', async () => {
+      state = readState(grid);
+      searchMatches = await searchSlugs(state.q, catalog);
+      syncControls();
+      render();
+    });
+
+    filters.hidden = false;
+    searchMatches = await searchSlugs(state.q, catalog);
+    syncControls();
+    render();
+  });
+})();
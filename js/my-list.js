@@ -0,0 +1,462 @@
+/**
+ * File: my-list.js
+ * Description: Personal watchlist, watched log and ratings, stored in the browser
+ * Author: Sai Trivedi
+ * Date: 2026-10-19
+ *
+ * This script provides:
+ * - "Watchlist", "Watched" (with the date) and a 5 star rating on movie pages
+ *   and movie cards (any element with data-my-list, see partials/my-list-controls.njk)
+ * - The /my-list/ page with All / Unwatched / Watched filters (?show=)
+ * - JSON export and import, so a list can move between browsers
+ *
+ * Everything lives in localStorage; nothing is sent to a server.
+ * Ratings are stored out of 10 like the canonical model (lib/movie-model.cjs).
+ * Other scripts use it through window.MyList (see movie-list.js).
+ */
+
+(function () {
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  // Bump the version (and migrate in readList) if the stored shape changes
+  const STORAGE_KEY = 'movielog:my-list:v1';
+
+  // Marks exported files so other JSON isn't imported by mistake
+  const EXPORT_TYPE = 'movielog-my-list';
+  const EXPORT_VERSION = 1;
+
+  // Each star is worth 2 points on the 0-10 scale
+  const STAR_VALUES = [2, 4, 6, 8, 10];
+
+  const FILTERS = {
+    all: () => true,
+    unwatched: item => !item.watchedAt,
+    watched: item => Boolean(item.watchedAt)
+  };
+
+  // ============================================
+  // STORAGE
+  // ============================================
+
+  /**
+   * Is a value a path on this site? `//host/...` and `/\host/...` lead to other sites
+   * @param {*} url - Value from localStorage or an import file
+   * @returns {boolean}
+   */
+  function isSitePath(url) {
+    return typeof url === 'string' && /^\/(?![/\\])/.test(url);
+  }
+
+  /**
+   * Clean up one stored or imported item
+   * @param {Object} raw - Item from localStorage or an import file
+   * @returns {Object|null} Item, or null when it has no usable slug
+   */
+  function normalizeItem(raw) {
+    if (!raw || typeof raw.slug !== 'string' || !/^[a-z0-9-]+$/.test(raw.slug)) return null;
+
+    const rating = parseInt(raw.rating, 10);
+    const year = parseInt(raw.year, 10);
+    const now = new Date().toISOString();
+
+    return {
+      slug: raw.slug,
+      title: String(raw.title || raw.slug),
+      url: isSitePath(raw.url) ? raw.url : `/movies/${raw.slug}/`,
+      poster: typeof raw.poster === 'string' ? raw.poster : '',
+      year: Number.isInteger(year) ? year : null,
+      watchlist: Boolean(raw.watchlist),
+      watchedAt: /^\d{4}-\d{2}-\d{2}$/.test(raw.watchedAt) ? raw.watchedAt : null,
+      rating: rating >= 1 && rating <= 10 ? rating : null,
+      addedAt: raw.addedAt || now,
+      updatedAt: raw.updatedAt || now
+    };
+  }
+
+  /**
+   * Items worth keeping have at least one of watchlist, watched date or rating
+   * @param {Object} item - List item
+   * @returns {boolean}
+   */
+  function isEmpty(item) {
+    return !item.watchlist && !item.watchedAt && !item.rating;
+  }
+
+  /**
+   * Read the list from localStorage
+   * @returns {Object} Items keyed by slug
+   */
+  function readList() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      const items = {};
+      Object.values(stored.items || {}).forEach(raw => {
+        const item = normalizeItem(raw);
+        if (item) items[item.slug] = item;
+      });
+      return items;
+    } catch (error) {
+      console.warn('⚠️ Could not read your list:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Save the list to localStorage
+   * @param {Object} items - Items keyed by slug
+   */
+  function writeList(items) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: EXPORT_VERSION, items }));
+    } catch (error) {
+      console.error('❌ Could not save your list:', error.message);
+    }
+  }
+
+  /**
+   * Change one movie in the list (removed when nothing is left on it)
+   * @param {Object} movie - { slug, title, url, poster, year }
+   * @param {Object} changes - Any of { watchlist, watchedAt, rating }
+   * @returns {Object|null} Updated item, or null when it was removed
+   */
+  function updateItem(movie, changes) {
+    const items = readList();
+    const item = normalizeItem({ ...items[movie.slug], ...movie, ...changes, updatedAt: new Date().toISOString() });
+    if (!item) return null;
+
+    if (isEmpty(item)) delete items[item.slug];
+    else items[item.slug] = item;
+
+    writeList(items);
+    console.log(`📝 Updated "${item.title}" in your list`);
+    return isEmpty(item) ? null : item;
+  }
+
+  // ============================================
+  // IMPORT / EXPORT
+  // ============================================
+
+  /**
+   * The whole list as an export file
+   * @returns {Object}
+   */
+  function exportList() {
+    return {
+      type: EXPORT_TYPE,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      items: Object.values(readList())
+    };
+  }
+
+  /**
+   * Merge an export file into the list; the most recently updated copy of a movie wins
+   * @param {Object} data - Parsed export file
+   * @returns {Object} { added, updated, unchanged, skipped }
+   * @throws {Error} When the file isn't a MovieLog list export
+   */
+  function importList(data) {
+    if (!data || data.type !== EXPORT_TYPE || !Array.isArray(data.items)) {
+      throw new Error('This file is not a MovieLog list export');
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error(`This file was exported by a newer version of MovieLog (version ${data.version})`);
+    }
+
+    const items = readList();
+    const counts = { added: 0, updated: 0, unchanged: 0, skipped: 0 };
+
+    data.items.forEach(raw => {
+      const item = normalizeItem(raw);
+      if (!item || isEmpty(item)) {
+        counts.skipped++;
+        return;
+      }
+
+      const existing = items[item.slug];
+      if (!existing) {
+        counts.added++;
+      } else if (item.updatedAt > existing.updatedAt) {
+        counts.updated++;
+      } else {
+        counts.unchanged++;
+        return;
+      }
+      items[item.slug] = item;
+    });
+
+    writeList(items);
+    console.log('📥 Imported list:', counts);
+    return counts;
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  /**
+   * Escape text for safe insertion as HTML
+   * @param {*} text - Raw text
+   * @returns {string}
+   */
+  function escapeHTML(text) {
+    return String(text === null || text === undefined ? '' : text).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+
+  /**
+   * Today as YYYY-MM-DD in the visitor's time zone
+   * @returns {string}
+   */
+  function today() {
+    return new Date().toLocaleDateString('en-CA');
+  }
+
+  /**
+   * YYYY-MM-DD as e.g. "Oct 19, 2026"
+   * @param {string} date - Date string
+   * @returns {string}
+   */
+  function readableDay(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+  }
+
+  /**
+   * Controls for one movie (mirror of partials/my-list-controls.njk)
+   * @param {Object} movie - { slug, title, url, poster, year }
+   * @param {Object} options - { compact } leaves out the date picker (cards)
+   * @returns {string} HTML
+   */
+  function controlsHTML(movie, { compact = false } = {}) {
+    const stars = STAR_VALUES.map(value =>
+      `<button type="button" class="my-list-star" data-my-list-rating="${value}" aria-pressed="false" aria-label="Rate ${value / 2} out of 5">☆</button>`
+    ).join('');
+    const datePicker = compact
+      ? ''
+      : '<input type="date" class="my-list-date" data-my-list-field="watchedAt" aria-label="Date watched" hidden>';
+
+    return `
+      <div class="my-list-controls${compact ? ' my-list-controls--compact' : ''}" data-my-list
+           data-slug="${escapeHTML(movie.slug)}" data-title="${escapeHTML(movie.title)}"
+           data-url="${escapeHTML(movie.url)}" data-poster="${escapeHTML(movie.poster)}" data-year="${escapeHTML(movie.year || '')}" hidden>
+        <button type="button" class="my-list-button" data-my-list-action="watchlist" aria-pressed="false">＋ Watchlist</button>
+        <button type="button" class="my-list-button" data-my-list-action="watched" aria-pressed="false">Mark watched</button>
+        ${datePicker}
+        <span class="my-list-stars" role="group" aria-label="Your rating">${stars}</span>
+      </div>`;
+  }
+
+  /**
+   * Movie described by a controls element
+   * @param {HTMLElement} controls - [data-my-list] element
+   * @returns {Object} { slug, title, url, poster, year }
+   */
+  function movieFromControls(controls) {
+    return {
+      slug: controls.dataset.slug,
+      title: controls.dataset.title,
+      url: controls.dataset.url,
+      poster: controls.dataset.poster,
+      year: controls.dataset.year
+    };
+  }
+
+  /**
+   * Show the stored state in every set of controls
+   * @param {ParentNode} root - Where to look for controls (default: the whole page)
+   */
+  function renderControls(root = document) {
+    const items = readList();
+
+    root.querySelectorAll('[data-my-list]').forEach(controls => {
+      const item = items[controls.dataset.slug] || {};
+
+      const watchlistButton = controls.querySelector('[data-my-list-action="watchlist"]');
+      watchlistButton.setAttribute('aria-pressed', String(Boolean(item.watchlist)));
+      watchlistButton.textContent = item.watchlist ? '✓ On watchlist' : '＋ Watchlist';
+
+      const watchedButton = controls.querySelector('[data-my-list-action="watched"]');
+      watchedButton.setAttribute('aria-pressed', String(Boolean(item.watchedAt)));
+      watchedButton.textContent = item.watchedAt ? `✓ Watched ${readableDay(item.watchedAt)}` : 'Mark watched';
+
+      const datePicker = controls.querySelector('[data-my-list-field="watchedAt"]');
+      if (datePicker) {
+        datePicker.hidden = !item.watchedAt;
+        datePicker.value = item.watchedAt || '';
+        datePicker.max = today();
+      }
+
+      controls.querySelectorAll('[data-my-list-rating]').forEach(star => {
+        const value = parseInt(star.dataset.myListRating, 10);
+        star.textContent = item.rating >= value ? '★' : '☆';
+        star.setAttribute('aria-pressed', String(item.rating === value));
+      });
+
+      controls.hidden = false;
+    });
+  }
+
+  // ============================================
+  // MY LIST PAGE
+  // ============================================
+
+  /**
+   * Set up the /my-list/ page (my-list.njk)
+   * @returns {Function|null} Re-render function, or null when not on that page
+   */
+  function initMyListPage() {
+    const app = document.getElementById('myListApp');
+    if (!app) return null;
+
+    const filters = document.getElementById('myListFilters');
+    const summary = document.getElementById('myListSummary');
+    const status = document.getElementById('myListStatus');
+    const list = document.getElementById('myListItems');
+    const exportButton = document.getElementById('myListExport');
+    const importInput = document.getElementById('myListImport');
+
+    const params = new URLSearchParams(window.location.search);
+    let show = FILTERS[params.get('show')] ? params.get('show') : 'all';
+
+    /**
+     * Render the items matching the current filter (most recently changed first)
+     */
+    function render() {
+      const allItems = Object.values(readList());
+      const items = allItems
+        .filter(FILTERS[show])
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+      filters.querySelectorAll('[data-filter]').forEach(button => {
+        const current = button.dataset.filter === show;
+        button.classList.toggle('listing-sort--current', current);
+        button.setAttribute('aria-pressed', String(current));
+      });
+
+      summary.textContent = allItems.length
+        ? `${items.length} of ${allItems.length} movies`
+        : 'Your list is empty. Use "Watchlist", "Mark watched" or the stars on any movie to add it.';
+
+      list.innerHTML = items.map(item => `
+        <li class="my-list-item">
+          <a href="${escapeHTML(item.url)}" class="my-list-item__poster">
+            ${item.poster ? `<img src="${escapeHTML(item.poster)}" alt="${escapeHTML(item.title)}" loading="lazy">` : ''}
+          </a>
+          <div class="my-list-item__body">
+            <a href="${escapeHTML(item.url)}" class="my-list-item__title">${escapeHTML(item.title)}</a>
+            ${item.year ? `<span class="my-list-item__meta">${item.year}</span>` : ''}
+            ${controlsHTML(item)}
+          </div>
+        </li>`).join('');
+
+      renderControls(list);
+    }
+
+    filters.addEventListener('click', event => {
+      const button = event.target.closest('[data-filter]');
+      if (!button) return;
+      show = button.dataset.filter;
+      history.replaceState(null, '', show === 'all' ? window.location.pathname : `?show=${show}`);
+      render();
+    });
+
+    exportButton.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(exportList(), null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `movielog-my-list-${today()}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      if (!file) return;
+
+      try {
+        const counts = importList(JSON.parse(await file.text()));
+        status.textContent = `Imported ${file.name}: ${counts.added} added, ${counts.updated} updated, ${counts.unchanged} already up to date` +
+          (counts.skipped ? `, ${counts.skipped} skipped` : '');
+        status.classList.remove('my-list-status--error');
+      } catch (error) {
+        console.error('❌ Import failed:', error);
+        status.textContent = `Could not import ${file.name}: ${error instanceof SyntaxError ? 'not a JSON file' : error.message}`;
+        status.classList.add('my-list-status--error');
+      }
+
+      importInput.value = '';
+      render();
+    });
+
+    app.hidden = false;
+    render();
+    return render;
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const renderPage = initMyListPage();
+
+    /**
+     * Re-render everything after the list changed
+     */
+    function refresh() {
+      if (renderPage) renderPage();
+      renderControls();
+    }
+
+    // Watchlist, watched and rating buttons anywhere on the page (cards are re-rendered, so delegate)
+    document.addEventListener('click', event => {
+      const button = event.target.closest('[data-my-list-action], [data-my-list-rating]');
+      const controls = button && button.closest('[data-my-list]');
+      if (!controls) return;
+
+      const movie = movieFromControls(controls);
+      const item = readList()[movie.slug] || {};
+
+      if (button.dataset.myListAction === 'watchlist') {
+        updateItem(movie, { watchlist: !item.watchlist });
+      } else if (button.dataset.myListAction === 'watched') {
+        updateItem(movie, { watchedAt: item.watchedAt ? null : today() });
+      } else {
+        // Clicking the current rating again clears it
+        const rating = parseInt(button.dataset.myListRating, 10);
+        updateItem(movie, { rating: item.rating === rating ? null : rating });
+      }
+      refresh();
+    });
+
+    document.addEventListener('change', event => {
+      const datePicker = event.target.closest('[data-my-list-field="watchedAt"]');
+      const controls = datePicker && datePicker.closest('[data-my-list]');
+      if (!controls || !datePicker.value) return;
+
+      updateItem(movieFromControls(controls), { watchedAt: datePicker.value });
+      refresh();
+    });
+
+    // Changes made in another tab
+    window.addEventListener('storage', event => {
+      if (event.key === STORAGE_KEY) refresh();
+    });
+
+    renderControls();
+  });
+
+  window.MyList = {
+    items: () => Object.values(readList()),
+    update: updateItem,
+    render: renderControls,
+    controlsHTML,
+    exportList,
+    importList
+  };
+})();
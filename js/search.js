@@ -0,0 +1,344 @@
+/**
+ * File: search.js
+ * Description: Client-side full-text search over the build-time index (/search-index.json)
+ * Author: Sai Trivedi
+ * Date: 2026-10-19
+ *
+ * This script provides:
+ * - Lazy loading of the search index (only fetched on first use)
+ * - Fuzzy matching (exact, prefix and small typos) with weighted ranking
+ * - Result highlighting
+ * - The global search box in the header and the /search/ results page
+ *
+ * Other scripts use it through window.MovieSearch (see movie-list.js).
+ */
+
+(function () {
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const INDEX_URL = '/search-index.json';
+
+  // Must match SEARCH_INDEX_VERSION in lib/search-index.cjs
+  const INDEX_VERSION = 1;
+
+  // Match quality multipliers
+  const EXACT_MATCH = 1;
+  const PREFIX_MATCH = 0.7;
+  const FUZZY_MATCH = 0.4;
+
+  // Keep in sync with STOP_WORDS in lib/search-index.cjs
+  const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'he', 'her',
+    'his', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their',
+    'they', 'this', 'to', 'was', 'were', 'with'
+  ]);
+
+  // ============================================
+  // INDEX LOADING
+  // ============================================
+
+  /**
+   * Pending or resolved index, shared by every caller
+   * Reset on failure so a later search can retry
+   */
+  let indexPromise = null;
+
+  /**
+   * Load the search index once (lazily, on first use)
+   * @returns {Promise<Object>} Search index from lib/search-index.cjs
+   */
+  function loadIndex() {
+    if (!indexPromise) {
+      console.log('🔎 Loading search index...');
+      indexPromise = fetch(INDEX_URL)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Search index unavailable (HTTP ${response.status})`);
+          }
+          return response.json();
+        })
+        .then(index => {
+          if (index.version !== INDEX_VERSION) {
+            throw new Error(`Unsupported search index version: ${index.version}`);
+          }
+          index.termList = Object.keys(index.terms);
+          console.log(`✅ Search index loaded (${index.documents.length} movies)`);
+          return index;
+        })
+        .catch(error => {
+          indexPromise = null;
+          throw error;
+        });
+    }
+    return indexPromise;
+  }
+
+  // ============================================
+  // MATCHING & RANKING
+  // ============================================
+
+  /**
+   * Split text into normalized terms (same rules as lib/search-index.cjs)
+   * @param {string} text - Any text
+   * @returns {string[]}
+   */
+  function tokenize(text) {
+    return normalize(text)
+      .split(/[^a-z0-9]+/)
+      .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+  }
+
+  /**
+   * Lowercase and strip accents
+   * @param {string} text - Any text
+   * @returns {string}
+   */
+  function normalize(text) {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Levenshtein distance, giving up once it exceeds `max`
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 when it is larger than max
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Index terms matching one query term
+   * Longer words tolerate more typos (1 edit from 4 letters, 2 from 7)
+   * @param {Object} index - Search index
+   * @param {string} queryTerm - Normalized query term
+   * @returns {Array<{term: string, quality: number}>}
+   */
+  function matchTerms(index, queryTerm) {
+    const maxEdits = queryTerm.length >= 7 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+    const matches = [];
+
+    index.termList.forEach(term => {
+      if (term === queryTerm) {
+        matches.push({ term, quality: EXACT_MATCH });
+      } else if (term.startsWith(queryTerm)) {
+        matches.push({ term, quality: PREFIX_MATCH });
+      } else if (maxEdits > 0 && editDistance(queryTerm, term, maxEdits) <= maxEdits) {
+        matches.push({ term, quality: FUZZY_MATCH });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Search the index
+   * Every query word has to match (exactly, as a prefix or fuzzily);
+   * results are ranked by field weight x match quality x term frequency
+   * @param {string} query - User query
+   * @param {Object} options - { limit } maximum number of results
+   * @returns {Promise<Object[]>} Documents with `score` and matched `terms`
+   */
+  async function search(query, { limit = 10 } = {}) {
+    const index = await loadIndex();
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const hits = new Map();
+
+    queryTerms.forEach(queryTerm => {
+      matchTerms(index, queryTerm).forEach(({ term, quality }) => {
+        index.terms[term].forEach(([documentIndex, fieldIndex, count]) => {
+          const hit = hits.get(documentIndex) || { score: 0, terms: new Set(), queryTerms: new Set() };
+          hit.score += index.weights[fieldIndex] * quality * (1 + Math.log(count));
+          hit.terms.add(term);
+          hit.queryTerms.add(queryTerm);
+          hits.set(documentIndex, hit);
+        });
+      });
+    });
+
+    return [...hits.entries()]
+      .filter(([, hit]) => hit.queryTerms.size === queryTerms.length)
+      .map(([documentIndex, hit]) => ({
+        ...index.documents[documentIndex],
+        score: Math.round(hit.score * 100) / 100,
+        terms: [...hit.terms]
+      }))
+      .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+      .slice(0, limit);
+  }
+
+  // ============================================
+  // HIGHLIGHTING
+  // ============================================
+
+  /**
+   * Escape text for safe insertion as HTML
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+
+  /**
+   * Wrap matched words in <mark> (the rest of the text is escaped)
+   * @param {string} text - Raw text
+   * @param {string[]} terms - Matched index terms
+   * @returns {string} HTML
+   */
+  function highlight(text, terms) {
+    const termSet = new Set(terms);
+    return String(text || '')
+      .split(/([\p{L}\p{N}]+)/u)
+      .map(part => termSet.has(normalize(part)) ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part))
+      .join('');
+  }
+
+  /**
+   * Shorten text around its first matched word
+   * @param {string} text - Raw text
+   * @param {string[]} terms - Matched index terms
+   * @param {number} length - Maximum snippet length
+   * @returns {string} Raw text snippet
+   */
+  function snippet(text, terms, length = 160) {
+    text = String(text || '');
+    if (text.length <= length) return text;
+
+    const words = normalize(text);
+    const firstMatch = Math.min(...terms.map(term => {
+      const position = words.search(new RegExp(`\\b${term}\\b`));
+      return position === -1 ? Infinity : position;
+    }));
+    const start = Number.isFinite(firstMatch) ? Math.max(0, firstMatch - 40) : 0;
+
+    return (start > 0 ? '…' : '') + text.slice(start, start + length).trim() + '…';
+  }
+
+  /**
+   * Render results as HTML list items
+   * @param {Object[]} results - Results from search()
+   * @returns {string} HTML
+   */
+  function renderResults(results) {
+    return results.map(result => `
+      <li class="search-result">
+        <a href="${escapeHTML(result.url)}">
+          <span class="search-result__title">${highlight(result.title, result.terms)}</span>
+          <span class="search-result__meta">${escapeHTML([result.year, result.director].filter(Boolean).join(' · '))}
+            ${result.genres.length ? ' · ' + highlight(result.genres.join(', '), result.terms) : ''}</span>
+          <span class="search-result__snippet">${highlight(snippet(result.description, result.terms), result.terms)}</span>
+        </a>
+      </li>`).join('');
+  }
+
+  // ============================================
+  // HEADER SEARCH BOX & SEARCH PAGE
+  // ============================================
+
+  /**
+   * Wire up the header search box: live results while typing,
+   * normal form submit to /search/?q= on Enter
+   */
+  function initHeaderSearch() {
+    const input = document.getElementById('siteSearchInput');
+    const results = document.getElementById('siteSearchResults');
+    if (!input || !results) return;
+
+    let timer = null;
+    let latestQuery = '';
+
+    // Load the index on first interaction only
+    input.addEventListener('focus', () => loadIndex().catch(() => {}), { once: true });
+
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        const query = input.value.trim();
+        latestQuery = query;
+
+        if (!query) {
+          results.hidden = true;
+          results.innerHTML = '';
+          return;
+        }
+
+        try {
+          const matches = await search(query, { limit: 6 });
+          if (query !== latestQuery) return; // A newer query is already running
+          results.innerHTML = matches.length
+            ? renderResults(matches)
+            : '<li class="search-result search-result--empty">No movies found</li>';
+          results.hidden = false;
+        } catch (error) {
+          console.error('❌ Search failed:', error);
+          results.innerHTML = '<li class="search-result search-result--empty">Search is unavailable</li>';
+          results.hidden = false;
+        }
+      }, 150);
+    });
+
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Escape') results.hidden = true;
+    });
+
+    document.addEventListener('click', event => {
+      if (!results.contains(event.target) && event.target !== input) results.hidden = true;
+    });
+  }
+
+  /**
+   * Fill the /search/ page from its ?q= query string
+   */
+  async function initSearchPage() {
+    const container = document.getElementById('searchPageResults');
+    if (!container) return;
+
+    const query = new URLSearchParams(window.location.search).get('q') || '';
+    const input = document.getElementById('searchPageInput');
+    const summary = document.getElementById('searchPageSummary');
+    if (input) input.value = query;
+    if (!query.trim()) return;
+
+    try {
+      const matches = await search(query, { limit: 50 });
+      summary.textContent = `${matches.length} result${matches.length === 1 ? '' : 's'} for "${query}"`;
+      container.innerHTML = renderResults(matches);
+    } catch (error) {
+      console.error('❌ Search failed:', error);
+      summary.textContent = 'Search is unavailable right now.';
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    initHeaderSearch();
+    initSearchPage();
+  });
+
+  // Public API for other scripts
+  window.MovieSearch = { loadIndex, search, highlight, tokenize };
+})();
@@ -0,0 +1,65 @@
+/**
+ * File: sort.js
+ * Description: Client-side sorting for pre-rendered lists (taxonomy pages)
+ * Author: Sai Trivedi
+ * Date: 2026-10-19
+ *
+ * Markup:
+ * - <select data-sort-target="listId"> with option values like "year:desc" or "title:asc"
+ * - Every child of #listId carries the data attributes it can be sorted by (data-year, data-title, ...)
+ *
+ * The list is rendered in its default order at build time, so without
+ * JavaScript the select simply stays hidden.
+ */
+
+(function () {
+  /**
+   * Compare two data attribute values, numerically when both are numbers
+   * Empty values always sort last
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {number}
+   */
+  function compareValues(a, b) {
+    if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB;
+
+    return a.localeCompare(b);
+  }
+
+  /**
+   * Reorder the children of a list by one data attribute
+   * @param {HTMLElement} list - Container of the sortable items
+   * @param {string} sortValue - "<attribute>:<asc|desc>"
+   */
+  function sortList(list, sortValue) {
+    const [key, direction] = sortValue.split(':');
+    const sign = direction === 'desc' ? -1 : 1;
+
+    const items = Array.from(list.children);
+    items
+      .sort((a, b) => {
+        const valueA = a.dataset[key] || '';
+        const valueB = b.dataset[key] || '';
+        // Keep empty values last in both directions
+        if (!valueA || !valueB) return compareValues(valueA, valueB);
+        return sign * compareValues(valueA, valueB);
+      })
+      .forEach(item => list.appendChild(item));
+
+    console.log(`↕️ Sorted ${items.length} items by ${key} (${direction})`);
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('select[data-sort-target]').forEach(select => {
+      const list = document.getElementById(select.dataset.sortTarget);
+      if (!list) return;
+
+      select.closest('[hidden]')?.removeAttribute('hidden');
+      select.addEventListener('change', () => sortList(list, select.value));
+    });
+  });
+})();
@@ -0,0 +1,315 @@
+/*
+  File: lib/authoring.cjs
+  Description: Helpers of the movielog CLI (bin/movielog.js): front matter of local
+               movie files, CSV / Letterboxd / IMDb imports and OMDB prefill.
+               Files are written the way movies/*.md are hand-written: quoted strings,
+               `genre` as one comma separated string, `image` and `excerpt`.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const { IMDB_ID_PATTERN, SOURCE_RATING_SCALES, slugify } = require("./movie-model.cjs");
+
+// Key order of generated front matter; other keys (e.g. of an edited file) follow
+const FRONT_MATTER_ORDER = ["title", "imdbId", "director", "year", "rating", "ratingScale", "genre", "image", "excerpt", "date", "reviews"];
+
+// Fields the CLI reads from flags, CSV columns and prompts
+const MOVIE_FIELDS = ["title", "year", "director", "rating", "genre", "imdbId", "poster", "excerpt", "body"];
+
+/**
+ * Supported import files, told apart by their header row
+ * - letterboxd: Letterboxd export (ratings.csv, diary.csv or watched.csv), ratings 0.5-5
+ * - imdb:       IMDb "Your ratings" export, ratings 1-10
+ * - csv:        Any CSV with a `title` column and MOVIE_FIELDS-named columns
+ */
+const IMPORT_FORMATS = ["letterboxd", "imdb", "csv"];
+
+/**
+ * Front matter value (strings are double quoted like the existing files)
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function toYamlValue(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  return JSON.stringify(value); // JSON strings, arrays and objects are valid YAML
+}
+
+/**
+ * Front matter list of objects (e.g. `reviews`) as a YAML block, multi-line text as literal blocks
+ * @param {Object[]} items - List entries
+ * @returns {string} Indented lines, to follow `key:`
+ */
+function toYamlList(items) {
+  return items.map(item => Object.entries(item)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value], index) => {
+      const prefix = index === 0 ? "  - " : "    ";
+      if (typeof value === "string" && value.trim().includes("\n")) {
+        const lines = value.trim().split("\n").map(line => (line.trim() ? `      ${line}` : ""));
+        return `${prefix}${key}: |\n${lines.join("\n")}`;
+      }
+      return `${prefix}${key}: ${toYamlValue(value)}`;
+    })
+    .join("\n")).join("\n");
+}
+
+/**
+ * Is a front matter value a list of objects (written as a YAML block)?
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isObjectList(value) {
+  return Array.isArray(value) && value.length > 0
+    && value.every(item => item && typeof item === "object" && !Array.isArray(item) && !(item instanceof Date));
+}
+
+/**
+ * Full markdown file of a movie
+ * @param {Object} data - Front matter
+ * @param {string} body - Markdown review (optional)
+ * @returns {string}
+ */
+function renderMovieFile(data, body = "") {
+  const keys = [
+    ...FRONT_MATTER_ORDER.filter(key => key in data),
+    ...Object.keys(data).filter(key => !FRONT_MATTER_ORDER.includes(key))
+  ].filter(key => data[key] !== undefined && data[key] !== null && data[key] !== "");
+
+  const frontMatter = keys
+    .map(key => (isObjectList(data[key]) ? `${key}:\n${toYamlList(data[key])}` : `${key}: ${toYamlValue(data[key])}`))
+    .join("\n");
+  return `---\n${frontMatter}\n---\n${body.trim() ? `\n${body.trim()}\n` : ""}`;
+}
+
+/**
+ * Front matter of a movie from CLI fields
+ * @param {Object} fields - MOVIE_FIELDS values (strings or numbers); `poster` must already be a site path
+ * @param {Object} existing - Front matter being edited (kept unless a field overrides it)
+ * @returns {Object}
+ */
+function toFrontMatter(fields, existing = {}) {
+  const data = { ...existing };
+  const set = (key, value) => {
+    if (value !== undefined) data[key] = value;
+  };
+
+  set("title", fields.title !== undefined ? String(fields.title).trim() : undefined);
+  set("imdbId", fields.imdbId !== undefined ? String(fields.imdbId).trim() : undefined);
+  set("director", fields.director !== undefined ? String(fields.director).trim() : undefined);
+  set("rating", fields.rating !== undefined && fields.rating !== "" ? Number(fields.rating) : undefined);
+  set("image", fields.poster);
+  set("excerpt", fields.excerpt !== undefined ? String(fields.excerpt).trim() : undefined);
+
+  if (fields.year !== undefined && fields.year !== "") {
+    // Old files may use releaseYear; keep one spelling
+    delete data.releaseYear;
+    data.year = Number(fields.year);
+  }
+  if (fields.genre !== undefined) {
+    delete data.genres;
+    data.genre = (Array.isArray(fields.genre) ? fields.genre : String(fields.genre).split(","))
+      .map(genre => genre.trim())
+      .filter(Boolean)
+      .join(", ");
+  }
+  if (fields.poster !== undefined) delete data.poster;
+
+  return data;
+}
+
+/**
+ * Problems with CLI fields before a file is written
+ * @param {Object} data - Front matter from toFrontMatter()
+ * @returns {string[]}
+ */
+function validateFrontMatter(data) {
+  const problems = [];
+  const scale = data.ratingScale || SOURCE_RATING_SCALES.local;
+
+  if (!data.title) problems.push("title is required");
+  if (data.year !== undefined && !Number.isInteger(data.year)) problems.push(`year "${data.year}" is not a whole number`);
+  if (data.rating !== undefined && !(data.rating >= 0 && data.rating <= scale)) {
+    problems.push(`rating "${data.rating}" must be a number between 0 and ${scale}`);
+  }
+  if (data.imdbId && !IMDB_ID_PATTERN.test(data.imdbId)) problems.push(`imdbId "${data.imdbId}" is not an IMDb title ID (e.g. tt1375666)`);
+
+  return problems;
+}
+
+/**
+ * File slug for a new movie, avoiding existing ones
+ * @param {string} title - Movie title
+ * @param {number|string} year - Release year (added when the title's slug is taken)
+ * @param {Set<string>} existing - Slugs already used
+ * @returns {string}
+ */
+function uniqueSlug(title, year, existing) {
+  const base = slugify(title);
+  if (!existing.has(base)) return base;
+  if (year && !existing.has(`${base}-${year}`)) return `${base}-${year}`;
+
+  let count = 2;
+  while (existing.has(`${base}-${count}`)) count++;
+  return `${base}-${count}`;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+ * @param {string} text - File contents
+ * @returns {Object} { headers, rows } with rows as { header: value } objects
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, ""); // byte order mark of spreadsheet exports
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === "\"" && input[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(values => values.some(value => value.trim() !== ""));
+  const [headers = [], ...rows] = nonEmpty;
+  return {
+    headers: headers.map(header => header.trim()),
+    rows: rows.map(values => Object.fromEntries(headers.map((header, index) => [header.trim(), (values[index] || "").trim()])))
+  };
+}
+
+/**
+ * Which export a CSV file is
+ * @param {string[]} headers - Header row
+ * @returns {string|null} One of IMPORT_FORMATS, or null when it isn't recognized
+ */
+function detectImportFormat(headers) {
+  if (headers.includes("Letterboxd URI")) return "letterboxd";
+  if (headers.includes("Const") && headers.includes("Your Rating")) return "imdb";
+  if (headers.some(header => header.toLowerCase() === "title")) return "csv";
+  return null;
+}
+
+/**
+ * CLI fields of one imported row
+ * Ratings are converted to the local 0-5 scale (IMDb's 1-10 is halved).
+ * @param {Object} row - From parseCsv()
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {Object} MOVIE_FIELDS values (missing ones undefined)
+ */
+function fromImportRow(row, format) {
+  const value = key => (row[key] === undefined || row[key] === "" ? undefined : row[key]);
+
+  if (format === "letterboxd") {
+    return {
+      title: value("Name"),
+      year: value("Year"),
+      rating: value("Rating")
+    };
+  }
+
+  if (format === "imdb") {
+    const rating = value("Your Rating");
+    return {
+      title: value("Title"),
+      year: value("Year"),
+      rating: rating === undefined ? undefined : Number(rating) / 2,
+      imdbId: value("Const"),
+      director: value("Directors") ? value("Directors").split(",")[0].trim() : undefined,
+      genre: value("Genres")
+    };
+  }
+
+  // Generic CSV: column names are matched case-insensitively, with the front matter aliases
+  const byName = {};
+  Object.keys(row).forEach(key => { byName[key.toLowerCase()] = row[key] === "" ? undefined : row[key]; });
+  return {
+    title: byName.title,
+    year: byName.year ?? byName.releaseyear,
+    director: byName.director,
+    rating: byName.rating,
+    genre: byName.genre ?? byName.genres,
+    imdbId: byName.imdbid,
+    poster: byName.poster ?? byName.image,
+    excerpt: byName.excerpt ?? byName.description,
+    body: byName.body ?? byName.review
+  };
+}
+
+/**
+ * CLI fields from the OMDB function's movie data (toMovieData() in lib/omdb-client.cjs),
+ * e.g. a response of /.netlify/functions/movie or an entry of _data/omdbData.json
+ * The personal rating and review are never prefilled.
+ * @param {Object} data - OMDB movie data
+ * @returns {Object} MOVIE_FIELDS values (missing ones undefined)
+ */
+function fromOmdbData(data) {
+  const known = value => (value && value !== "N/A" ? value : undefined);
+  const year = known(data.year) && parseInt(data.year, 10);
+
+  return {
+    title: known(data.title),
+    year: Number.isInteger(year) ? year : undefined,
+    director: known(data.director) && data.director.split(",")[0].trim(),
+    genre: known(data.genre),
+    imdbId: known(data.imdbId),
+    poster: known(data.poster) || undefined,
+    excerpt: known(data.plot)
+  };
+}
+
+/**
+ * Fill missing fields from another source (e.g. OMDB)
+ * @param {Object} fields - Fields given by the user
+ * @param {Object} defaults - Prefill
+ * @returns {Object}
+ */
+function withDefaults(fields, defaults) {
+  const result = { ...fields };
+  MOVIE_FIELDS.forEach(field => {
+    if ((result[field] === undefined || result[field] === "") && defaults[field] !== undefined) result[field] = defaults[field];
+  });
+  return result;
+}
+
+module.exports = {
+  FRONT_MATTER_ORDER,
+  IMPORT_FORMATS,
+  MOVIE_FIELDS,
+  detectImportFormat,
+  fromImportRow,
+  fromOmdbData,
+  parseCsv,
+  renderMovieFile,
+  toFrontMatter,
+  uniqueSlug,
+  validateFrontMatter,
+  withDefaults
+};
@@ -0,0 +1,158 @@
+/*
+  File: lib/catalog-api.cjs
+  Description: Builds the read-only JSON API (/api/v1/) from canonical movies.
+               Used as Eleventy filters by the templates in api/v1/.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const { getImage, toApiImage } = require("./images.cjs");
+const { groupByTerm } = require("./taxonomy.cjs");
+
+// Bump when the shape of an API response changes in a breaking way
+const API_VERSION = "v1";
+
+// Every API file lives under this path
+const API_BASE = `/api/${API_VERSION}`;
+
+/**
+ * URL of a movie's detail file
+ * @param {string} slug - Movie slug
+ * @returns {string}
+ */
+function movieApiUrl(slug) {
+  return `${API_BASE}/movies/${slug}.json`;
+}
+
+/**
+ * URL of a page of the movie listing (page 1 is movies.json itself)
+ * @param {number} pageNumber - 1-based page number
+ * @returns {string}
+ */
+function moviesPageUrl(pageNumber) {
+  return pageNumber <= 1 ? `${API_BASE}/movies.json` : `${API_BASE}/movies/page/${pageNumber}.json`;
+}
+
+/**
+ * Public representation of a canonical movie
+ * @param {Object} movie - Canonical movie (lib/movie-model.cjs)
+ * @param {boolean} detailed - Include the markdown body (detail files only)
+ * @param {Object} imageManifest - Contents of _data/imageManifest.json (optional)
+ * @returns {Object}
+ */
+function toApiMovie(movie, detailed = false, imageManifest) {
+  const apiMovie = {
+    id: movie.id,
+    slug: movie.slug,
+    title: movie.title,
+    imdbId: movie.imdbId,
+    director: movie.director,
+    cast: movie.cast,
+    year: movie.year,
+    genres: movie.genres,
+    rating: movie.rating,
+    poster: movie.poster,
+    posterAlt: movie.posterAlt,
+    posterImage: toApiImage(getImage(imageManifest, movie.poster)),
+    posters: movie.posters,
+    description: movie.description,
+    descriptionHtml: movie.descriptionHtml,
+    source: movie.source,
+    locale: movie.locale,
+    url: movie.url,
+    apiUrl: movieApiUrl(movie.slug),
+    createdAt: movie.createdAt,
+    updatedAt: movie.updatedAt
+  };
+
+  if (detailed) {
+    apiMovie.body = movie.body;
+    apiMovie.reviews = movie.reviews;
+    apiMovie.translations = movie.translations;
+  }
+
+  // Films found in both sources (lib/movie-merge.cjs)
+  if (movie.fieldSources) {
+    apiMovie.mergedFrom = movie.mergedFrom;
+    apiMovie.fieldSources = movie.fieldSources;
+  }
+
+  return apiMovie;
+}
+
+/**
+ * One page of /api/v1/movies.json
+ * @param {Object} pagination - Eleventy `pagination` object of the listing template
+ * @param {Object} imageManifest - Contents of _data/imageManifest.json (optional)
+ * @returns {Object} { apiVersion, page, totalPages, totalItems, perPage, next, previous, items }
+ */
+function toApiListing(pagination, imageManifest) {
+  const page = pagination.pageNumber + 1;
+  const totalPages = pagination.pages.length;
+
+  return {
+    apiVersion: API_VERSION,
+    page,
+    totalPages,
+    totalItems: pagination.pages.reduce((count, items) => count + items.length, 0),
+    perPage: pagination.size,
+    next: page < totalPages ? moviesPageUrl(page + 1) : null,
+    previous: page > 1 ? moviesPageUrl(page - 1) : null,
+    items: pagination.items.map(movie => toApiMovie(movie, false, imageManifest))
+  };
+}
+
+/**
+ * Group movies by one or more values per movie (e.g. every genre)
+ * @param {Object[]} movies - Canonical movies
+ * @param {Function} getValues - Returns the group names of a movie
+ * @returns {Object[]} [{ name, slug, count, movies: [slug] }] sorted by name
+ */
+function groupMovies(movies, getValues) {
+  return groupByTerm(movies, getValues).map(({ name, slug, count, movies: termMovies }) => ({
+    name,
+    slug,
+    count,
+    movies: termMovies.map(movie => movie.slug)
+  }));
+}
+
+/**
+ * Index file for a taxonomy (genres.json, directors.json or years.json)
+ * @param {Object[]} movies - Canonical movies
+ * @param {string} field - "genres", "director" or "year"
+ * @returns {Object} { apiVersion, totalItems, items }
+ */
+function toApiIndex(movies, field) {
+  const getters = {
+    genres: movie => movie.genres,
+    director: movie => [movie.director],
+    year: movie => [movie.year]
+  };
+
+  if (!getters[field]) {
+    throw new Error(`Unknown API index field: ${field}`);
+  }
+
+  let items = groupMovies(movies, getters[field]);
+
+  // Years read best newest first, as numbers
+  if (field === "year") {
+    items = items
+      .map(({ name, ...item }) => ({ year: Number(name), ...item }))
+      .sort((a, b) => b.year - a.year);
+  }
+
+  return { apiVersion: API_VERSION, totalItems: items.length, items };
+}
+
+module.exports = {
+  API_BASE,
+  API_VERSION,
+  groupMovies,
+  movieApiUrl,
+  moviesPageUrl,
+  toApiIndex,
+  toApiListing,
+  toApiMovie
+};
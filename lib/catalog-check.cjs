@@ -0,0 +1,406 @@
+/*
+  File: lib/catalog-check.cjs
+  Description: Data integrity checks for the movie catalog (check-catalog.js).
+               Looks at the raw inputs, movies/*.md front matter and cmsData.json records,
+               before they become canonical movies, so one report lists every problem
+               instead of the build stopping at the first invalid movie.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const { SOURCE_RATING_SCALES, fromCmsRecord, fromMarkdown, slugify } = require("./movie-model.cjs");
+const { findMatch } = require("./movie-merge.cjs");
+
+// Issues with "error" severity fail the check; "warning" only with --strict
+const SEVERITIES = ["error", "warning"];
+
+// Front matter fields that have an alias; the first one wins (see fromMarkdown())
+const LOCAL_FIELD_ALIASES = [
+  ["poster", "image"],
+  ["releaseYear", "year"],
+  ["genres", "genre"],
+  ["description", "excerpt"]
+];
+
+// Every movie needs these (either spelling of an aliased field)
+const REQUIRED_FIELDS = ["title", "year", "poster"];
+
+// Missing these only gives a warning
+const RECOMMENDED_FIELDS = ["rating", "genres", "description"];
+
+// Years outside this range are most likely typos
+const FIRST_FILM_YEAR = 1888;
+const MAX_YEARS_AHEAD = 5;
+
+/**
+ * Value of a field in raw input, accepting its alias
+ * @param {Object} data - Front matter or CMS record
+ * @param {string} field - Field name from REQUIRED_FIELDS / RECOMMENDED_FIELDS
+ * @returns {*} Value, or undefined when neither spelling is set
+ */
+function fieldValue(data, field) {
+  const aliases = LOCAL_FIELD_ALIASES.find(names => names.includes(field)) || [field];
+  const name = aliases.find(alias => !isBlank(data[alias]));
+  return name ? data[name] : undefined;
+}
+
+/**
+ * Is a raw value missing or empty?
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "")
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Collects issues for one movie input
+ * @param {Object} subject - { source, location, title }
+ * @param {Object[]} issues - Shared issue list
+ * @returns {Function} (severity, code, message) => void
+ */
+function reporter(subject, issues) {
+  return (severity, code, message) => issues.push({ severity, code, ...subject, message });
+}
+
+/**
+ * Checks shared by local and CMS inputs
+ * @param {Object} data - Front matter or CMS record
+ * @param {number} ratingScale - Scale the raw rating is on
+ * @param {Function} report - From reporter()
+ */
+function checkFields(data, ratingScale, report) {
+  REQUIRED_FIELDS.forEach(field => {
+    if (isBlank(fieldValue(data, field))) report("error", "missing-field", `required field "${field}" is missing`);
+  });
+  RECOMMENDED_FIELDS.forEach(field => {
+    if (isBlank(fieldValue(data, field))) report("warning", "missing-field", `field "${field}" is missing`);
+  });
+
+  const year = fieldValue(data, "year");
+  if (!isBlank(year)) {
+    const number = Number(year);
+    const lastYear = new Date().getFullYear() + MAX_YEARS_AHEAD;
+    if (!Number.isInteger(number)) {
+      report("error", "invalid-year", `year "${year}" is not a whole number`);
+    } else if (number < FIRST_FILM_YEAR || number > lastYear) {
+      report("warning", "invalid-year", `year ${number} is outside ${FIRST_FILM_YEAR}-${lastYear}`);
+    }
+  }
+
+  if (!isBlank(data.rating)) {
+    const rating = Number(data.rating);
+    if (Number.isNaN(rating)) {
+      report("error", "invalid-rating", `rating "${data.rating}" is not a number`);
+    } else if (rating < 0 || rating > ratingScale) {
+      report("error", "rating-out-of-range", `rating ${rating} is outside 0-${ratingScale}`);
+    }
+  }
+}
+
+/**
+ * Check the `date:` of a local file: the day it was added to the log
+ * Feeds, the sitemap and "recently added" use it; Eleventy's fallback, the file's
+ * creation time, changes with every checkout, so it is never used.
+ * @param {*} date - Raw `date` value
+ * @param {Function} report - From reporter()
+ */
+function checkDate(date, report) {
+  if (isBlank(date)) {
+    report("warning", "missing-date", 'field "date" is missing; the movie sorts as oldest in the feeds');
+  } else if (Number.isNaN(new Date(date).getTime())) {
+    report("error", "invalid-date", `date "${date}" is not a date (YYYY-MM-DD)`);
+  }
+}
+
+/**
+ * Checks of the `reviews` front matter of a local file
+ * A review without a date gets the movie's `date:` (see fromMarkdown()), so it is only a
+ * warning unless the movie has none either.
+ * @param {*} reviews - Raw `reviews` value
+ * @param {number} ratingScale - Scale the raw ratings are on
+ * @param {*} movieDate - Raw `date` of the movie
+ * @param {Function} report - From reporter()
+ */
+function checkReviews(reviews, ratingScale, movieDate, report) {
+  if (isBlank(reviews)) return;
+  if (!Array.isArray(reviews)) {
+    report("error", "invalid-reviews", "reviews must be a list of { date, rating, tags, quote, body, spoilers }");
+    return;
+  }
+
+  reviews.forEach((review, index) => {
+    const label = `reviews[${index}]`;
+    if (!review || typeof review !== "object") {
+      report("error", "invalid-reviews", `${label} is not a { date, rating, tags, quote, body, spoilers } entry`);
+      return;
+    }
+
+    if (isBlank(review.date) && isBlank(movieDate)) {
+      report("error", "review-missing-date", `${label} has no date, and the movie has no "date" to fall back on`);
+    } else if (isBlank(review.date)) {
+      report("warning", "review-missing-date", `${label} has no date; the movie's "date" is used`);
+    } else if (Number.isNaN(new Date(review.date).getTime())) {
+      report("error", "invalid-review-date", `${label} date "${review.date}" is not a date (YYYY-MM-DD)`);
+    }
+
+    if (!isBlank(review.rating)) {
+      const rating = Number(review.rating);
+      if (Number.isNaN(rating)) {
+        report("error", "invalid-rating", `${label} rating "${review.rating}" is not a number`);
+      } else if (rating < 0 || rating > ratingScale) {
+        report("error", "rating-out-of-range", `${label} rating ${rating} is outside 0-${ratingScale}`);
+      }
+    }
+
+    if (["rating", "quote", "body", "spoilers"].every(field => isBlank(review[field]))) {
+      report("warning", "empty-review", `${label} has no rating, quote, body or spoilers`);
+    }
+  });
+}
+
+/**
+ * Problems with a poster URL
+ * Local paths must point at an existing file (exact case, so builds on
+ * case-sensitive file systems don't break); remote ones must be http(s).
+ * @param {string} url - Poster URL
+ * @param {Function} posterExists - (url) => boolean for local paths
+ * @param {Function} report - From reporter()
+ */
+function checkPoster(url, posterExists, report) {
+  if (/^https?:\/\//.test(url)) return;
+
+  if (!url.startsWith("/")) {
+    report("error", "broken-poster", `poster "${url}" is neither an absolute path nor an http(s) URL`);
+    return;
+  }
+  if (!posterExists(url)) {
+    report("error", "broken-poster", `poster "${url}" does not exist`);
+    return;
+  }
+  if (/\s|%20/.test(url)) {
+    report("warning", "poster-file-name", `poster "${url}" has spaces in its file name`);
+  }
+}
+
+/**
+ * Check one local markdown movie
+ * @param {Object} file - { location, fileSlug, inputPath, date, data }
+ * @param {Object} options - { posterExists, issues }
+ * @returns {Object|null} Canonical movie, or null when it can't be built
+ */
+function checkLocalFile(file, { posterExists, issues }) {
+  const { data } = file;
+  const report = reporter({ source: "local", location: file.location, title: data.title || file.fileSlug }, issues);
+
+  LOCAL_FIELD_ALIASES.forEach(([used, ignored]) => {
+    if (!isBlank(data[used]) && !isBlank(data[ignored]) && String(data[used]) !== String(data[ignored])) {
+      report("warning", "conflicting-fields", `both "${used}" and "${ignored}" are set; "${used}" (${data[used]}) is used`);
+    }
+  });
+
+  const scale = data.ratingScale ?? SOURCE_RATING_SCALES.local;
+  if (!(typeof scale === "number" && scale > 0)) {
+    report("error", "invalid-rating", `ratingScale "${scale}" is not a positive number`);
+  }
+  checkFields(data, scale > 0 ? scale : SOURCE_RATING_SCALES.local, report);
+  checkDate(data.date, report);
+  checkReviews(data.reviews, scale > 0 ? scale : SOURCE_RATING_SCALES.local, data.date, report);
+
+  return toCanonical(() => fromMarkdown(data, {
+    fileSlug: file.fileSlug,
+    inputPath: file.inputPath,
+    url: `/movies/${file.fileSlug}/`,
+    date: file.date
+  }), { posterExists, report });
+}
+
+/**
+ * Check one cmsData.json record
+ * @param {Object} record - Stored CMS movie
+ * @param {Object} options - { location, posterExists, issues }
+ * @returns {Object|null} Canonical movie, or null when it can't be built
+ */
+function checkCmsRecord(record, { location, posterExists, issues }) {
+  const report = reporter({ source: "contentful", location, title: record.title || record.id }, issues);
+
+  checkFields({ ...record, year: record.year ?? record.releaseYear, genres: record.genres ?? record.genre }, SOURCE_RATING_SCALES.contentful, report);
+
+  return toCanonical(() => fromCmsRecord(record), { posterExists, report });
+}
+
+/**
+ * Build the canonical movie and check its posters
+ * @param {Function} build - Returns the canonical movie (may throw)
+ * @param {Object} options - { posterExists, report }
+ * @returns {Object|null}
+ */
+function toCanonical(build, { posterExists, report }) {
+  let movie;
+  try {
+    movie = build();
+  } catch (error) {
+    report("error", "invalid-movie", error.message);
+    return null;
+  }
+
+  const urls = new Set([movie.poster, ...movie.posters.map(poster => poster.url)]);
+  urls.forEach(url => checkPoster(url, posterExists, report));
+  return movie;
+}
+
+/**
+ * Movies sharing the same key
+ * @param {Object[]} entries - [{ movie, location }]
+ * @param {Function} keyOf - (movie) => key (falsy keys are ignored)
+ * @returns {Object[][]} Groups of two or more entries
+ */
+function duplicates(entries, keyOf) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry.movie);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  return Array.from(groups.values()).filter(group => group.length > 1);
+}
+
+/**
+ * Drop local movies that the build merges into a CMS movie (lib/movie-merge.cjs),
+ * the same way mergeCatalog() pairs them, so they don't count as duplicates
+ * @param {Object[]} cmsEntries - [{ movie, location }] of CMS movies
+ * @param {Object[]} localEntries - [{ movie, location }] of local movies
+ * @returns {Object[]} Entries with one movie per film
+ */
+function withoutMerged(cmsEntries, localEntries) {
+  const cmsMovies = cmsEntries.map(entry => entry.movie);
+  const matched = new Set();
+
+  const unmatched = localEntries.filter(entry => {
+    const cmsMovie = findMatch(entry.movie, cmsMovies);
+    if (!cmsMovie || matched.has(cmsMovie)) return true;
+    matched.add(cmsMovie);
+    return false;
+  });
+
+  return [...cmsEntries, ...unmatched];
+}
+
+/**
+ * Checks across every movie: slugs, URLs, IMDb IDs and titles must be unique
+ * Same title in different years (remakes) is only a warning. A film in both
+ * Contentful and movies/ is not a duplicate: the build merges it.
+ * @param {Object[]} entries - [{ movie, location }] of the default locale
+ * @param {Object[]} localizedEntries - [{ movie, location }] of other locales
+ * @param {Object[]} issues - Shared issue list
+ */
+function checkDuplicates(entries, localizedEntries, issues) {
+  const add = (severity, code, group, describe) => {
+    const locations = group.map(entry => entry.location).join(", ");
+    group.forEach(entry => issues.push({
+      severity,
+      code,
+      source: entry.movie.source,
+      location: entry.location,
+      title: entry.movie.title,
+      message: `${describe(entry.movie)} is shared by ${locations}`
+    }));
+  };
+
+  duplicates(entries, movie => movie.slug).forEach(group =>
+    add("error", "duplicate-slug", group, movie => `slug "${movie.slug}"`));
+
+  // Same slug in the same locale is already a duplicate-slug
+  duplicates([...entries, ...localizedEntries], movie => movie.url)
+    .filter(group => new Set(group.map(entry => entry.movie.slug)).size > 1 || group.some(entry => localizedEntries.includes(entry)))
+    .forEach(group => add("error", "duplicate-url", group, movie => `URL "${movie.url}"`));
+
+  duplicates(entries, movie => movie.imdbId).forEach(group =>
+    add("error", "duplicate-imdb-id", group, movie => `IMDb ID ${movie.imdbId}`));
+
+  duplicates(entries, movie => slugify(movie.title)).forEach(group => {
+    const sameYear = new Set(group.map(entry => entry.movie.year)).size < group.length;
+    add(sameYear ? "error" : "warning", "duplicate-title", group, movie => `title "${movie.title}"`);
+  });
+}
+
+/**
+ * Check the whole catalog
+ * @param {Object} input
+ * @param {Object[]} input.localFiles - [{ location, fileSlug, inputPath, date, data }] of movies/*.md
+ * @param {Object[]} input.cmsMovies - cmsData.json `movies`
+ * @param {Object[]} input.localizedMovies - cmsData.json `localizedMovies`
+ * @param {Function} input.posterExists - (url) => boolean for local poster paths
+ * @param {string} input.cmsLocation - How to refer to cmsData.json in the report
+ * @returns {Object} { ok, summary: { movies, errors, warnings }, issues }
+ */
+function checkCatalog({ localFiles = [], cmsMovies = [], localizedMovies = [], posterExists, cmsLocation = "cmsData.json" }) {
+  const issues = [];
+
+  const cmsEntries = cmsMovies.map((record, index) => {
+    const location = `${cmsLocation}#movies[${index}]`;
+    return { movie: checkCmsRecord(record, { location, posterExists, issues }), location };
+  });
+  const localizedEntries = localizedMovies.map((record, index) => {
+    const location = `${cmsLocation}#localizedMovies[${index}]`;
+    return { movie: checkCmsRecord(record, { location, posterExists, issues }), location };
+  });
+  const localEntries = localFiles.map(file => ({
+    movie: checkLocalFile(file, { posterExists, issues }),
+    location: file.location
+  }));
+
+  const built = entries => entries.filter(entry => entry.movie);
+  checkDuplicates(withoutMerged(built(cmsEntries), built(localEntries)), built(localizedEntries), issues);
+
+  issues.sort((a, b) => a.location.localeCompare(b.location)
+    || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+    || a.code.localeCompare(b.code));
+
+  const errors = issues.filter(issue => issue.severity === "error").length;
+  return {
+    ok: errors === 0,
+    summary: {
+      movies: cmsEntries.length + localEntries.length,
+      localizedMovies: localizedEntries.length,
+      errors,
+      warnings: issues.length - errors
+    },
+    issues
+  };
+}
+
+/**
+ * Human readable version of a report
+ * @param {Object} report - From checkCatalog()
+ * @returns {string}
+ */
+function formatReport(report) {
+  const { summary } = report;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+  const lines = [
+    `🔎 Checked ${plural(summary.movies, "movie")} (${summary.localizedMovies} translated): ${plural(summary.errors, "error")}, ${plural(summary.warnings, "warning")}`
+  ];
+
+  let lastLocation = null;
+  report.issues.forEach(issue => {
+    if (issue.location !== lastLocation) {
+      lines.push("", `${issue.location} (${issue.title})`);
+      lastLocation = issue.location;
+    }
+    lines.push(`   ${issue.severity === "error" ? "❌" : "⚠️ "} ${issue.code}: ${issue.message}`);
+  });
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  LOCAL_FIELD_ALIASES,
+  RECOMMENDED_FIELDS,
+  REQUIRED_FIELDS,
+  SEVERITIES,
+  checkCatalog,
+  formatReport
+};
@@ -0,0 +1,255 @@
+/*
+  File: lib/config.cjs
+  Description: One place to read configuration for the build (fetch-cms-data.js,
+               eleventy.config.cjs) and the OMDB function (netlify/functions/movie.js).
+               Values come from the environment, then `.env.<profile>`, then `.env`.
+               Secrets are never logged in full - use redact() / describeConfig().
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+/**
+ * Per-environment profiles
+ * - contentfulRequired: missing Contentful keys fail the build instead of
+ *   falling back to the last cmsData.json snapshot
+ * - omdbCache: default OMDB_CACHE adapter for the function
+ */
+const PROFILES = {
+  dev: {
+    contentfulRequired: false,
+    omdbCache: "file"
+  },
+  preview: {
+    contentfulRequired: false,
+    omdbCache: "memory"
+  },
+  production: {
+    contentfulRequired: true,
+    omdbCache: "memory"
+  }
+};
+
+// Netlify's CONTEXT variable mapped to a profile
+const NETLIFY_CONTEXTS = {
+  production: "production",
+  "deploy-preview": "preview",
+  "branch-deploy": "preview",
+  dev: "dev"
+};
+
+// Keys each part of the site needs, with a hint shown when one is missing
+const REQUIRED_KEYS = {
+  contentful: {
+    CONTENTFUL_SPACE_ID: "Contentful space ID (Settings → API keys)",
+    CONTENTFUL_ACCESS_TOKEN: "Contentful Content Delivery API token (Settings → API keys)"
+  },
+  omdb: {
+    OMDB_API_KEY: "OMDB API key (https://www.omdbapi.com/apikey.aspx)"
+  }
+};
+
+// Variables whose values must never appear in logs or responses
+const SECRET_KEYS = ["CONTENTFUL_ACCESS_TOKEN", "OMDB_API_KEY"];
+
+/**
+ * Pick the profile for this process
+ * MOVIELOG_ENV wins, then Netlify's CONTEXT, then NODE_ENV=production; otherwise dev
+ * @param {Object} env - Environment variables
+ * @returns {string} Key of PROFILES
+ * @throws {Error} When MOVIELOG_ENV names an unknown profile
+ */
+function resolveProfile(env) {
+  if (env.MOVIELOG_ENV) {
+    if (!PROFILES[env.MOVIELOG_ENV]) {
+      throw new Error(`Unknown MOVIELOG_ENV "${env.MOVIELOG_ENV}" (expected one of ${Object.keys(PROFILES).join(", ")})`);
+    }
+    return env.MOVIELOG_ENV;
+  }
+  if (NETLIFY_CONTEXTS[env.CONTEXT]) return NETLIFY_CONTEXTS[env.CONTEXT];
+  return env.NODE_ENV === "production" ? "production" : "dev";
+}
+
+/**
+ * Read `.env.<profile>` and `.env` without touching process.env
+ * Earlier sources win: real environment, then the profile file, then .env
+ * @param {string} profile - Key of PROFILES
+ * @param {string} rootDir - Folder holding the .env files
+ * @returns {Object} Variables from the files
+ */
+function readEnvFiles(profile, rootDir) {
+  return [`.env.${profile}`, ".env"].reduceRight((values, file) => {
+    const filePath = path.join(rootDir, file);
+    if (!fs.existsSync(filePath)) return values;
+    return { ...values, ...dotenv.parse(fs.readFileSync(filePath)) };
+  }, {});
+}
+
+/**
+ * Read a non-negative integer
+ * @param {string} value - Raw value
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function toInteger(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Load the configuration
+ * @param {Object} options - { env, rootDir } (defaults: process.env and the project folder)
+ * @returns {Object} { profile, settings, contentful, cms, catalog, omdb, fixtures, secrets, vars }
+ */
+function loadConfig({ env = process.env, rootDir = ROOT_DIR } = {}) {
+  const profile = resolveProfile(env);
+  const vars = { ...readEnvFiles(profile, rootDir), ...env };
+
+  const locales = (vars.CONTENTFUL_LOCALES || vars.CONTENTFUL_LOCALE || "en-US")
+    .split(",")
+    .map(locale => locale.trim())
+    .filter(Boolean);
+
+  return {
+    profile,
+    settings: PROFILES[profile],
+    contentful: {
+      spaceId: vars.CONTENTFUL_SPACE_ID || "",
+      accessToken: vars.CONTENTFUL_ACCESS_TOKEN || "",
+      environment: vars.CONTENTFUL_ENVIRONMENT || "master",
+      host: (vars.CONTENTFUL_HOST || "https://cdn.contentful.com").replace(/\/$/, ""),
+      locales
+    },
+    cms: {
+      strict: vars.CMS_FETCH_STRICT === "true"
+    },
+    catalog: {
+      // Which source wins when a film is both in Contentful and movies/*.md (lib/movie-merge.cjs)
+      mergeStrategy: (vars.CATALOG_MERGE_STRATEGY || "cms").trim().toLowerCase()
+    },
+    omdb: {
+      apiKey: vars.OMDB_API_KEY || "",
+      cache: (vars.OMDB_CACHE || PROFILES[profile].omdbCache).toLowerCase(),
+      cacheDir: vars.OMDB_CACHE_DIR || null,
+      cacheTtl: toInteger(vars.OMDB_CACHE_TTL, 24 * 60 * 60),
+      negativeCacheTtl: toInteger(vars.OMDB_NEGATIVE_CACHE_TTL, 60 * 60),
+      rateLimit: toInteger(vars.OMDB_RATE_LIMIT, 30),
+      rateLimitWindow: toInteger(vars.OMDB_RATE_LIMIT_WINDOW, 60),
+      // Build-time enrichment (fetch-omdb-data.js): seconds before an entry is looked up again
+      enrichMaxAge: toInteger(vars.OMDB_ENRICH_MAX_AGE, 7 * 24 * 60 * 60)
+    },
+    fixtures: {
+      // Recorded OMDB / Contentful responses (lib/http-fixtures.cjs): off, record or replay
+      mode: (vars.MOVIELOG_FIXTURES || "off").trim().toLowerCase(),
+      dir: path.resolve(rootDir, vars.MOVIELOG_FIXTURES_DIR || "fixtures/http")
+    },
+    // Raw secret values, only used by redact()
+    secrets: SECRET_KEYS.map(key => vars[key]).filter(Boolean),
+    // Every merged variable, only used by validateConfig()
+    vars
+  };
+}
+
+/**
+ * Missing keys for one part of the site
+ * @param {Object} config - From loadConfig()
+ * @param {string} scope - "contentful" or "omdb"
+ * @returns {string[]} One readable line per missing key (empty when complete)
+ */
+function validateConfig(config, scope) {
+  if (!REQUIRED_KEYS[scope]) {
+    throw new Error(`Unknown config scope: ${scope}`);
+  }
+
+  // Replayed responses were recorded with real keys; none are needed to read them
+  if (config.fixtures.mode === "replay") return [];
+
+  return Object.entries(REQUIRED_KEYS[scope])
+    .filter(([key]) => !String(config.vars[key] || "").trim())
+    .map(([key, hint]) => `${key} is not set - ${hint}`);
+}
+
+/**
+ * Throw a clear error when keys for one part of the site are missing
+ * @param {Object} config - From loadConfig()
+ * @param {string} scope - "contentful" or "omdb"
+ * @throws {Error} Listing every missing key and where to set it
+ */
+function requireConfig(config, scope) {
+  const problems = validateConfig(config, scope);
+  if (problems.length > 0) {
+    throw new Error(
+      `Missing ${scope} configuration (${config.profile} profile):\n  - ${problems.join("\n  - ")}\n` +
+      "Set them in .env (see .env.example) or in the Netlify site's environment variables."
+    );
+  }
+}
+
+/**
+ * Hide secrets in a message or value before it is logged or returned
+ * Masks the configured secret values plus anything that looks like a key in a URL or header.
+ * @param {*} value - String, Error or JSON-serializable value
+ * @param {Object} config - From loadConfig()
+ * @returns {*} Same kind of value with secrets replaced by "[redacted]"
+ */
+function redact(value, config) {
+  if (value instanceof Error) return redact(value.message, config);
+  if (typeof value !== "string") {
+    return value === undefined ? value : JSON.parse(redact(JSON.stringify(value), config));
+  }
+
+  let text = value;
+  (config?.secrets || []).forEach(secret => {
+    if (secret.length >= 4) text = text.split(secret).join("[redacted]");
+  });
+
+  return text
+    .replace(/((?:apikey|api_key|access_token)=)[^&\s"']+/gi, "$1[redacted]")
+    .replace(/(Bearer\s+)[^\s"']+/g, "$1[redacted]");
+}
+
+/**
+ * Safe summary of the configuration for logs
+ * @param {Object} config - From loadConfig()
+ * @returns {Object}
+ */
+function describeConfig(config) {
+  const presence = value => (value ? "[set]" : "[missing]");
+
+  return {
+    profile: config.profile,
+    contentful: {
+      spaceId: config.contentful.spaceId || "[missing]",
+      accessToken: presence(config.contentful.accessToken),
+      environment: config.contentful.environment,
+      host: config.contentful.host,
+      locales: config.contentful.locales
+    },
+    catalog: {
+      mergeStrategy: config.catalog.mergeStrategy
+    },
+    omdb: {
+      apiKey: presence(config.omdb.apiKey),
+      cache: config.omdb.cache,
+      rateLimit: `${config.omdb.rateLimit}/${config.omdb.rateLimitWindow}s`
+    },
+    fixtures: config.fixtures.mode
+  };
+}
+
+module.exports = {
+  PROFILES,
+  REQUIRED_KEYS,
+  SECRET_KEYS,
+  describeConfig,
+  loadConfig,
+  redact,
+  requireConfig,
+  resolveProfile,
+  validateConfig
+};
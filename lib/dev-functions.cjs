@@ -0,0 +1,139 @@
+/*
+  File: lib/dev-functions.cjs
+  Description: Runs the Netlify functions (netlify/functions/*.js) inside the Eleventy
+               dev server, so `npm start` serves live data without `netlify dev`.
+               Functions answer at /.netlify/functions/<name> and behind the netlify.toml
+               redirects that point at them (/api/* → /.netlify/functions/:splat).
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const FUNCTIONS_PREFIX = "/.netlify/functions/";
+
+/**
+ * [[redirects]] rules of netlify.toml, in file order
+ * Only the simple `key = "value"` lines Netlify's redirects use are read.
+ * @param {string} tomlPath - Path to netlify.toml
+ * @returns {Object[]} [{ from, to, status }]
+ */
+function readRedirects(tomlPath) {
+  let toml;
+  try {
+    toml = fs.readFileSync(tomlPath, "utf-8");
+  } catch (error) {
+    return [];
+  }
+
+  return toml.split(/^\s*\[\[redirects\]\]\s*$/m).slice(1).map(block => {
+    const rule = {};
+    // A block ends at the next table header
+    for (const line of block.split(/\r?\n/)) {
+      if (/^\s*\[/.test(line)) break;
+      const match = line.match(/^\s*(from|to|status)\s*=\s*"?([^"#]*?)"?\s*(#.*)?$/);
+      if (match) rule[match[1]] = match[1] === "status" ? Number(match[2]) : match[2];
+    }
+    return rule;
+  }).filter(rule => rule.from && rule.to);
+}
+
+/**
+ * Path a request ends up at after the first matching redirect
+ * @param {Object[]} redirects - From readRedirects()
+ * @param {string} pathname - Request path
+ * @returns {string} Target path (the request path when no rule matches)
+ */
+function resolveRedirect(redirects, pathname) {
+  for (const { from, to } of redirects) {
+    const pattern = new RegExp(`^${from.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*$/, "(.*)")}$`);
+    const match = pathname.match(pattern);
+    if (match) return to.replace(":splat", match[1] || "");
+  }
+  return pathname;
+}
+
+/**
+ * Netlify function event of a dev server request
+ * @param {http.IncomingMessage} req - Request
+ * @param {URL} url - Parsed request URL
+ * @param {string} body - Request body
+ * @returns {Object} { path, httpMethod, headers, queryStringParameters, body, ... }
+ */
+function toEvent(req, url, body) {
+  return {
+    rawUrl: url.href,
+    rawQuery: url.search.slice(1),
+    path: url.pathname,
+    httpMethod: req.method,
+    headers: req.headers,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    multiValueQueryStringParameters: Array.from(url.searchParams.keys()).reduce((params, key) => {
+      params[key] = url.searchParams.getAll(key);
+      return params;
+    }, {}),
+    body: body || null,
+    isBase64Encoded: false
+  };
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Dev server middleware that runs the functions
+ * @param {Object} options
+ * @param {string} options.functionsDir - Folder of the functions (netlify/functions)
+ * @param {string} options.tomlPath - netlify.toml (for the redirects)
+ * @returns {Function} (req, res, next) middleware for eleventyConfig.setServerOptions()
+ */
+function createFunctionsMiddleware({ functionsDir, tomlPath }) {
+  const redirects = readRedirects(tomlPath);
+
+  return async function functionsMiddleware(req, res, next) {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const target = resolveRedirect(redirects, url.pathname);
+    if (!target.startsWith(FUNCTIONS_PREFIX)) return next();
+
+    const name = target.slice(FUNCTIONS_PREFIX.length).split("/")[0];
+    const filePath = path.join(functionsDir, `${name}.js`);
+    const send = (statusCode, headers, body) => {
+      res.writeHead(statusCode, headers);
+      res.end(body);
+    };
+
+    if (!/^[\w-]+$/.test(name) || !fs.existsSync(filePath)) {
+      return send(404, { "Content-Type": "application/json" }, JSON.stringify({ error: `Function not found: ${name}` }));
+    }
+
+    try {
+      // Loaded once, so the function keeps its cache and rate limiter between requests like a warm instance
+      const { handler } = require(filePath);
+      const result = await handler(toEvent(req, url, await readBody(req)), { functionName: name });
+      console.log(`[11ty] λ ${req.method} ${url.pathname}${url.search} → ${result.statusCode}`);
+      send(result.statusCode, result.headers || {}, result.body || "");
+    } catch (error) {
+      console.error(`❌ Function ${name} failed: ${error.message}`);
+      send(500, { "Content-Type": "application/json" }, JSON.stringify({ error: "Function failed", message: error.message }));
+    }
+  };
+}
+
+module.exports = {
+  FUNCTIONS_PREFIX,
+  createFunctionsMiddleware,
+  readRedirects,
+  resolveRedirect
+};
@@ -0,0 +1,161 @@
+/*
+  File: lib/feeds.cjs
+  Description: Atom (/feed.xml) and JSON Feed 1.1 (/feed.json) of newly added and
+               updated movies, built from collections.allMovies (feed.njk, feed-json.njk).
+               CMS movies are dated by updatedAt (createdAt when never updated), local
+               movies by their front matter `date:` only. File times change with every
+               checkout, so an undated local movie sorts as oldest instead.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const path = require("path");
+const markdownIt = require("markdown-it");
+const { encodeUrl } = require("./images.cjs");
+const { escapeHtml } = require("./movie-model.cjs");
+
+const FEED_PATHS = {
+  atom: "/feed.xml",
+  json: "/feed.json"
+};
+
+// Newest movies in each feed
+const FEED_LIMIT = 30;
+
+const JSON_FEED_VERSION = "https://jsonfeed.org/version/1.1";
+
+// Poster enclosures by file extension
+const IMAGE_TYPES = {
+  ".avif": "image/avif",
+  ".gif": "image/gif",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp"
+};
+
+const markdown = markdownIt({ html: true });
+
+/**
+ * Absolute URL of a site path
+ * @param {string} url - Path (e.g. /movies/inception/) or absolute URL
+ * @param {string} siteUrl - site.url
+ * @returns {string}
+ */
+function absoluteUrl(url, siteUrl) {
+  return new URL(encodeUrl(url), siteUrl).href;
+}
+
+/**
+ * Dates of a movie in the feeds
+ * @param {Object} movie - Canonical movie
+ * @returns {Object} { published, updated } ISO strings (updated is never before published)
+ */
+function feedDates(movie) {
+  const epoch = new Date(0).toISOString();
+  if (movie.source === "local") {
+    const published = movie.createdAt || epoch;
+    return { published, updated: published };
+  }
+
+  const published = movie.createdAt || movie.updatedAt || epoch;
+  const updated = movie.updatedAt && movie.updatedAt > published ? movie.updatedAt : published;
+  return { published, updated };
+}
+
+/**
+ * Full description of a movie as HTML: director, CMS description plus the review body
+ * (the director isn't the entry's author, the feed's author wrote it)
+ * @param {Object} movie - Canonical movie
+ * @returns {string}
+ */
+function contentHtml(movie) {
+  const director = movie.director && movie.director !== "Unknown"
+    ? `<p>Directed by ${escapeHtml(movie.director)}</p>`
+    : "";
+  const description = movie.descriptionHtml
+    || (movie.description ? `<p>${escapeHtml(movie.description)}</p>` : "");
+  return [director, description, movie.body ? markdown.render(movie.body).trim() : ""].filter(Boolean).join("\n");
+}
+
+/**
+ * Entries of both feeds, most recently updated first
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @param {Object} site - _data/site.json
+ * @param {Object} options - { limit }
+ * @returns {Object[]} [{ id, url, title, summary, contentHtml, published, updated, genres, poster }]
+ */
+function feedItems(movies, site, { limit = FEED_LIMIT } = {}) {
+  return movies
+    .map(movie => ({ movie, ...feedDates(movie) }))
+    .sort((a, b) => b.updated.localeCompare(a.updated) || a.movie.title.localeCompare(b.movie.title))
+    .slice(0, limit)
+    .map(({ movie, published, updated }) => {
+      const url = absoluteUrl(movie.url, site.url);
+      return {
+        id: url,
+        url,
+        title: movie.year ? `${movie.title} (${movie.year})` : movie.title,
+        summary: movie.description,
+        contentHtml: contentHtml(movie),
+        published,
+        updated,
+        genres: movie.genres,
+        poster: {
+          url: absoluteUrl(movie.poster, site.url),
+          type: IMAGE_TYPES[path.extname(new URL(movie.poster, site.url).pathname).toLowerCase()] || "image/jpeg",
+          alt: movie.posterAlt
+        }
+      };
+    });
+}
+
+/**
+ * When the feed last changed
+ * @param {Object[]} items - From feedItems()
+ * @returns {string} ISO date
+ */
+function feedUpdated(items) {
+  return items.length > 0 ? items[0].updated : new Date(0).toISOString();
+}
+
+/**
+ * JSON Feed 1.1 document
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @param {Object} site - _data/site.json
+ * @returns {Object}
+ */
+function toJsonFeed(movies, site) {
+  return {
+    version: JSON_FEED_VERSION,
+    title: site.title,
+    home_page_url: absoluteUrl("/", site.url),
+    feed_url: absoluteUrl(FEED_PATHS.json, site.url),
+    description: site.description,
+    language: "en",
+    authors: [{ name: site.author }],
+    items: feedItems(movies, site).map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      content_html: item.contentHtml,
+      image: item.poster.url,
+      date_published: item.published,
+      date_modified: item.updated,
+      tags: item.genres,
+      attachments: [{ url: item.poster.url, mime_type: item.poster.type, title: item.poster.alt }]
+    }))
+  };
+}
+
+module.exports = {
+  FEED_LIMIT,
+  FEED_PATHS,
+  absoluteUrl,
+  feedDates,
+  feedItems,
+  feedUpdated,
+  toJsonFeed
+};
@@ -0,0 +1,172 @@
+/*
+  File: lib/http-fixtures.cjs
+  Description: Record/replay of the HTTP requests the site makes to OMDB and Contentful.
+               With MOVIELOG_FIXTURES=record every response is saved to fixtures/http/;
+               with MOVIELOG_FIXTURES=replay the same requests are answered from those
+               files, without network access or API keys. Used by the OMDB client
+               (lib/omdb-client.cjs) and fetch-cms-data.js.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { loadConfig, redact } = require("./config.cjs");
+
+/**
+ * Fixture modes (MOVIELOG_FIXTURES)
+ * - off:    real requests (default)
+ * - record: real requests, responses saved to the fixtures folder
+ * - replay: recorded responses only; a request that was never recorded fails
+ */
+const FIXTURE_MODES = ["off", "record", "replay"];
+
+// Query parameters holding credentials: never part of a fixture's key or file
+const SECRET_PARAMS = ["apikey", "access_token"];
+
+// `code` of the error thrown when replay mode has no recording for a request
+const FIXTURE_MISSING = "FIXTURE_MISSING";
+
+/**
+ * Request as it is matched against recordings
+ * Credentials are dropped, query parameters sorted and the Contentful space ID
+ * replaced, so recordings don't depend on whose keys made them.
+ * @param {string} url - Absolute request URL
+ * @param {string} method - HTTP method
+ * @returns {Object} { method, url }
+ */
+function fixtureRequest(url, method = "GET") {
+  const parsed = new URL(url);
+  SECRET_PARAMS.forEach(param => parsed.searchParams.delete(param));
+  parsed.searchParams.sort();
+  parsed.pathname = parsed.pathname.replace(/^\/spaces\/[^/]*\//, "/spaces/_/");
+  return { method: method.toUpperCase(), url: parsed.href };
+}
+
+/**
+ * File of a recording: <dir>/<host>/<method>-<readable path>-<hash>.json
+ * @param {string} dir - Fixtures folder
+ * @param {Object} request - From fixtureRequest()
+ * @returns {string}
+ */
+function fixturePath(dir, request) {
+  const { host, pathname, search } = new URL(request.url);
+  const label = `${pathname}${search}`.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").slice(0, 60) || "root";
+  const hash = crypto.createHash("sha1").update(`${request.method} ${request.url}`).digest("hex").slice(0, 10);
+  return path.join(dir, host.replace(/[^a-z0-9.-]/gi, "_"), `${request.method.toLowerCase()}-${label}-${hash}.json`);
+}
+
+/**
+ * Saved recording of a request
+ * @param {string} dir - Fixtures folder
+ * @param {Object} request - From fixtureRequest()
+ * @returns {Object|null} { request, response: { status, headers, body }, recordedAt }
+ */
+function readFixture(dir, request) {
+  try {
+    return JSON.parse(fs.readFileSync(fixturePath(dir, request), "utf-8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save a recording (JSON bodies are stored parsed, so the files are readable)
+ * @param {string} dir - Fixtures folder
+ * @param {Object} request - From fixtureRequest()
+ * @param {Object} response - { status, contentType, text }
+ * @returns {string} Path of the file
+ */
+function writeFixture(dir, request, { status, contentType, text }) {
+  let body = text;
+  if (/json/i.test(contentType || "")) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Keep the raw text
+    }
+  }
+
+  const filePath = fixturePath(dir, request);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    request,
+    response: { status, headers: { "content-type": contentType || "text/plain" }, body },
+    recordedAt: new Date().toISOString()
+  }, null, 2) + "\n");
+  return filePath;
+}
+
+/**
+ * fetch() that records or replays responses
+ * @param {Object} options
+ * @param {string} options.mode - One of FIXTURE_MODES
+ * @param {string} options.dir - Fixtures folder
+ * @param {Function} options.fetch - Real fetch
+ * @param {Function} options.redact - Hides secrets in recorded bodies
+ * @returns {Function} fetch(input, init) - in replay mode it rejects with an error whose
+ *   `code` is FIXTURE_MISSING for requests that were never recorded
+ * @throws {Error} When the mode is unknown
+ */
+function createFixtureFetch({ mode, dir, fetch: realFetch, redact: hide = text => text }) {
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown MOVIELOG_FIXTURES "${mode}" (expected one of ${FIXTURE_MODES.join(", ")})`);
+  }
+  if (mode === "off") return realFetch;
+
+  return async function fixtureFetch(input, init = {}) {
+    const url = typeof input === "string" || input instanceof URL ? String(input) : input.url;
+    const request = fixtureRequest(url, init.method || input.method);
+
+    if (mode === "replay") {
+      const fixture = readFixture(dir, request);
+      if (!fixture) {
+        const error = new Error(`No recorded response for ${request.method} ${request.url} (record it with npm run record-fixtures)`);
+        error.code = FIXTURE_MISSING;
+        throw error;
+      }
+      const { status, headers, body } = fixture.response;
+      return new Response(typeof body === "string" ? body : JSON.stringify(body), { status, headers });
+    }
+
+    const response = await realFetch(input, init);
+    const filePath = writeFixture(dir, request, {
+      status: response.status,
+      contentType: response.headers.get("content-type"),
+      text: hide(await response.clone().text())
+    });
+    console.log(`📼 Recorded ${request.method} ${request.url} → ${path.relative(process.cwd(), filePath)}`);
+    return response;
+  };
+}
+
+/**
+ * fetch() that follows MOVIELOG_FIXTURES (the real fetch when fixtures are off)
+ * The mode is read on the first request, so importing a client has no side effects.
+ * @param {Function} realFetch - Real fetch (node-fetch or the global one)
+ * @param {Function} getConfig - Returns the configuration (default: loadConfig)
+ * @returns {Function} fetch(input, init)
+ */
+function withFixtures(realFetch, getConfig = loadConfig) {
+  let fixtureFetch = null;
+
+  return function fetchWithFixtures(input, init) {
+    if (!fixtureFetch) {
+      const config = getConfig();
+      const { mode, dir } = config.fixtures;
+      fixtureFetch = createFixtureFetch({ mode, dir, fetch: realFetch, redact: text => redact(text, config) });
+      if (mode !== "off") console.log(`📼 HTTP fixtures: ${mode} (${path.relative(process.cwd(), dir) || "."})`);
+    }
+    return fixtureFetch(input, init);
+  };
+}
+
+module.exports = {
+  FIXTURE_MISSING,
+  FIXTURE_MODES,
+  createFixtureFetch,
+  fixturePath,
+  fixtureRequest,
+  withFixtures
+};
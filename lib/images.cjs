@@ -0,0 +1,214 @@
+/*
+  File: lib/images.cjs
+  Description: Shape of _data/imageManifest.json, the responsive poster variants written
+               by process-images.js, and the <picture> markup the templates render from it.
+               Entries are keyed by the poster URL used in the movie data, so a poster
+               without an entry (manifest never generated, image failed to process)
+               falls back to a plain lazy-loaded <img> of the original file.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+// Written next to cmsData.json
+const IMAGE_MANIFEST_FILE = "imageManifest.json";
+
+// Generated files are cached here between builds and copied to IMAGE_URL_PATH
+const IMAGE_CACHE_DIR = ".cache/posters";
+const IMAGE_URL_PATH = "/img/posters/";
+
+// Widths (px) generated for every poster; never upscaled past the original
+const IMAGE_WIDTHS = [160, 320, 480, 640, 960];
+
+// Best first: browsers pick the first <source> they support, JPEG is the <img> fallback
+const IMAGE_FORMATS = ["avif", "webp", "jpeg"];
+
+// Width of the tiny blurred preview inlined into the page
+const PLACEHOLDER_WIDTH = 24;
+
+// `sizes` attribute per layout, matching the CSS of the templates
+const IMAGE_SIZES = {
+  card: "(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw",
+  detail: "(min-width: 768px) 33vw, 100vw",
+  gallery: "(min-width: 768px) 25vw, 50vw",
+  thumb: "160px"
+};
+
+/**
+ * Every poster URL of a list of movies, with the name used for its generated files
+ * @param {Object[]} movies - Canonical movies
+ * @returns {Object[]} [{ src, name }], one per distinct URL
+ */
+function posterSources(movies) {
+  const sources = new Map();
+  const perSlug = new Map();
+
+  movies.forEach(movie => {
+    const urls = [movie.poster, ...(movie.posters || []).map(poster => poster.url)];
+    urls.filter(Boolean).forEach(src => {
+      if (sources.has(src)) return;
+      // First poster of a movie is named after its slug, the others get -2, -3, ...
+      const count = (perSlug.get(movie.slug) || 0) + 1;
+      perSlug.set(movie.slug, count);
+      sources.set(src, { src, name: count === 1 ? movie.slug : `${movie.slug}-${count}` });
+    });
+  });
+
+  return Array.from(sources.values());
+}
+
+/**
+ * Manifest entry of a poster
+ * @param {Object} imageManifest - Contents of imageManifest.json (undefined when it was never generated)
+ * @param {string} src - Poster URL from the movie data
+ * @returns {Object|null} { src, width, height, placeholder, formats } or null
+ */
+function getImage(imageManifest, src) {
+  return imageManifest?.images?.[src] || null;
+}
+
+/**
+ * Decode the escapes of a URL (e.g. %20 in poster file names)
+ * A `%` that isn't an escape (e.g. 50%-off.jpg) can't be decoded, so the URL is taken as is
+ * @param {string} url - URL or site path
+ * @returns {string}
+ */
+function decodeUrl(url) {
+  try {
+    return decodeURI(url);
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Percent-encode a URL (e.g. spaces in poster file names) without encoding it twice
+ * @param {string} url - URL or site path
+ * @returns {string}
+ */
+function encodeUrl(url) {
+  return encodeURI(decodeUrl(url));
+}
+
+/**
+ * Escape a value for an HTML attribute
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Render attributes, skipping missing ones (an empty string is kept, e.g. alt="")
+ * @param {Object} attrs - { name: value }
+ * @returns {string} e.g. ' class="w-full" id="moviePoster"'
+ */
+function attributesHtml(attrs) {
+  return Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([name, value]) => value === true ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`)
+    .join("");
+}
+
+/**
+ * srcset attribute of one format
+ * @param {Object[]} variants - [{ url, width }]
+ * @returns {string}
+ */
+function srcset(variants) {
+  return variants.map(variant => `${variant.url} ${variant.width}w`).join(", ");
+}
+
+/**
+ * Responsive markup of a poster
+ * With a manifest entry: a <picture> with AVIF/WebP sources, a JPEG fallback, the
+ * intrinsic size (no layout shift) and the blurred preview as background until it loads.
+ * Without one: a plain <img> of the original URL.
+ * @param {string} src - Poster URL from the movie data
+ * @param {Object} image - From getImage() (or null)
+ * @param {Object} options
+ * @param {string} options.alt - Alt text (required, "" for decorative images)
+ * @param {string} options.sizes - Key of IMAGE_SIZES or a `sizes` value
+ * @param {string} options.loading - "lazy" (default) or "eager" for the main image of a page
+ * @param {Object} options.attrs - Extra attributes of the <img> (class, id, ...)
+ * @returns {string} HTML
+ */
+function pictureHtml(src, image, { alt = "", sizes = "card", loading = "lazy", attrs = {} } = {}) {
+  // Missing attributes (e.g. an unknown width) don't override the manifest's
+  const extraAttrs = Object.fromEntries(Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null && value !== ""));
+  const imgAttrs = {
+    alt,
+    loading,
+    decoding: "async",
+    ...extraAttrs
+  };
+
+  if (!image) {
+    return `<img${attributesHtml({ src: encodeUrl(src), ...imgAttrs })}>`;
+  }
+
+  const sizesValue = IMAGE_SIZES[sizes] || sizes;
+  const fallback = image.formats.jpeg || [];
+  const largest = fallback[fallback.length - 1];
+
+  const sources = IMAGE_FORMATS
+    .filter(format => format !== "jpeg" && image.formats[format]?.length)
+    .map(format => `<source type="image/${format}" srcset="${escapeAttribute(srcset(image.formats[format]))}" sizes="${escapeAttribute(sizesValue)}">`);
+
+  const img = `<img${attributesHtml({
+    src: largest ? largest.url : encodeUrl(src),
+    srcset: fallback.length ? srcset(fallback) : undefined,
+    sizes: fallback.length ? sizesValue : undefined,
+    width: image.width,
+    height: image.height,
+    style: image.placeholder ? `background-image: url(${image.placeholder}); background-size: cover` : undefined,
+    ...imgAttrs
+  })}>`;
+
+  return `<picture>${sources.join("")}${img}</picture>`;
+}
+
+/**
+ * Poster variants for the JSON API and client-side rendering (js/movie-list.js)
+ * @param {Object} image - From getImage() (or null)
+ * @returns {Object|null} { src, width, height, placeholder, srcset: { avif, webp, jpeg } }
+ */
+function toApiImage(image) {
+  if (!image) return null;
+
+  const fallback = image.formats.jpeg || [];
+
+  const sets = {};
+  IMAGE_FORMATS.forEach(format => {
+    if (image.formats[format]?.length) sets[format] = srcset(image.formats[format]);
+  });
+
+  return {
+    src: fallback.length ? fallback[fallback.length - 1].url : image.src,
+    width: image.width,
+    height: image.height,
+    placeholder: image.placeholder || null,
+    srcset: sets
+  };
+}
+
+module.exports = {
+  IMAGE_CACHE_DIR,
+  IMAGE_FORMATS,
+  IMAGE_MANIFEST_FILE,
+  IMAGE_SIZES,
+  IMAGE_URL_PATH,
+  IMAGE_WIDTHS,
+  PLACEHOLDER_WIDTH,
+  decodeUrl,
+  encodeUrl,
+  getImage,
+  pictureHtml,
+  posterSources,
+  toApiImage
+};
@@ -0,0 +1,128 @@
+/*
+  File: lib/movie-listing.cjs
+  Description: Sort orders and pagination for the All Movies listing (all-movies.njk).
+               Every sort order gets its own set of pre-rendered pages so the listing
+               works without JavaScript; js/movie-list.js mirrors the sort orders.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+// Movies per listing page (also read by js/movie-list.js from data-per-page)
+const MOVIES_PER_PAGE = 12;
+
+// Where the listing lives; the default sort order is served from here directly
+const LISTING_BASE = "/all-movies/";
+
+/**
+ * Timestamp of an ISO string or Date, or null
+ * @param {string|Date|null} value - Date value
+ * @returns {number|null}
+ */
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Compare two possibly missing values; missing ones always sort last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {Function} compare - Comparison for two present values
+ * @returns {number}
+ */
+function compareMissingLast(a, b, compare) {
+  const missingA = a === null || a === undefined;
+  const missingB = b === null || b === undefined;
+  if (missingA || missingB) return Number(missingA) - Number(missingB);
+  return compare(a, b);
+}
+
+const byTitle = (a, b) => a.title.localeCompare(b.title);
+
+// Keep keys, labels and comparisons in sync with SORT_ORDERS in js/movie-list.js
+const SORT_ORDERS = {
+  year: {
+    label: "Newest",
+    compare: (a, b) => compareMissingLast(a.year, b.year, (x, y) => y - x) || byTitle(a, b)
+  },
+  title: {
+    label: "Title (A–Z)",
+    compare: byTitle
+  },
+  rating: {
+    label: "Highest rated",
+    compare: (a, b) => compareMissingLast(a.rating, b.rating, (x, y) => y - x) || byTitle(a, b)
+  },
+  added: {
+    label: "Recently added",
+    compare: (a, b) => compareMissingLast(toTime(a.createdAt), toTime(b.createdAt), (x, y) => y - x) || byTitle(a, b)
+  }
+};
+
+const DEFAULT_SORT = "year";
+
+/**
+ * Sort canonical movies without changing the input array
+ * @param {Object[]} movies - Canonical movies
+ * @param {string} sort - Key of SORT_ORDERS
+ * @returns {Object[]}
+ */
+function sortMovies(movies, sort = DEFAULT_SORT) {
+  if (!SORT_ORDERS[sort]) {
+    throw new Error(`Unknown sort order: ${sort}`);
+  }
+  return movies.slice().sort(SORT_ORDERS[sort].compare);
+}
+
+/**
+ * URL of one listing page
+ * e.g. /all-movies/, /all-movies/page/2/, /all-movies/by-title/, /all-movies/by-title/page/2/
+ * @param {string} sort - Key of SORT_ORDERS
+ * @param {number} pageNumber - 1-based page number
+ * @returns {string}
+ */
+function listingUrl(sort = DEFAULT_SORT, pageNumber = 1) {
+  const base = sort === DEFAULT_SORT ? LISTING_BASE : `${LISTING_BASE}by-${sort}/`;
+  return pageNumber <= 1 ? base : `${base}page/${pageNumber}/`;
+}
+
+/**
+ * Every page of the listing in every sort order (paginated one per page in all-movies.njk)
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @param {number} perPage - Movies per page
+ * @returns {Object[]} [{ sort, sortLabel, pageNumber, totalPages, totalItems, perPage, url, previousUrl, nextUrl, pages, sorts, movies }]
+ */
+function buildListingPages(movies, perPage = MOVIES_PER_PAGE) {
+  const totalPages = Math.max(1, Math.ceil(movies.length / perPage));
+  const pageNumbers = Array.from({ length: totalPages }, (_, i) => i + 1);
+
+  return Object.entries(SORT_ORDERS).flatMap(([sort, { label }]) => {
+    const sorted = sortMovies(movies, sort);
+
+    return pageNumbers.map(pageNumber => ({
+      sort,
+      sortLabel: label,
+      pageNumber,
+      totalPages,
+      totalItems: movies.length,
+      perPage,
+      url: listingUrl(sort, pageNumber),
+      previousUrl: pageNumber > 1 ? listingUrl(sort, pageNumber - 1) : null,
+      nextUrl: pageNumber < totalPages ? listingUrl(sort, pageNumber + 1) : null,
+      // Links for the page navigation and the sort switcher
+      pages: pageNumbers.map(number => ({ number, url: listingUrl(sort, number), current: number === pageNumber })),
+      sorts: Object.entries(SORT_ORDERS).map(([key, order]) => ({ key, label: order.label, url: listingUrl(key), current: key === sort })),
+      movies: sorted.slice((pageNumber - 1) * perPage, pageNumber * perPage)
+    }));
+  });
+}
+
+module.exports = {
+  DEFAULT_SORT,
+  LISTING_BASE,
+  MOVIES_PER_PAGE,
+  SORT_ORDERS,
+  buildListingPages,
+  listingUrl,
+  sortMovies
+};
@@ -0,0 +1,218 @@
+/*
+  File: lib/movie-merge.cjs
+  Description: Merges Contentful and local markdown movies into one catalog.
+               A local movie and a CMS movie are the same film when their IMDb IDs match,
+               or (when either has no IMDb ID) their normalized titles and years match.
+               Each film then gets one canonical movie and one page, built with the
+               configured strategy (CATALOG_MERGE_STRATEGY, see lib/config.cjs).
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const { PLACEHOLDER_POSTER, slugify, validateMovie } = require("./movie-model.cjs");
+
+/**
+ * Merge strategies
+ * - cms:    the Contentful movie is used as is
+ * - local:  the markdown movie is used as is
+ * - fields: field by field, Contentful first; empty CMS fields are filled from the markdown file
+ */
+const MERGE_STRATEGIES = ["cms", "local", "fields"];
+
+const DEFAULT_MERGE_STRATEGY = "cms";
+
+// fieldSources value of reviews that came from both movies
+const BOTH_SOURCES = "both";
+
+/**
+ * Content fields, merged in groups so a poster keeps its own alt text and variants
+ * and a description its own HTML. The first field of a group decides if it is empty.
+ * With the fields strategy reviews are the exception: both lists are combined, see mergeReviews().
+ * Every other field (id, slug, url, source, locale, translations, dates) identifies
+ * the page and always comes from the winning movie.
+ */
+const FIELD_GROUPS = [
+  ["title"],
+  ["imdbId"],
+  ["director"],
+  ["cast"],
+  ["year"],
+  ["genres"],
+  ["rating"],
+  ["poster", "posterAlt", "posters"],
+  ["description", "descriptionHtml"],
+  ["body"],
+  ["reviews"]
+];
+
+/**
+ * Is a field missing in a canonical movie?
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isEmptyField(field, value) {
+  if (value === null || value === undefined || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (field === "director") return value === "Unknown";
+  if (field === "poster") return value === PLACEHOLDER_POSTER;
+  return false;
+}
+
+/**
+ * Are two canonical movies the same film?
+ * IMDb IDs decide when both movies have one; otherwise title and year must match.
+ * @param {Object} a - Canonical movie
+ * @param {Object} b - Canonical movie
+ * @returns {boolean}
+ */
+function isSameMovie(a, b) {
+  if (a.imdbId && b.imdbId) return a.imdbId === b.imdbId;
+  return slugify(a.title) === slugify(b.title) && a.year === b.year;
+}
+
+/**
+ * The CMS movie a local movie duplicates
+ * @param {Object} localMovie - Canonical local movie
+ * @param {Object[]} cmsMovies - Canonical CMS movies
+ * @returns {Object|null}
+ */
+function findMatch(localMovie, cmsMovies) {
+  return cmsMovies.find(cmsMovie => isSameMovie(cmsMovie, localMovie)) || null;
+}
+
+/**
+ * Fail on a misspelled CATALOG_MERGE_STRATEGY even when nothing needs merging
+ * @param {string} strategy - Strategy name
+ * @throws {Error} When the strategy is unknown
+ */
+function assertStrategy(strategy) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy "${strategy}" (expected one of ${MERGE_STRATEGIES.join(", ")})`);
+  }
+}
+
+/**
+ * Every viewing of both movies, oldest first
+ * Reviews are one per date: on a date both movies have, the winner's review is kept.
+ * @param {Object} winner - Canonical movie whose fields come first
+ * @param {Object} other - Canonical movie of the other source
+ * @returns {Object} { reviews, source } - source is BOTH_SOURCES when each movie kept a review
+ */
+function mergeReviews(winner, other) {
+  const byDate = new Map();
+  [winner, other].forEach(movie => movie.reviews.forEach(review => {
+    if (!byDate.has(review.date)) byDate.set(review.date, { review, source: movie.source });
+  }));
+
+  const merged = Array.from(byDate.values()).sort((a, b) => a.review.date.localeCompare(b.review.date));
+  const sources = new Set(merged.map(entry => entry.source));
+
+  return {
+    reviews: merged.map(entry => entry.review),
+    source: sources.size > 1 ? BOTH_SOURCES : sources.values().next().value || winner.source
+  };
+}
+
+/**
+ * Merge one film that exists in both sources
+ * The result records where it came from:
+ *   mergedFrom   - [{ source, id, url }] of both movies, winner first
+ *   fieldSources - { field: "contentful" | "local" } for every content field,
+ *                  "both" for reviews combined from both movies
+ * @param {Object} cmsMovie - Canonical CMS movie
+ * @param {Object} localMovie - Canonical local movie
+ * @param {string} strategy - One of MERGE_STRATEGIES
+ * @returns {Object} Canonical movie
+ * @throws {Error} When the strategy is unknown or the merged movie is invalid
+ */
+function mergePair(cmsMovie, localMovie, strategy = DEFAULT_MERGE_STRATEGY) {
+  assertStrategy(strategy);
+
+  const [winner, other] = strategy === "local" ? [localMovie, cmsMovie] : [cmsMovie, localMovie];
+  const movie = { ...winner };
+  const fieldSources = {};
+
+  FIELD_GROUPS.forEach(group => {
+    const [lead] = group;
+    const useOther = strategy === "fields" && isEmptyField(lead, winner[lead]) && !isEmptyField(lead, other[lead]);
+    const from = useOther ? other : winner;
+    group.forEach(field => {
+      movie[field] = from[field];
+      fieldSources[field] = from.source;
+    });
+  });
+
+  // Viewings logged in either place add up instead of replacing each other
+  if (strategy === "fields") {
+    const { reviews, source } = mergeReviews(winner, other);
+    movie.reviews = reviews;
+    fieldSources.reviews = source;
+  }
+
+  movie.mergedFrom = [winner, other].map(({ source, id, url }) => ({ source, id, url }));
+  movie.fieldSources = fieldSources;
+
+  const problems = validateMovie(movie);
+  if (problems.length > 0) {
+    throw new Error(`Invalid merged movie "${movie.title}": ${problems.join("; ")}`);
+  }
+
+  return movie;
+}
+
+/**
+ * A local movie as it ends up in the catalog
+ * @param {Object} localMovie - Canonical local movie
+ * @param {Object[]} cmsMovies - Canonical CMS movies
+ * @param {string} strategy - One of MERGE_STRATEGIES
+ * @returns {Object} The local movie, or the merged movie when it duplicates a CMS movie
+ */
+function resolveLocalMovie(localMovie, cmsMovies, strategy) {
+  const cmsMovie = findMatch(localMovie, cmsMovies);
+  return cmsMovie ? mergePair(cmsMovie, localMovie, strategy) : localMovie;
+}
+
+/**
+ * Merge both sources into one list with one movie per film
+ * @param {Object[]} cmsMovies - Canonical CMS movies
+ * @param {Object[]} localMovies - Canonical local movies
+ * @param {Object} options - { strategy }
+ * @returns {Object} { movies, merged } - merged lists the movies built from both sources
+ */
+function mergeCatalog(cmsMovies, localMovies, { strategy = DEFAULT_MERGE_STRATEGY } = {}) {
+  assertStrategy(strategy);
+
+  const mergedByCmsId = new Map();
+  const unmatchedLocal = [];
+
+  localMovies.forEach(localMovie => {
+    const cmsMovie = findMatch(localMovie, cmsMovies);
+    if (cmsMovie && !mergedByCmsId.has(cmsMovie.id)) {
+      mergedByCmsId.set(cmsMovie.id, mergePair(cmsMovie, localMovie, strategy));
+    } else {
+      // Two local files of one film are left to the catalog check (duplicate-title)
+      unmatchedLocal.push(localMovie);
+    }
+  });
+
+  const movies = [
+    ...cmsMovies.map(cmsMovie => mergedByCmsId.get(cmsMovie.id) || cmsMovie),
+    ...unmatchedLocal
+  ];
+
+  return { movies, merged: Array.from(mergedByCmsId.values()) };
+}
+
+module.exports = {
+  BOTH_SOURCES,
+  DEFAULT_MERGE_STRATEGY,
+  FIELD_GROUPS,
+  MERGE_STRATEGIES,
+  findMatch,
+  isSameMovie,
+  mergeCatalog,
+  mergePair,
+  mergeReviews,
+  resolveLocalMovie
+};
@@ -0,0 +1,682 @@
+/*
+  File: lib/movie-model.cjs
+  Description: Canonical Movie model shared by fetch-cms-data.js, the Eleventy
+               collections and every template. Contentful entries and local
+               markdown front matter are both mapped into this one shape.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const fs = require("fs");
+const { BLOCKS } = require("@contentful/rich-text-types");
+const { documentToHtmlString } = require("@contentful/rich-text-html-renderer");
+const { documentToPlainTextString } = require("@contentful/rich-text-plain-text-renderer");
+const markdownIt = require("markdown-it");
+
+const markdown = markdownIt({ html: true });
+
+// Poster used when a movie has no image of its own (served from images/)
+const PLACEHOLDER_POSTER = "/images/placeholder-poster.svg";
+
+// Every source a movie can come from
+const SOURCES = ["contentful", "local"];
+
+// Scale every canonical rating is stored on
+const RATING_SCALE = 10;
+
+/**
+ * Declared rating scale of each source
+ * Local markdown is rated out of 5, Contentful entries out of 10.
+ * A local file can override it with a `ratingScale` front matter field.
+ */
+const SOURCE_RATING_SCALES = {
+  contentful: 10,
+  local: 5
+};
+
+// IMDb title IDs (used for exact OMDB lookups), e.g. tt0111161
+const IMDB_ID_PATTERN = /^tt\d{7,}$/;
+
+// Viewing dates of reviews (YYYY-MM-DD)
+const REVIEW_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Display styles accepted by formatRating (site.ratingDisplay)
+const RATING_DISPLAYS = ["stars", "out-of-5", "out-of-10", "percent"];
+
+/**
+ * Canonical Movie schema
+ * Key: field name, Value: human readable description of the expected type
+ */
+const MOVIE_SCHEMA = {
+  id: "non-empty string",
+  slug: "non-empty string",
+  title: "non-empty string",
+  imdbId: "IMDb title ID (e.g. tt1375666) or null",
+  director: "string",
+  cast: "array of strings",
+  year: "integer or null",
+  genres: "array of strings",
+  rating: `number between 0 and ${RATING_SCALE} or null`,
+  poster: "non-empty string",
+  posterAlt: "non-empty string",
+  posters: "array of { url, width, height, alt }",
+  description: "string",
+  descriptionHtml: "string",
+  body: "string",
+  source: SOURCES.join(" | "),
+  url: "string starting with /",
+  locale: "locale code or null",
+  translations: "array of { locale, url }",
+  reviews: "array of reviews (see REVIEW_SCHEMA), oldest viewing first",
+  createdAt: "ISO date string or null",
+  updatedAt: "ISO date string or null"
+};
+
+/**
+ * Review schema: one dated viewing of a movie
+ * Local files list them under `reviews` in the front matter, Contentful has a
+ * `review` content type linking to the movie (see fromContentfulReview()).
+ */
+const REVIEW_SCHEMA = {
+  id: "non-empty string",
+  date: "YYYY-MM-DD date string",
+  rating: `number between 0 and ${RATING_SCALE} or null`,
+  tags: "array of strings",
+  quote: "string",
+  body: "string (markdown or plain text)",
+  bodyHtml: "string",
+  spoilers: "string (markdown or plain text)",
+  spoilersHtml: "string"
+};
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Turn a title into a URL slug (matches Eleventy's slugify filter output)
+ * @param {string} text - Text to slugify
+ * @returns {string} Lowercase, dash separated slug
+ */
+function slugify(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Split a list value into clean items
+ * Accepts arrays or comma separated strings like OMDB's "Crime, Drama"
+ * @param {string|string[]} value - Raw list value
+ * @returns {string[]} Unique, trimmed items
+ */
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Split a genre value into a clean list
+ * @param {string|string[]} value - Raw genre value
+ * @returns {string[]} Unique, trimmed genre names
+ */
+function toGenres(value) {
+  return toList(value).filter(genre => genre !== "Unknown");
+}
+
+/**
+ * Coerce a value into a finite number, or null
+ * @param {*} value - Raw value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Convert a rating from its source scale to the canonical RATING_SCALE
+ * @param {*} value - Raw rating value
+ * @param {number} scale - Scale the raw rating is expressed on (e.g. 5 or 10)
+ * @returns {number|null} Rating out of RATING_SCALE, rounded to 0.1
+ */
+function normalizeRating(value, scale) {
+  const rating = toNumber(value);
+  const from = toNumber(scale);
+  if (rating === null) return null;
+  if (!from || from <= 0) {
+    throw new Error(`Invalid rating scale: ${scale}`);
+  }
+  return Math.round((rating / from) * RATING_SCALE * 10) / 10;
+}
+
+/**
+ * Format a canonical rating for display
+ * @param {number|null} rating - Rating out of RATING_SCALE
+ * @param {string} display - One of RATING_DISPLAYS (defaults to "stars")
+ * @returns {string} Display text, e.g. "★★★★½", "4.5/5", "9/10" or "90%"
+ */
+function formatRating(rating, display = "stars") {
+  if (rating === null || rating === undefined || rating === "") return "N/A";
+  const value = Number(rating);
+  if (!Number.isFinite(value)) return "N/A";
+
+  const round = number => String(Math.round(number * 10) / 10);
+
+  switch (display) {
+    case "out-of-5":
+      return `${round(value / 2)}/5`;
+    case "out-of-10":
+      return `${round(value)}/${RATING_SCALE}`;
+    case "percent":
+      return `${Math.round((value / RATING_SCALE) * 100)}%`;
+    case "stars":
+    default: {
+      // Half-star precision on a 5 star scale
+      const halves = Math.round((value / RATING_SCALE) * 10);
+      const full = Math.floor(halves / 2);
+      const half = halves % 2;
+      return "★".repeat(full) + (half ? "½" : "") + "☆".repeat(5 - full - half);
+    }
+  }
+}
+
+/**
+ * Coerce a date-like value into an ISO string, or null
+ * @param {Date|string|number} value - Raw date value
+ * @returns {string|null}
+ */
+function toISODate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Check a movie against MOVIE_SCHEMA
+ * @param {Object} movie - Candidate movie
+ * @returns {string[]} List of problems (empty when the movie is valid)
+ */
+function validateMovie(movie) {
+  const problems = [];
+  const isText = value => typeof value === "string";
+  const isFilledText = value => isText(value) && value.trim() !== "";
+  const isDateOrNull = value => value === null || (isText(value) && !Number.isNaN(Date.parse(value)));
+
+  ["id", "slug", "title", "poster", "posterAlt"].forEach(field => {
+    if (!isFilledText(movie[field])) problems.push(`${field} must be a ${MOVIE_SCHEMA[field]}`);
+  });
+
+  ["director", "description", "descriptionHtml", "body"].forEach(field => {
+    if (!isText(movie[field])) problems.push(`${field} must be a ${MOVIE_SCHEMA[field]}`);
+  });
+
+  if (movie.imdbId !== null && !(isText(movie.imdbId) && IMDB_ID_PATTERN.test(movie.imdbId))) {
+    problems.push(`imdbId must be an ${MOVIE_SCHEMA.imdbId}`);
+  }
+
+  if (movie.year !== null && !Number.isInteger(movie.year)) {
+    problems.push(`year must be an ${MOVIE_SCHEMA.year}`);
+  }
+
+  ["genres", "cast"].forEach(field => {
+    if (!Array.isArray(movie[field]) || !movie[field].every(isFilledText)) {
+      problems.push(`${field} must be an ${MOVIE_SCHEMA[field]}`);
+    }
+  });
+
+  if (!Array.isArray(movie.posters) || !movie.posters.every(poster => poster && isFilledText(poster.url) && isFilledText(poster.alt))) {
+    problems.push(`posters must be an ${MOVIE_SCHEMA.posters}`);
+  }
+
+  const isRating = value => typeof value === "number" && value >= 0 && value <= RATING_SCALE;
+  if (movie.rating !== null && !isRating(movie.rating)) {
+    problems.push(`rating must be a ${MOVIE_SCHEMA.rating}`);
+  }
+
+  if (!SOURCES.includes(movie.source)) {
+    problems.push(`source must be one of ${MOVIE_SCHEMA.source}`);
+  }
+
+  if (!isText(movie.url) || !movie.url.startsWith("/")) {
+    problems.push(`url must be a ${MOVIE_SCHEMA.url}`);
+  }
+
+  if (movie.locale !== null && !isFilledText(movie.locale)) {
+    problems.push(`locale must be a ${MOVIE_SCHEMA.locale}`);
+  }
+
+  if (!Array.isArray(movie.translations) || !movie.translations.every(t => t && isFilledText(t.locale) && isFilledText(t.url))) {
+    problems.push(`translations must be an ${MOVIE_SCHEMA.translations}`);
+  }
+
+  if (!Array.isArray(movie.reviews)) {
+    problems.push(`reviews must be an ${MOVIE_SCHEMA.reviews}`);
+  } else {
+    movie.reviews.forEach((review, index) => {
+      const label = review && review.id ? `review "${review.id}"` : `reviews[${index}]`;
+      validateReview(review).forEach(problem => problems.push(`${label} ${problem}`));
+    });
+  }
+
+  ["createdAt", "updatedAt"].forEach(field => {
+    if (!isDateOrNull(movie[field])) problems.push(`${field} must be an ${MOVIE_SCHEMA[field]}`);
+  });
+
+  return problems;
+}
+
+/**
+ * Check a review against REVIEW_SCHEMA
+ * @param {Object} review - Candidate review
+ * @returns {string[]} List of problems (empty when the review is valid)
+ */
+function validateReview(review) {
+  if (!review || typeof review !== "object") return ["review must be an object"];
+
+  const problems = [];
+  const isText = value => typeof value === "string";
+
+  if (!isText(review.id) || review.id.trim() === "") problems.push(`id must be a ${REVIEW_SCHEMA.id}`);
+
+  if (!isText(review.date) || !REVIEW_DATE_PATTERN.test(review.date) || Number.isNaN(Date.parse(review.date))) {
+    problems.push(`date must be a ${REVIEW_SCHEMA.date}`);
+  }
+
+  if (review.rating !== null && !(typeof review.rating === "number" && review.rating >= 0 && review.rating <= RATING_SCALE)) {
+    problems.push(`rating must be a ${REVIEW_SCHEMA.rating}`);
+  }
+
+  if (!Array.isArray(review.tags) || !review.tags.every(tag => isText(tag) && tag.trim() !== "")) {
+    problems.push(`tags must be an ${REVIEW_SCHEMA.tags}`);
+  }
+
+  ["quote", "body", "bodyHtml", "spoilers", "spoilersHtml"].forEach(field => {
+    if (!isText(review[field])) problems.push(`${field} must be a ${REVIEW_SCHEMA[field]}`);
+  });
+
+  return problems;
+}
+
+/**
+ * Build a review from loosely typed fields
+ * `rating` must already be on the canonical RATING_SCALE; `date` may be a Date or any
+ * date string and is reduced to its day. Validation happens with the movie.
+ * @param {Object} fields - Review fields (missing optional fields get defaults)
+ * @returns {Object} Review
+ */
+function createReview(fields) {
+  const date = toISODate(fields.date);
+  return {
+    id: String(fields.id || ""),
+    date: date ? date.slice(0, 10) : String(fields.date || ""),
+    rating: toNumber(fields.rating),
+    tags: toList(fields.tags),
+    quote: fields.quote ? String(fields.quote).trim() : "",
+    body: fields.body ? String(fields.body).trim() : "",
+    bodyHtml: fields.bodyHtml ? String(fields.bodyHtml) : "",
+    spoilers: fields.spoilers ? String(fields.spoilers).trim() : "",
+    spoilersHtml: fields.spoilersHtml ? String(fields.spoilersHtml) : ""
+  };
+}
+
+/**
+ * Default alt text of a movie's poster
+ * @param {string} title - Movie title
+ * @param {number|null} year - Release year
+ * @returns {string} e.g. "Poster for Inception (2010)"
+ */
+function posterAltText(title, year) {
+  return year ? `Poster for ${title} (${year})` : `Poster for ${title}`;
+}
+
+/**
+ * Build a canonical movie from loosely typed fields and validate it
+ * `rating` must already be on the canonical RATING_SCALE (see normalizeRating)
+ * @param {Object} fields - Movie fields (missing optional fields get defaults)
+ * @returns {Object} Canonical movie
+ * @throws {Error} When the resulting movie does not match MOVIE_SCHEMA
+ */
+function createMovie(fields) {
+  const title = String(fields.title || "").trim();
+  const slug = fields.slug || slugify(title);
+  const year = toNumber(fields.year);
+  const defaultAlt = posterAltText(title, year === null ? null : Math.trunc(year));
+  let posters = (fields.posters || []).filter(poster => poster && poster.url);
+  if (posters.length === 0 && fields.poster) {
+    posters = [{ url: fields.poster, width: null, height: null, alt: defaultAlt }];
+  }
+  // A bare title (what older snapshots stored) says nothing about the image
+  posters = posters.map(poster => {
+    const alt = String(poster.alt || "").trim();
+    return { ...poster, alt: alt && alt !== title ? alt : defaultAlt };
+  });
+
+  // Oldest viewing first; a movie without a rating of its own takes the latest rated viewing's
+  const reviews = (fields.reviews || []).map(createReview).sort((a, b) => a.date.localeCompare(b.date));
+  const latestRating = reviews.map(review => review.rating).filter(rating => rating !== null).pop();
+
+  const movie = {
+    id: String(fields.id || slug),
+    slug,
+    title,
+    imdbId: fields.imdbId ? String(fields.imdbId).trim() : null,
+    director: fields.director ? String(fields.director) : "Unknown",
+    cast: (fields.cast || []).map(String).filter(Boolean),
+    year: year === null ? null : Math.trunc(year),
+    genres: toGenres(fields.genres),
+    rating: toNumber(fields.rating) ?? latestRating ?? null,
+    poster: fields.poster || posters[0]?.url || PLACEHOLDER_POSTER,
+    posterAlt: posters[0]?.alt || defaultAlt,
+    posters,
+    description: fields.description ? String(fields.description) : "",
+    descriptionHtml: fields.descriptionHtml ? String(fields.descriptionHtml) : "",
+    body: fields.body ? String(fields.body) : "",
+    source: fields.source,
+    url: fields.url || `/movies/${slug}/`,
+    locale: fields.locale || null,
+    translations: fields.translations || [],
+    reviews,
+    createdAt: toISODate(fields.createdAt),
+    updatedAt: toISODate(fields.updatedAt || fields.createdAt)
+  };
+
+  const problems = validateMovie(movie);
+  if (problems.length > 0) {
+    throw new Error(`Invalid movie "${title || movie.id}" (${movie.source}): ${problems.join("; ")}`);
+  }
+
+  return movie;
+}
+
+/**
+ * Look up the record a Contentful Link points to
+ * @param {Object} link - Link object ({ sys: { type: "Link", id } })
+ * @param {Object} records - Records keyed by id
+ * @returns {Object|null} Linked record, or null when it isn't included
+ */
+function resolveLink(link, records = {}) {
+  const id = link?.sys?.id;
+  return id && records[id] ? records[id] : null;
+}
+
+/**
+ * Name of a person field: plain text, or a linked Entry (e.g. "director" / "person"
+ * content types) with a `name` or `title` field
+ * @param {string|Object} value - Field value
+ * @param {Object} entries - Linked entries keyed by id
+ * @returns {string|null}
+ */
+function personName(value, entries) {
+  if (!value) return null;
+  if (typeof value === "string") return value;
+  const entry = resolveLink(value, entries);
+  return entry ? entry.fields.name || entry.fields.title || null : null;
+}
+
+/**
+ * Turn a Contentful asset into a poster image
+ * @param {Object} asset - Asset record (single locale)
+ * @param {string} fallbackAlt - Alt text when the asset has no description or title
+ * @returns {Object|null} { url, width, height, alt }
+ */
+function toPoster(asset, fallbackAlt) {
+  const file = asset?.fields?.file;
+  const fileUrl = file?.url || file?.file?.url;
+  if (!fileUrl) return null;
+
+  const image = file.details?.image || {};
+  return {
+    url: fileUrl.startsWith("//") ? `https:${fileUrl}` : fileUrl,
+    width: image.width || null,
+    height: image.height || null,
+    alt: asset.fields.description || asset.fields.title || fallbackAlt || ""
+  };
+}
+
+/**
+ * Render a description that may be plain text or a Contentful Rich Text document
+ * @param {string|Object} value - Field value
+ * @param {Object} links - { assets, entries } for embedded assets and entries
+ * @returns {Object} { text, html } (html is empty for plain text)
+ */
+function renderDescription(value, links) {
+  if (!value || typeof value !== "object" || value.nodeType !== "document") {
+    return { text: value ? String(value) : "", html: "" };
+  }
+
+  const html = documentToHtmlString(value, {
+    renderNode: {
+      [BLOCKS.EMBEDDED_ASSET]: node => {
+        const poster = toPoster(resolveLink(node.data.target, links.assets), "");
+        return poster ? `<img src="${escapeHtml(poster.url)}" alt="${escapeHtml(poster.alt)}" loading="lazy">` : "";
+      },
+      [BLOCKS.EMBEDDED_ENTRY]: node => {
+        const entry = resolveLink(node.data.target, links.entries);
+        const name = entry?.fields.name || entry?.fields.title;
+        return name ? `<p>${escapeHtml(name)}</p>` : "";
+      }
+    }
+  });
+
+  return { text: documentToPlainTextString(value, " ").trim(), html };
+}
+
+/**
+ * Render a review field: a Contentful Rich Text document, or markdown (front matter
+ * and Contentful Long text fields)
+ * @param {string|Object} value - Field value
+ * @param {Object} links - { assets, entries } for embedded assets and entries
+ * @returns {Object} { text, html }
+ */
+function renderReviewText(value, links = {}) {
+  if (value && typeof value === "object" && value.nodeType === "document") {
+    return renderDescription(value, links);
+  }
+  const text = value ? String(value).trim() : "";
+  return { text, html: text ? markdown.render(text).trim() : "" };
+}
+
+/**
+ * Map a Contentful `review` entry (fields flattened to one locale) into a review
+ * Fields: movie (link), watchedOn (date), rating (out of 10), tags, quote, body, spoilers.
+ * An entry without watchedOn is dated by its creation.
+ * @param {Object} entry - Review entry
+ * @param {Object} links - Linked records for this locale: { assets, entries } keyed by id
+ * @returns {Object} Review
+ */
+function fromContentfulReview(entry, links = {}) {
+  const fields = entry.fields || {};
+  const body = renderReviewText(fields.body, links);
+  const spoilers = renderReviewText(fields.spoilers, links);
+
+  return createReview({
+    id: entry.sys.id,
+    date: fields.watchedOn || entry.sys.createdAt,
+    rating: normalizeRating(fields.rating, SOURCE_RATING_SCALES.contentful),
+    tags: fields.tags,
+    quote: fields.quote,
+    body: body.text,
+    bodyHtml: body.html,
+    spoilers: spoilers.text,
+    spoilersHtml: spoilers.html
+  });
+}
+
+/**
+ * Map the `reviews` front matter of a local movie into reviews
+ * Ratings are on the file's rating scale; a review without a date gets the movie's `date:`.
+ * @param {Object[]} reviews - Front matter reviews
+ * @param {Object} options - { movieId, scale, date }
+ * @returns {Object[]} Reviews
+ */
+function fromMarkdownReviews(reviews, { movieId, scale, date }) {
+  if (!Array.isArray(reviews)) return [];
+
+  return reviews.filter(Boolean).map((review, index) => {
+    const body = renderReviewText(review.body);
+    const spoilers = renderReviewText(review.spoilers);
+    return createReview({
+      id: review.id || `${movieId}-${index + 1}`,
+      date: review.date || date,
+      rating: normalizeRating(review.rating, scale),
+      tags: review.tags,
+      quote: review.quote,
+      body: body.text,
+      bodyHtml: body.html,
+      spoilers: spoilers.text,
+      spoilersHtml: spoilers.html
+    });
+  });
+}
+
+/**
+ * Map a Contentful entry (fields flattened to one locale) into a canonical movie
+ * @param {Object} entry - Movie entry
+ * @param {Object} links - Linked records for this locale: { assets, entries } keyed by id
+ * @param {Object} options - { locale, slug, url, translations } for localized copies,
+ *                           and `reviews`: the `review` entries linking to this movie
+ * @returns {Object} Canonical movie
+ */
+function fromContentfulEntry(entry, links = {}, options = {}) {
+  const fields = entry.fields || {};
+  const title = fields.title || "Untitled";
+
+  // Poster field is a LIST (Media - many files); keep every image
+  const posterLinks = Array.isArray(fields.poster) ? fields.poster : [fields.poster];
+  const posters = posterLinks
+    .map(link => toPoster(resolveLink(link, links.assets), ""))
+    .filter(Boolean);
+
+  const castLinks = Array.isArray(fields.cast) ? fields.cast : [];
+  const description = renderDescription(fields.description, links);
+
+  return createMovie({
+    id: entry.sys.id,
+    slug: options.slug,
+    title,
+    imdbId: fields.imdbId,
+    director: personName(fields.director, links.entries),
+    cast: castLinks.map(member => personName(member, links.entries)).filter(Boolean),
+    year: fields.releaseYear,
+    genres: fields.genres ?? fields.genre,
+    rating: normalizeRating(fields.rating, SOURCE_RATING_SCALES.contentful),
+    posters,
+    description: description.text,
+    descriptionHtml: description.html,
+    source: "contentful",
+    url: options.url,
+    locale: options.locale,
+    translations: options.translations,
+    reviews: (options.reviews || []).map(review => fromContentfulReview(review, links)),
+    createdAt: entry.sys.createdAt,
+    updatedAt: entry.sys.updatedAt
+  });
+}
+
+/**
+ * Normalize a movie stored in _data/cmsData.json
+ * Accepts canonical records as well as snapshots written before the model
+ * existed (flat `releaseYear` / `genre` fields). Stored ratings are already on
+ * the canonical scale, which is also Contentful's declared scale.
+ * @param {Object} record - Stored CMS movie
+ * @returns {Object} Canonical movie
+ */
+function fromCmsRecord(record) {
+  return createMovie({
+    ...record,
+    year: record.year ?? record.releaseYear,
+    genres: record.genres ?? record.genre,
+    source: "contentful"
+  });
+}
+
+/**
+ * Read the markdown body of a local movie file (front matter removed)
+ * @param {string} inputPath - Path to the markdown file
+ * @returns {string} Raw markdown body
+ */
+function readMarkdownBody(inputPath) {
+  try {
+    const raw = fs.readFileSync(inputPath, "utf-8");
+    return raw.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/, "").trim();
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Map a local markdown movie (front matter + page data) into a canonical movie
+ * @param {Object} data - Front matter / data cascade of the markdown file
+ * @param {Object} page - Eleventy `page` object of the markdown file
+ * @returns {Object} Canonical movie
+ */
+function fromMarkdown(data, page) {
+  let updatedAt = page.date;
+  try {
+    updatedAt = fs.statSync(page.inputPath).mtime;
+  } catch (error) {
+    // Fall back to the page date when the file can't be inspected
+  }
+
+  const scale = data.ratingScale || SOURCE_RATING_SCALES.local;
+
+  return createMovie({
+    id: page.fileSlug,
+    slug: page.fileSlug,
+    title: data.title,
+    imdbId: data.imdbId,
+    director: data.director,
+    year: data.releaseYear ?? data.year,
+    genres: data.genres ?? data.genre,
+    rating: normalizeRating(data.rating, scale),
+    poster: data.poster || data.image,
+    description: data.description || data.excerpt,
+    body: readMarkdownBody(page.inputPath),
+    source: "local",
+    url: page.url || undefined,
+    reviews: fromMarkdownReviews(data.reviews, { movieId: page.fileSlug, scale, date: data.date }),
+    // Only an explicit `date:` (never the file's creation time, which changes with every checkout)
+    createdAt: data.date,
+    updatedAt
+  });
+}
+
+module.exports = {
+  IMDB_ID_PATTERN,
+  MOVIE_SCHEMA,
+  PLACEHOLDER_POSTER,
+  RATING_DISPLAYS,
+  RATING_SCALE,
+  REVIEW_SCHEMA,
+  SOURCES,
+  SOURCE_RATING_SCALES,
+  createMovie,
+  createReview,
+  escapeHtml,
+  formatRating,
+  fromCmsRecord,
+  fromContentfulEntry,
+  fromContentfulReview,
+  fromMarkdown,
+  normalizeRating,
+  posterAltText,
+  slugify,
+  validateMovie,
+  validateReview
+};
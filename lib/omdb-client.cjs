@@ -0,0 +1,245 @@
+/*
+  File: lib/omdb-client.cjs
+  Description: OMDB API client shared by the serverless function (netlify/functions/movie.js)
+               and the build-time enrichment step (fetch-omdb-data.js).
+               Lookups return { statusCode, body } so the function can send them as is.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const { withFixtures } = require("./http-fixtures.cjs");
+
+// Recorded responses instead of the network when MOVIELOG_FIXTURES is set (dev server, tests)
+const fetch = withFixtures(require("node-fetch"));
+
+/**
+ * OMDB reports errors with HTTP 200, `Response: "False"` and an `Error` message.
+ * Only these are about the query; anything else ("Invalid API key!",
+ * "Request limit reached!", "Something went wrong.") is OMDB failing.
+ */
+const NOT_FOUND_ERRORS = ["Movie not found!", "Incorrect IMDb ID."];
+const SEARCH_TOO_BROAD = "Too many results.";
+
+// `code` of the error thrown when OMDB answers with a failure instead of a result
+const OMDB_FAILED = "OMDB_FAILED";
+
+/**
+ * Did OMDB fail, rather than find nothing?
+ * @param {Object} data - Parsed OMDB response
+ * @returns {boolean}
+ */
+function isOmdbFailure(data) {
+  return data.Response === "False" && !NOT_FOUND_ERRORS.includes(data.Error) && data.Error !== SEARCH_TOO_BROAD;
+}
+
+/**
+ * Call the OMDB API and fail on OMDB errors other than "nothing found"
+ * @param {string} apiKey - OMDB API key
+ * @param {Object} query - OMDB query parameters
+ * @returns {Promise<Object>} Parsed OMDB response (`Response === 'False'` when nothing matched)
+ * @throws {Error} With `code` OMDB_FAILED when OMDB reports a failure
+ */
+async function fetchOmdbMatch(apiKey, query) {
+  const data = await fetchOmdb(apiKey, query);
+  if (isOmdbFailure(data)) {
+    const error = new Error(data.Error || "unknown error");
+    error.code = OMDB_FAILED;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Response for an OMDB failure: 502, which the function never caches
+ * @param {string} message - What OMDB couldn't do, with its error
+ * @returns {Object} { statusCode, body }
+ */
+function omdbErrorResult(message) {
+  return { statusCode: 502, body: { error: "OMDB error", message } };
+}
+
+/**
+ * Call the OMDB API
+ * @param {string} apiKey - OMDB API key
+ * @param {Object} query - OMDB query parameters (i, t, s, y, type, page, plot)
+ * @returns {Promise<Object>} Parsed OMDB response (check `Response === 'False'`)
+ */
+async function fetchOmdb(apiKey, query) {
+  const params = new URLSearchParams({ apikey: apiKey });
+  Object.entries(query).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+
+  // Log the query without the API key
+  console.log(`Fetching from OMDB: ${JSON.stringify(query)}`);
+  const response = await fetch(`https://www.omdbapi.com/?${params}`);
+
+  // Check if the HTTP request was successful
+  if (!response.ok) {
+    throw new Error(`OMDB API returned status ${response.status}`);
+  }
+
+  // Parse JSON response asynchronously
+  return response.json();
+}
+
+/**
+ * Titles to try for a `t=` lookup, most specific first
+ * CMS titles often carry an alias OMDB doesn't know, e.g. "Dilwale Dulhania Le Jayenge (DDLJ)"
+ * @param {string} title - Title as stored on the site
+ * @returns {string[]}
+ */
+function titleVariants(title) {
+  const trimmed = title.trim();
+  const withoutAlias = trimmed.replace(/\s*[([][^)\]]*[)\]]\s*$/, "").trim();
+  return [...new Set([trimmed, withoutAlias])].filter(Boolean);
+}
+
+/**
+ * Find one movie by title: exact title lookups first, then the best search result
+ * @param {string} apiKey - OMDB API key
+ * @param {Object} params - { title, year, type }
+ * @returns {Promise<Object|null>} { data, matchedBy } or null when nothing matches
+ * @throws {Error} With `code` OMDB_FAILED when OMDB fails instead of answering
+ */
+async function lookupByTitle(apiKey, { title, year, type }) {
+  let lastError = null;
+
+  for (const variant of titleVariants(title)) {
+    const data = await fetchOmdbMatch(apiKey, { t: variant, y: year, type });
+    if (data.Response !== "False") return { data, matchedBy: "title" };
+    lastError = data.Error;
+  }
+
+  // Fall back to a search and take the first candidate (OMDB ranks by relevance)
+  const results = await fetchOmdbMatch(apiKey, { s: titleVariants(title).pop(), y: year, type });
+  const candidate = results.Response !== "False" && results.Search[0];
+  if (candidate) {
+    const data = await fetchOmdbMatch(apiKey, { i: candidate.imdbID });
+    if (data.Response !== "False") return { data, matchedBy: "search" };
+  }
+
+  console.log(`No OMDB match for "${title}": ${lastError}`);
+  return null;
+}
+
+/**
+ * Extract the fields the frontend needs from a full OMDB record
+ * @param {Object} data - OMDB `i=` / `t=` response
+ * @param {string} matchedBy - How the record was found ("imdbId", "title" or "search")
+ * @returns {Object}
+ */
+function toMovieData(data, matchedBy) {
+  return {
+    imdbId: data.imdbID,
+    title: data.Title,
+    type: data.Type || "N/A",
+    imdbRating: data.imdbRating || "N/A",
+    imdbVotes: data.imdbVotes || "N/A",
+    runtime: data.Runtime || "N/A",
+    genre: data.Genre || "N/A",
+    actors: data.Actors || "N/A",
+    plot: data.Plot || "N/A",
+    poster: data.Poster !== "N/A" ? data.Poster : null,
+    year: data.Year || "N/A",
+    director: data.Director || "N/A",
+    matchedBy
+  };
+}
+
+/**
+ * Search mode (?search=)
+ * @param {string} apiKey - OMDB API key
+ * @param {Object} params - { search, year, type, page }
+ * @returns {Promise<Object>} { statusCode, body }: 200 with the candidate list, 400 when the
+ *   search matches too many titles, 502 when OMDB answers with any other error
+ */
+async function searchMovies(apiKey, { search, year, type, page }) {
+  const data = await fetchOmdb(apiKey, { s: search, y: year, type, page });
+
+  if (data.Response === "False" && data.Error === SEARCH_TOO_BROAD) {
+    return {
+      statusCode: 400,
+      body: { error: "Search too broad", message: `Too many results for "${search}". Add more words, a year or a type.` }
+    };
+  }
+  if (isOmdbFailure(data)) {
+    console.warn(`OMDB search for "${search}" failed: ${data.Error}`);
+    return omdbErrorResult(`OMDB could not search: ${data.Error || "unknown error"}`);
+  }
+
+  // "Movie not found!" just means an empty result list
+  const results = data.Response === "False" ? [] : data.Search.map(result => ({
+    imdbId: result.imdbID,
+    title: result.Title,
+    year: result.Year,
+    type: result.Type,
+    poster: result.Poster !== "N/A" ? result.Poster : null
+  }));
+
+  console.log(`Search "${search}" returned ${results.length} candidates`);
+
+  return {
+    statusCode: 200,
+    body: {
+      query: search,
+      page: parseInt(page, 10) || 1,
+      totalResults: parseInt(data.totalResults, 10) || 0,
+      results,
+      message: data.Response === "False" ? data.Error : undefined
+    }
+  };
+}
+
+/**
+ * Lookup mode (?imdbId= or ?title=)
+ * @param {string} apiKey - OMDB API key
+ * @param {Object} params - { imdbId, title, year, type }
+ * @returns {Promise<Object>} { statusCode, body }: 200 with the movie, 404 when OMDB has no
+ *   such movie, 502 when OMDB fails (bad key, request limit, outage)
+ */
+async function lookupMovie(apiKey, params) {
+  // An IMDb ID identifies exactly one movie; titles may need a few tries
+  let match = null;
+  try {
+    if (params.imdbId) {
+      const data = await fetchOmdbMatch(apiKey, { i: params.imdbId });
+      match = data.Response !== "False" ? { data, matchedBy: "imdbId" } : null;
+    } else {
+      match = await lookupByTitle(apiKey, params);
+    }
+  } catch (error) {
+    if (error.code !== OMDB_FAILED) throw error;
+    console.warn(`OMDB lookup failed: ${error.message}`);
+    return omdbErrorResult(`OMDB could not look up the movie: ${error.message}`);
+  }
+
+  // Check if movie was found in OMDB database
+  if (!match) {
+    return {
+      statusCode: 404,
+      body: {
+        error: "Movie not found",
+        message: params.imdbId
+          ? `No movie found with IMDb ID ${params.imdbId}`
+          : "No movie found with that title"
+      }
+    };
+  }
+
+  const movieData = toMovieData(match.data, match.matchedBy);
+  console.log(`Successfully fetched data for: ${movieData.title} (${movieData.imdbId}, by ${movieData.matchedBy})`);
+
+  return { statusCode: 200, body: movieData };
+}
+
+module.exports = {
+  NOT_FOUND_ERRORS,
+  fetchOmdb,
+  isOmdbFailure,
+  lookupByTitle,
+  lookupMovie,
+  searchMovies,
+  titleVariants,
+  toMovieData
+};
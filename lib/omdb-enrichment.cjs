@@ -0,0 +1,76 @@
+/*
+  File: lib/omdb-enrichment.cjs
+  Description: Shape of _data/omdbData.json, the build-time OMDB enrichment written by
+               fetch-omdb-data.js and rendered by layouts/movie.njk.
+               Entries are keyed like the state cache in js/live.js: the IMDb ID,
+               or "Title (year)" for movies without one.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+// Written next to cmsData.json
+const OMDB_DATA_FILE = "omdbData.json";
+
+// Outcome of the last lookup of an entry
+const ENRICHMENT_STATUSES = ["found", "not-found", "error"];
+
+/**
+ * Key of a movie in omdbData.json (same as the js/live.js state key)
+ * @param {Object} movie - Canonical movie
+ * @returns {string}
+ */
+function enrichmentKey(movie) {
+  return movie.imdbId || `${movie.title} (${movie.year || "any year"})`;
+}
+
+/**
+ * OMDB lookup parameters for a movie (see lookupMovie() in lib/omdb-client.cjs)
+ * @param {Object} movie - Canonical movie
+ * @returns {Object} { imdbId } or { title, year }
+ */
+function lookupParams(movie) {
+  if (movie.imdbId) return { imdbId: movie.imdbId };
+  return movie.year ? { title: movie.title, year: String(movie.year) } : { title: movie.title };
+}
+
+/**
+ * Is an entry recent enough to use without looking it up again?
+ * Failed lookups are never fresh, so the next run retries them.
+ * @param {Object|null} entry - Entry from omdbData.json
+ * @param {number} maxAge - Seconds an entry stays fresh
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {boolean}
+ */
+function isFresh(entry, maxAge, now = Date.now()) {
+  if (!entry || !entry.fetchedAt || entry.status === "error") return false;
+  return now - new Date(entry.fetchedAt).getTime() < maxAge * 1000;
+}
+
+/**
+ * Enrichment of one movie for a template
+ * @param {Object} omdbData - Contents of omdbData.json (undefined when it was never generated)
+ * @param {Object} movie - Canonical movie
+ * @returns {Object|null} { status, data, fetchedAt, maxAge, stale } or null when there is nothing to show
+ */
+function getEnrichment(omdbData, movie) {
+  const entry = omdbData?.entries?.[enrichmentKey(movie)];
+  if (!entry || !entry.fetchedAt) return null;
+
+  const maxAge = omdbData.meta?.maxAge || 0;
+  return {
+    status: entry.status,
+    data: entry.data,
+    fetchedAt: entry.fetchedAt,
+    maxAge,
+    stale: !isFresh(entry, maxAge)
+  };
+}
+
+module.exports = {
+  ENRICHMENT_STATUSES,
+  OMDB_DATA_FILE,
+  enrichmentKey,
+  getEnrichment,
+  isFresh,
+  lookupParams
+};
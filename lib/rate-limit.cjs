@@ -0,0 +1,87 @@
+/*
+  File: lib/rate-limit.cjs
+  Description: Per-client fixed-window rate limiter for the OMDB proxy function
+               (netlify/functions/movie.js). State is kept in memory, so each warm
+               function instance enforces the limit on its own.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+/**
+ * Identify the caller of a function request
+ * Netlify puts the real client address in x-nf-client-connection-ip.
+ * @param {Object} headers - Request headers (lowercase names)
+ * @returns {string}
+ */
+function getClientId(headers = {}) {
+  const forwarded = headers["x-forwarded-for"];
+  return headers["x-nf-client-connection-ip"]
+    || (forwarded ? forwarded.split(",")[0].trim() : "")
+    || headers["client-ip"]
+    || "unknown";
+}
+
+/**
+ * Create a rate limiter allowing `limit` requests per client per window
+ * @param {Object} options - { limit, windowSeconds, maxClients }
+ * @returns {Object} { limit, windowSeconds, check(clientId, now) }
+ */
+function createRateLimiter({ limit = 30, windowSeconds = 60, maxClients = 10000 } = {}) {
+  const windows = new Map();
+  const windowMs = windowSeconds * 1000;
+
+  /**
+   * Count one request and decide whether it may go through
+   * @param {string} clientId - From getClientId()
+   * @param {number} now - Current time in ms (for tests)
+   * @returns {Object} { allowed, limit, remaining, resetAt, retryAfter }
+   */
+  function check(clientId, now = Date.now()) {
+    let window = windows.get(clientId);
+
+    if (!window || window.resetAt <= now) {
+      // Forget expired clients before the map grows too large
+      if (windows.size >= maxClients) {
+        windows.forEach((entry, id) => {
+          if (entry.resetAt <= now) windows.delete(id);
+        });
+      }
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(clientId, window);
+    }
+
+    window.count++;
+
+    const allowed = window.count <= limit;
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt,
+      retryAfter: allowed ? 0 : Math.ceil((window.resetAt - now) / 1000)
+    };
+  }
+
+  return { limit, windowSeconds, check };
+}
+
+/**
+ * Standard rate limit headers for a check() result
+ * @param {Object} result - From check()
+ * @returns {Object} Headers
+ */
+function rateLimitHeaders(result) {
+  const headers = {
+    "X-RateLimit-Limit": String(result.limit),
+    "X-RateLimit-Remaining": String(result.remaining),
+    "X-RateLimit-Reset": String(Math.ceil(result.resetAt / 1000))
+  };
+  if (!result.allowed) headers["Retry-After"] = String(result.retryAfter);
+  return headers;
+}
+
+module.exports = {
+  createRateLimiter,
+  getClientId,
+  rateLimitHeaders
+};
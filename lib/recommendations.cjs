@@ -0,0 +1,207 @@
+/*
+  File: lib/recommendations.cjs
+  Description: Build-time "More like this" recommendations over collections.allMovies.
+               Movies are scored pairwise on shared genres, director, decade, rating
+               proximity and shared actors (Contentful cast plus OMDB actors from
+               _data/omdbData.json when available). Pure and deterministic: the same
+               movies always give the same recommendations in the same order.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const { slugify } = require("./movie-model.cjs");
+const { getEnrichment } = require("./omdb-enrichment.cjs");
+const { decadeOf } = require("./taxonomy.cjs");
+
+// Points per signal
+const WEIGHTS = {
+  genre: 2, // per shared genre
+  director: 3,
+  actor: 1, // per shared actor, up to MAX_SHARED_ACTORS
+  decade: 1.5,
+  rating: 1.5 // scaled by how close the ratings are
+};
+
+const MAX_SHARED_ACTORS = 3;
+
+// Ratings further apart than this (out of 10) add nothing
+const RATING_RANGE = 4;
+
+// Recommendations per movie
+const DEFAULT_LIMIT = 4;
+
+/**
+ * Lowercase, slug-like keys of a list of names, so "Sci-Fi" and "sci fi" match
+ * @param {string[]} values - Names
+ * @returns {Map<string, string>} key -> first spelling
+ */
+function toKeys(values) {
+  const keys = new Map();
+  values.forEach(value => {
+    const key = slugify(value || "");
+    if (key && key !== "unknown" && !keys.has(key)) keys.set(key, value);
+  });
+  return keys;
+}
+
+/**
+ * Names present in both lists (in the order of the first)
+ * @param {Map<string, string>} a - From toKeys()
+ * @param {Map<string, string>} b - From toKeys()
+ * @returns {string[]}
+ */
+function shared(a, b) {
+  return Array.from(a.keys()).filter(key => b.has(key)).map(key => a.get(key));
+}
+
+/**
+ * Actors of a movie: its cast plus OMDB's "Actors" field when the build has it
+ * @param {Object} movie - Canonical movie
+ * @param {Object} omdbData - Contents of _data/omdbData.json (optional)
+ * @returns {string[]}
+ */
+function actorsOf(movie, omdbData) {
+  const enrichment = getEnrichment(omdbData, movie);
+  const omdbActors = enrichment && enrichment.status === "found" && enrichment.data.actors !== "N/A"
+    ? enrichment.data.actors.split(",").map(actor => actor.trim())
+    : [];
+  return [...(movie.cast || []), ...omdbActors];
+}
+
+/**
+ * Features of a movie used for scoring (computed once per movie)
+ * @param {Object} movie - Canonical movie
+ * @param {Object} omdbData - Contents of _data/omdbData.json (optional)
+ * @returns {Object}
+ */
+function toProfile(movie, omdbData) {
+  return {
+    movie,
+    genres: toKeys(movie.genres || []),
+    director: toKeys([movie.director]),
+    actors: toKeys(actorsOf(movie, omdbData)),
+    decade: decadeOf(movie.year),
+    rating: typeof movie.rating === "number" ? movie.rating : null
+  };
+}
+
+/**
+ * How alike two movies are
+ * Only genres, director and actors make a movie related; decade and rating
+ * proximity just rank related movies.
+ * @param {Object} a - From toProfile()
+ * @param {Object} b - From toProfile()
+ * @returns {Object} { score, reasons } (score 0 when the movies are unrelated)
+ */
+function scorePair(a, b) {
+  const genres = shared(a.genres, b.genres);
+  const directors = shared(a.director, b.director);
+  const actors = shared(a.actors, b.actors).slice(0, MAX_SHARED_ACTORS);
+
+  if (genres.length === 0 && directors.length === 0 && actors.length === 0) {
+    return { score: 0, reasons: [] };
+  }
+
+  let score = genres.length * WEIGHTS.genre + directors.length * WEIGHTS.director + actors.length * WEIGHTS.actor;
+  const reasons = [
+    ...directors.map(director => `Directed by ${director}`),
+    ...actors.map(actor => `With ${actor}`),
+    ...genres
+  ];
+
+  if (a.decade && a.decade === b.decade) {
+    score += WEIGHTS.decade;
+    reasons.push(`From the ${a.decade}`);
+  }
+
+  if (a.rating !== null && b.rating !== null) {
+    const closeness = Math.max(0, 1 - Math.abs(a.rating - b.rating) / RATING_RANGE);
+    score += closeness * WEIGHTS.rating;
+    if (closeness >= 0.75) reasons.push("Similar rating");
+  }
+
+  // Rounded so floating point noise can't reorder equal scores
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+/**
+ * Best matches first; ties go to the newer movie, then by title and slug
+ * @param {Object} a - { movie, score }
+ * @param {Object} b - { movie, score }
+ * @returns {number}
+ */
+function compareMatches(a, b) {
+  return b.score - a.score
+    || (b.movie.year || 0) - (a.movie.year || 0)
+    || a.movie.title.localeCompare(b.movie.title)
+    || a.movie.slug.localeCompare(b.movie.slug);
+}
+
+/**
+ * Recommendations for every movie
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @param {Object} options - { limit, omdbData }
+ * @returns {Map<string, Object[]>} slug -> [{ movie, score, reasons }], best first
+ */
+function buildRecommendations(movies, { limit = DEFAULT_LIMIT, omdbData } = {}) {
+  const profiles = movies.map(movie => toProfile(movie, omdbData));
+  const recommendations = new Map();
+
+  profiles.forEach(profile => {
+    const matches = profiles
+      .filter(other => other.movie.slug !== profile.movie.slug)
+      .map(other => ({ movie: other.movie, ...scorePair(profile, other) }))
+      .filter(match => match.score > 0)
+      .sort(compareMatches)
+      .slice(0, limit);
+
+    recommendations.set(profile.movie.slug, matches);
+  });
+
+  return recommendations;
+}
+
+/**
+ * "Because you liked X" sections: the highest rated movies with their recommendations
+ * A movie is recommended in at most one section, and never when it is a section's subject.
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @param {Map<string, Object[]>} recommendations - From buildRecommendations()
+ * @param {Object} options - { count } number of sections
+ * @returns {Object[]} [{ movie, recommendations }]
+ */
+function becauseYouLiked(movies, recommendations, { count = 2 } = {}) {
+  const liked = movies
+    .filter(movie => typeof movie.rating === "number")
+    .map(movie => ({ movie, score: movie.rating }))
+    .sort(compareMatches)
+    .map(({ movie }) => movie);
+
+  // Subjects and recommended movies already shown
+  const used = new Set();
+  const sections = [];
+
+  for (const movie of liked) {
+    if (sections.length === count) break;
+    if (used.has(movie.slug)) continue;
+
+    const picks = (recommendations.get(movie.slug) || [])
+      .filter(match => !used.has(match.movie.slug));
+    if (picks.length === 0) continue;
+
+    used.add(movie.slug);
+    picks.forEach(match => used.add(match.movie.slug));
+    sections.push({ movie, recommendations: picks });
+  }
+
+  return sections;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  WEIGHTS,
+  actorsOf,
+  becauseYouLiked,
+  buildRecommendations,
+  scorePair,
+  toProfile
+};
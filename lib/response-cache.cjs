@@ -0,0 +1,199 @@
+/*
+  File: lib/response-cache.cjs
+  Description: Pluggable TTL cache for the OMDB proxy function (netlify/functions/movie.js).
+               Adapters: in-memory, JSON files on disk, or any key/value store
+               (e.g. Netlify Blobs). Every adapter has the same async interface:
+               get(key), set(key, value, ttlSeconds), delete(key).
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Adapters selectable with the OMDB_CACHE setting
+const CACHE_ADAPTERS = ["memory", "file", "none"];
+
+/**
+ * Wrap a value with its expiry time
+ * @param {*} value - Value to cache (must be JSON serializable for file/KV adapters)
+ * @param {number} ttlSeconds - Time to live
+ * @returns {Object} { value, expiresAt }
+ */
+function toEntry(value, ttlSeconds) {
+  return { value, expiresAt: Date.now() + ttlSeconds * 1000 };
+}
+
+/**
+ * Value of an entry, or null when it is missing or expired
+ * @param {Object|null} entry - { value, expiresAt }
+ * @returns {*}
+ */
+function fromEntry(entry) {
+  return entry && entry.expiresAt > Date.now() ? entry.value : null;
+}
+
+/**
+ * In-memory cache (lives as long as the function instance stays warm)
+ * The oldest entry is dropped once maxEntries is reached.
+ * @param {Object} options - { maxEntries }
+ * @returns {Object} Cache adapter
+ */
+function createMemoryCache({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      const value = fromEntry(entries.get(key));
+      if (value === null) entries.delete(key);
+      return value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, toEntry(value, ttlSeconds));
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Cache stored as one JSON file per key (survives restarts of `netlify dev`
+ * and warm instances sharing /tmp)
+ * @param {Object} options - { dir } directory for the cache files
+ * @returns {Object} Cache adapter
+ */
+function createFileCache({ dir = path.join(os.tmpdir(), "movielog-omdb-cache") } = {}) {
+  const fileFor = key => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+  return {
+    name: "file",
+    async get(key) {
+      try {
+        const value = fromEntry(JSON.parse(await fs.promises.readFile(fileFor(key), "utf-8")));
+        if (value === null) await fs.promises.rm(fileFor(key), { force: true });
+        return value;
+      } catch (error) {
+        // Missing or unreadable file - treat as a miss
+        return null;
+      }
+    },
+    async set(key, value, ttlSeconds) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), JSON.stringify(toEntry(value, ttlSeconds)));
+    },
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Cache on top of any async key/value store that keeps strings
+ * e.g. Netlify Blobs: createKeyValueCache(getStore("omdb"))
+ * @param {Object} store - { get(key), set(key, string), delete(key) }
+ * @returns {Object} Cache adapter
+ */
+function createKeyValueCache(store) {
+  return {
+    name: "kv",
+    async get(key) {
+      const raw = await store.get(key);
+      if (!raw) return null;
+      const value = fromEntry(JSON.parse(raw));
+      if (value === null) await store.delete(key);
+      return value;
+    },
+    async set(key, value, ttlSeconds) {
+      await store.set(key, JSON.stringify(toEntry(value, ttlSeconds)));
+    },
+    async delete(key) {
+      await store.delete(key);
+    }
+  };
+}
+
+/**
+ * Chain caches, fastest first (e.g. memory in front of file)
+ * A hit in a slower cache is copied into the faster ones with a short TTL.
+ * Every tier stores the value with its original expiry ({ value, expiresAt }), so a
+ * backfilled copy never outlives it (e.g. a negative-cached 404).
+ * @param {Object[]} caches - Cache adapters
+ * @param {Object} options - { backfillTtl } longest time in seconds to keep backfilled entries
+ * @returns {Object} Cache adapter
+ */
+function createTieredCache(caches, { backfillTtl = 300 } = {}) {
+  return {
+    name: caches.map(cache => cache.name).join("+"),
+    async get(key) {
+      for (let i = 0; i < caches.length; i++) {
+        const entry = await caches[i].get(key);
+        const value = fromEntry(entry);
+        if (value !== null) {
+          const ttl = Math.min(backfillTtl, (entry.expiresAt - Date.now()) / 1000);
+          await Promise.all(caches.slice(0, i).map(cache => cache.set(key, entry, ttl)));
+          return value;
+        }
+      }
+      return null;
+    },
+    async set(key, value, ttlSeconds) {
+      const entry = toEntry(value, ttlSeconds);
+      await Promise.all(caches.map(cache => cache.set(key, entry, ttlSeconds)));
+    },
+    async delete(key) {
+      await Promise.all(caches.map(cache => cache.delete(key)));
+    }
+  };
+}
+
+/**
+ * Cache that never stores anything (OMDB_CACHE=none)
+ * @returns {Object} Cache adapter
+ */
+function createNullCache() {
+  return {
+    name: "none",
+    async get() {
+      return null;
+    },
+    async set() {},
+    async delete() {}
+  };
+}
+
+/**
+ * Build the cache selected in the configuration (lib/config.cjs: omdb.cache, omdb.cacheDir)
+ * The file adapter always has a memory cache in front of it.
+ * @param {Object} options - { adapter, dir }
+ * @returns {Object} Cache adapter
+ */
+function createCache({ adapter = "memory", dir } = {}) {
+  switch (adapter) {
+    case "none":
+      return createNullCache();
+    case "file":
+      return createTieredCache([createMemoryCache(), createFileCache({ dir: dir || undefined })]);
+    case "memory":
+      return createMemoryCache();
+    default:
+      throw new Error(`Unknown OMDB_CACHE adapter "${adapter}" (expected one of ${CACHE_ADAPTERS.join(", ")})`);
+  }
+}
+
+module.exports = {
+  CACHE_ADAPTERS,
+  createCache,
+  createFileCache,
+  createKeyValueCache,
+  createMemoryCache,
+  createNullCache,
+  createTieredCache
+};
@@ -0,0 +1,44 @@
+/*
+  File: lib/reviews.cjs
+  Description: Reviews timeline (/reviews/, reviews.njk): every dated viewing of every
+               movie, newest first and grouped by year. Reviews themselves are part of
+               the canonical movie (`reviews`, see lib/movie-model.cjs).
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+/**
+ * Every review with the movie it belongs to, newest viewing first
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @returns {Object[]} [{ review, movie, viewing, viewings }] - viewing counts from 1 (first watch)
+ */
+function reviewEntries(movies) {
+  return movies
+    .flatMap(movie => movie.reviews.map((review, index) => ({
+      review,
+      movie,
+      viewing: index + 1,
+      viewings: movie.reviews.length
+    })))
+    .sort((a, b) => b.review.date.localeCompare(a.review.date) || a.movie.title.localeCompare(b.movie.title));
+}
+
+/**
+ * Reviews grouped by the year they were watched in
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @returns {Object[]} [{ year, entries }] newest year first (entries from reviewEntries())
+ */
+function buildReviewTimeline(movies) {
+  const years = new Map();
+  reviewEntries(movies).forEach(entry => {
+    const year = entry.review.date.slice(0, 4);
+    if (!years.has(year)) years.set(year, []);
+    years.get(year).push(entry);
+  });
+  return Array.from(years, ([year, entries]) => ({ year, entries }));
+}
+
+module.exports = {
+  buildReviewTimeline,
+  reviewEntries
+};
@@ -0,0 +1,133 @@
+/*
+  File: lib/search-index.cjs
+  Description: Builds the full-text search index (/search-index.json) at compile time.
+               The client in js/search.js loads it lazily and does the matching.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+// Bump when the index format changes (js/search.js checks it)
+const SEARCH_INDEX_VERSION = 1;
+
+// Indexed fields, in the order used by postings, with their ranking weight
+const SEARCH_FIELDS = ["title", "director", "genres", "description", "body"];
+const SEARCH_WEIGHTS = {
+  title: 10,
+  director: 6,
+  genres: 5,
+  description: 3,
+  body: 1
+};
+
+// Words too common to be worth indexing (keep in sync with js/search.js)
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "has", "he", "her",
+  "his", "in", "into", "is", "it", "its", "of", "on", "or", "she", "that", "the", "their",
+  "they", "this", "to", "was", "were", "with"
+]);
+
+/**
+ * Split text into normalized search terms (keep in sync with js/search.js)
+ * @param {string} text - Any text
+ * @returns {string[]} Lowercase terms without accents or stop words
+ */
+function tokenize(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Reduce markdown or HTML to plain text for indexing
+ * @param {string} markdown - Markdown / HTML source
+ * @returns {string} Plain text
+ */
+function toPlainText(markdown) {
+  return String(markdown || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[#>*_`~|-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Text of one indexed field of a movie
+ * @param {Object} movie - Canonical movie
+ * @param {string} field - One of SEARCH_FIELDS
+ * @returns {string}
+ */
+function fieldText(movie, field) {
+  switch (field) {
+    case "genres":
+      return movie.genres.join(" ");
+    case "body":
+      return toPlainText(movie.body);
+    default:
+      return String(movie[field] || "");
+  }
+}
+
+/**
+ * Build the search index for a list of canonical movies
+ * Postings are [documentIndex, fieldIndex, termCount] per term.
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @returns {Object} { version, fields, weights, documents, terms }
+ */
+function buildSearchIndex(movies) {
+  const terms = {};
+
+  const documents = movies.map((movie, documentIndex) => {
+    SEARCH_FIELDS.forEach((field, fieldIndex) => {
+      const counts = new Map();
+      tokenize(fieldText(movie, field)).forEach(term => {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      });
+
+      counts.forEach((count, term) => {
+        // Terms like "constructor" already exist on a plain object's prototype
+        if (!Object.prototype.hasOwnProperty.call(terms, term)) terms[term] = [];
+        terms[term].push([documentIndex, fieldIndex, count]);
+      });
+    });
+
+    // Only what the client needs to show and highlight a result
+    return {
+      slug: movie.slug,
+      url: movie.url,
+      title: movie.title,
+      director: movie.director,
+      year: movie.year,
+      genres: movie.genres,
+      poster: movie.poster,
+      description: movie.description || toPlainText(movie.body).slice(0, 200)
+    };
+  });
+
+  // Sorted keys keep the output stable between builds
+  const sortedTerms = {};
+  Object.keys(terms).sort().forEach(term => {
+    sortedTerms[term] = terms[term];
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    fields: SEARCH_FIELDS,
+    weights: SEARCH_FIELDS.map(field => SEARCH_WEIGHTS[field]),
+    documents,
+    terms: sortedTerms
+  };
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  SEARCH_INDEX_VERSION,
+  SEARCH_WEIGHTS,
+  buildSearchIndex,
+  tokenize,
+  toPlainText
+};
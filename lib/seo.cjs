@@ -0,0 +1,279 @@
+/*
+  File: lib/seo.cjs
+  Description: Search engine and social sharing metadata: the meta description, canonical
+               URL, Open Graph and Twitter card tags of every page (partials/seo.njk),
+               schema.org/Movie JSON-LD on movie pages, and the /sitemap.xml entries.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const path = require("path");
+const { PLACEHOLDER_POSTER, RATING_SCALE } = require("./movie-model.cjs");
+const { absoluteUrl, feedDates } = require("./feeds.cjs");
+
+// Longest meta description before it is cut at a word boundary
+const DESCRIPTION_LENGTH = 160;
+
+// Share images need a raster format: Open Graph and Twitter ignore SVG
+const SHARE_IMAGE_PATTERN = /\.(avif|gif|jpe?g|png|webp)$/i;
+
+/**
+ * Shorten text to a length, at a word boundary
+ * @param {string} text - Plain text
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+function truncate(text, length = DESCRIPTION_LENGTH) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > 0 ? cut.slice(0, space) : cut).replace(/[\s,.;:!?-]+$/, "")}…`;
+}
+
+/**
+ * Reduce markdown or HTML to one line of plain text
+ * Unlike the search index's toPlainText(), hyphenated words are kept as written.
+ * @param {string} markdown - Markdown / HTML source
+ * @returns {string}
+ */
+function plainText(markdown) {
+  return String(markdown || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s*(#+|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/[*_`~]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Meta description of a movie: its description, else its review, else a summary line
+ * @param {Object} movie - Canonical movie
+ * @returns {string}
+ */
+function movieDescription(movie) {
+  const text = plainText(movie.description || movie.body);
+  if (text) return truncate(text);
+
+  const director = movie.director && movie.director !== "Unknown" ? ` directed by ${movie.director}` : "";
+  const genres = movie.genres.length ? ` ${movie.genres.join(", ")}.` : "";
+  return `${movie.title}${movie.year ? ` (${movie.year})` : ""}${director}.${genres}`;
+}
+
+/**
+ * Poster to share a movie with, as an absolute URL with its size when known
+ * @param {Object} movie - Canonical movie
+ * @param {string} siteUrl - site.url
+ * @returns {Object|null} { url, width, height, alt }, null for the placeholder or SVG posters
+ */
+function shareImage(movie, siteUrl) {
+  if (!movie.poster || movie.poster === PLACEHOLDER_POSTER) return null;
+  if (!SHARE_IMAGE_PATTERN.test(path.extname(new URL(movie.poster, siteUrl).pathname))) return null;
+
+  const poster = movie.posters.find(image => image.url === movie.poster) || {};
+  return {
+    url: absoluteUrl(movie.poster, siteUrl),
+    width: poster.width || null,
+    height: poster.height || null,
+    alt: movie.posterAlt
+  };
+}
+
+/**
+ * Open Graph locale (en_US) of a BCP 47 locale (en-US)
+ * @param {string} locale - e.g. "fr-FR"
+ * @returns {string}
+ */
+function ogLocale(locale) {
+  return locale.replace("-", "_");
+}
+
+/**
+ * Metadata of a page for partials/seo.njk
+ * @param {Object} page - { url, title, description, movie, noindex } of the page being rendered
+ * @param {Object} site - _data/site.json
+ * @param {string} buildProfile - dev | preview | production (preview builds are never indexed)
+ * @returns {Object} { title, description, canonical, type, locale, image, robots, alternates }
+ */
+function pageSeo({ url, title, description, movie, noindex }, site, buildProfile) {
+  const canonical = absoluteUrl(url || "/", site.url);
+  const robots = buildProfile === "preview" ? "noindex, nofollow" : noindex ? "noindex" : null;
+
+  if (!movie) {
+    return {
+      title: title || site.title,
+      description: description || site.description,
+      canonical,
+      type: "website",
+      locale: "en_US",
+      image: null,
+      robots,
+      alternates: []
+    };
+  }
+
+  return {
+    title: movie.year ? `${movie.title} (${movie.year})` : movie.title,
+    description: movieDescription(movie),
+    canonical,
+    type: "video.movie",
+    locale: ogLocale(movie.locale || "en-US"),
+    image: shareImage(movie, site.url),
+    robots,
+    // Every translation, this page included, as hreflang alternates
+    alternates: (movie.translations || []).length > 1
+      ? movie.translations.map(translation => ({ hreflang: translation.locale, href: absoluteUrl(translation.url, site.url) }))
+      : []
+  };
+}
+
+/**
+ * People of a comma separated field as schema.org Persons
+ * @param {string|string[]} names - e.g. "Lana Wachowski, Lilly Wachowski" or ["Aamir Khan"]
+ * @returns {Object[]}
+ */
+function persons(names) {
+  return (Array.isArray(names) ? names : String(names || "").split(","))
+    .map(name => name.trim())
+    .filter(name => name && name !== "Unknown" && name !== "N/A")
+    .map(name => ({ "@type": "Person", name }));
+}
+
+/**
+ * schema.org/Review by the site's author
+ * @param {Object} site - _data/site.json
+ * @param {Object} review - { rating, date, body } (rating on RATING_SCALE or null)
+ * @returns {Object}
+ */
+function toReview(site, { rating, date, body }) {
+  const review = { "@type": "Review", author: { "@type": "Person", name: site.author } };
+  if (rating !== null) {
+    review.reviewRating = {
+      "@type": "Rating",
+      ratingValue: rating,
+      bestRating: RATING_SCALE,
+      worstRating: 0
+    };
+  }
+  if (date) review.datePublished = date;
+  if (body) review.reviewBody = body;
+  return review;
+}
+
+/**
+ * schema.org/Movie of a movie page
+ * The IMDb rating and vote count from _data/omdbData.json become the aggregateRating;
+ * each dated viewing (or, without any, the site's rating and review) becomes a Review
+ * by site.author.
+ * @param {Object} movie - Canonical movie
+ * @param {Object} site - _data/site.json
+ * @param {Object|null} omdb - From getEnrichment() (omdbEnrichment filter)
+ * @returns {Object} JSON-LD object
+ */
+function movieJsonLd(movie, site, omdb) {
+  const url = absoluteUrl(movie.url, site.url);
+  const live = omdb && omdb.status === "found" ? omdb.data : null;
+  const image = shareImage(movie, site.url);
+  const actors = persons(movie.cast.length ? movie.cast : live?.actors);
+
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@type": "Movie",
+    "@id": `${url}#movie`,
+    name: movie.title,
+    url,
+    description: movieDescription(movie)
+  };
+
+  if (image) jsonLd.image = image.url;
+  if (persons(movie.director).length) jsonLd.director = persons(movie.director);
+  if (actors.length) jsonLd.actor = actors;
+  if (movie.year) jsonLd.datePublished = String(movie.year);
+  if (movie.genres.length) jsonLd.genre = movie.genres;
+  if (movie.locale) jsonLd.inLanguage = movie.locale;
+  if (movie.imdbId) jsonLd.sameAs = `https://www.imdb.com/title/${movie.imdbId}/`;
+
+  // Search engines reject an aggregateRating without a vote count
+  const imdbRating = parseFloat(live?.imdbRating);
+  const imdbVotes = parseInt(String(live?.imdbVotes || "").replace(/,/g, ""), 10);
+  if (imdbRating && imdbVotes) {
+    jsonLd.aggregateRating = {
+      "@type": "AggregateRating",
+      ratingValue: imdbRating,
+      bestRating: 10,
+      worstRating: 1,
+      ratingCount: imdbVotes
+    };
+  }
+
+  if (movie.reviews.length > 0) {
+    // One Review per dated viewing, newest first (spoilers stay out of search results)
+    jsonLd.review = movie.reviews.slice().reverse().map(review => toReview(site, {
+      rating: review.rating,
+      date: review.date,
+      body: plainText(review.body) || review.quote
+    }));
+  } else if (movie.rating !== null) {
+    jsonLd.review = toReview(site, {
+      rating: movie.rating,
+      date: movie.createdAt && movie.createdAt.slice(0, 10),
+      body: plainText(movie.body || movie.description)
+    });
+  }
+
+  return jsonLd;
+}
+
+/**
+ * JSON for a <script type="application/ld+json"> element
+ * "<" is escaped so text like "</script>" in a review can't end the element.
+ * @param {Object} value - JSON-LD object
+ * @returns {string}
+ */
+function jsonLdScript(value) {
+  return JSON.stringify(value, null, 2).replace(/</g, "\\u003c");
+}
+
+/**
+ * Entries of /sitemap.xml: every indexable HTML page, movie pages dated like the feeds
+ * Templates paginated over a collection only have their first page in collections.all,
+ * so movie, translation and taxonomy pages are listed from their collections.
+ * @param {Object[]} pages - collections.all
+ * @param {Object[]} movies - collections.allMovies
+ * @param {Object[]} taxonomies - collections.taxonomies
+ * @param {Object} site - _data/site.json
+ * @returns {Object[]} [{ loc, lastmod }] sorted by URL (lastmod is null when unknown)
+ */
+function sitemapEntries(pages, movies, taxonomies, site) {
+  const entries = new Map();
+  const add = (url, lastmod = null) => {
+    const loc = absoluteUrl(url, site.url);
+    if (!entries.has(loc)) entries.set(loc, { loc, lastmod });
+  };
+
+  movies.forEach(movie => {
+    const lastmod = feedDates(movie).updated.slice(0, 10);
+    add(movie.url, lastmod);
+    (movie.translations || []).forEach(translation => add(translation.url, lastmod));
+  });
+  taxonomies.forEach(taxonomy => {
+    add(taxonomy.url);
+    taxonomy.terms.forEach(term => add(term.url));
+  });
+  pages
+    .filter(page => page.url && page.outputPath && page.outputPath.endsWith(".html") && !page.data.noindex)
+    .forEach(page => add(page.url));
+
+  return [...entries.values()].sort((a, b) => a.loc.localeCompare(b.loc));
+}
+
+module.exports = {
+  DESCRIPTION_LENGTH,
+  jsonLdScript,
+  movieDescription,
+  movieJsonLd,
+  pageSeo,
+  shareImage,
+  sitemapEntries
+};
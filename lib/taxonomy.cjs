@@ -0,0 +1,129 @@
+/*
+  File: lib/taxonomy.cjs
+  Description: Groups canonical movies by genre, director and decade for the
+               taxonomy pages (/genres/, /directors/, /years/) and the JSON API indexes.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const { slugify } = require("./movie-model.cjs");
+
+/**
+ * Decade label of a release year (e.g. 1994 -> "1990s")
+ * @param {number|null} year - Release year
+ * @returns {string|null}
+ */
+function decadeOf(year) {
+  return Number.isInteger(year) ? `${Math.floor(year / 10) * 10}s` : null;
+}
+
+// Every taxonomy with its index page and how to read its terms from a movie
+// Genres are already split into single values by the movie model ("Crime, Drama" -> two genres)
+const TAXONOMIES = {
+  genres: {
+    title: "Genres",
+    singular: "Genre",
+    path: "/genres/",
+    getValues: movie => movie.genres
+  },
+  directors: {
+    title: "Directors",
+    singular: "Director",
+    path: "/directors/",
+    getValues: movie => [movie.director]
+  },
+  decades: {
+    title: "Decades",
+    singular: "Decade",
+    path: "/years/",
+    getValues: movie => [decadeOf(movie.year)],
+    // Newest decade first instead of alphabetical
+    compare: (a, b) => b.name.localeCompare(a.name, undefined, { numeric: true })
+  }
+};
+
+/**
+ * URL of a term page (e.g. /genres/science-fiction/)
+ * @param {string} taxonomy - Key of TAXONOMIES
+ * @param {string|number} name - Term name, or a release year for "decades"
+ * @returns {string}
+ */
+function taxonomyUrl(taxonomy, name) {
+  if (!TAXONOMIES[taxonomy]) {
+    throw new Error(`Unknown taxonomy: ${taxonomy}`);
+  }
+  const term = taxonomy === "decades" && typeof name === "number" ? decadeOf(name) : name;
+  return `${TAXONOMIES[taxonomy].path}${slugify(term)}/`;
+}
+
+/**
+ * Group movies by one or more values per movie
+ * Missing values and "Unknown" are left out; movies keep their input order.
+ * @param {Object[]} movies - Canonical movies
+ * @param {Function} getValues - Returns the term names of a movie
+ * @returns {Object[]} [{ name, slug, movies, count }] sorted by name
+ */
+function groupByTerm(movies, getValues) {
+  const groups = new Map();
+
+  movies.forEach(movie => {
+    new Set(getValues(movie)).forEach(name => {
+      if (name === null || name === undefined || name === "" || name === "Unknown") return;
+      // Keyed by slug so "Sci-Fi" and "sci-fi" share one page (first spelling wins)
+      const slug = slugify(name);
+      if (!slug) return;
+      if (!groups.has(slug)) groups.set(slug, { name: String(name), slug, movies: [] });
+      groups.get(slug).movies.push(movie);
+    });
+  });
+
+  return [...groups.values()]
+    .map(group => ({ ...group, count: group.movies.length }))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * Terms of one taxonomy, ready for the term pages
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @param {string} taxonomy - Key of TAXONOMIES
+ * @returns {Object[]} [{ taxonomy, name, slug, url, count, movies }]
+ */
+function buildTaxonomy(movies, taxonomy) {
+  const config = TAXONOMIES[taxonomy];
+  if (!config) {
+    throw new Error(`Unknown taxonomy: ${taxonomy}`);
+  }
+
+  const terms = groupByTerm(movies, config.getValues);
+  if (config.compare) terms.sort(config.compare);
+
+  return terms.map(term => ({
+    taxonomy,
+    ...term,
+    url: `${config.path}${term.slug}/`
+  }));
+}
+
+/**
+ * Every taxonomy with its terms, for the index pages
+ * @param {Object[]} movies - Canonical movies (collections.allMovies)
+ * @returns {Object[]} [{ key, title, singular, url, terms }]
+ */
+function buildTaxonomies(movies) {
+  return Object.entries(TAXONOMIES).map(([key, config]) => ({
+    key,
+    title: config.title,
+    singular: config.singular,
+    url: config.path,
+    terms: buildTaxonomy(movies, key)
+  }));
+}
+
+module.exports = {
+  TAXONOMIES,
+  buildTaxonomies,
+  buildTaxonomy,
+  decadeOf,
+  groupByTerm,
+  taxonomyUrl
+};
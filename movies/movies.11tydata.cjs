@@ -0,0 +1,49 @@
+/*
+  File: movies/movies.11tydata.cjs
+  Description: Directory data for local markdown movies. Every file gets the
+               movie layout, the "movies" tag and a canonical `movie` object
+               built from its front matter (see lib/movie-model.cjs).
+               A film that is also in Contentful is merged with it (lib/movie-merge.cjs)
+               and only the winning source writes its page.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+const { loadConfig } = require("../lib/config.cjs");
+const { fromCmsRecord, fromMarkdown } = require("../lib/movie-model.cjs");
+const { resolveLocalMovie } = require("../lib/movie-merge.cjs");
+
+const { mergeStrategy } = loadConfig().catalog;
+
+// CMS movies of the cmsData global, mapped once per build instead of once per file
+const cmsMoviesCache = new WeakMap();
+function cmsMoviesOf(cmsData) {
+  if (!cmsData || !Array.isArray(cmsData.movies)) return [];
+  if (!cmsMoviesCache.has(cmsData)) {
+    // Items are empty while Eleventy works out the order of computed data
+    cmsMoviesCache.set(cmsData, cmsData.movies.filter(record => record && record.title).map(fromCmsRecord));
+  }
+  return cmsMoviesCache.get(cmsData);
+}
+
+/**
+ * The file's own movie, before merging
+ * @param {Object} data - Data cascade of the markdown file
+ * @returns {Object} Canonical movie
+ */
+function localMovieOf(data) {
+  return fromMarkdown(data, { ...data.page, url: `/movies/${data.page.fileSlug}/` });
+}
+
+module.exports = {
+  layout: "layouts/movie.njk",
+  tags: "movies",
+  eleventyComputed: {
+    // Unmerged, for collections.allMovies, which merges the whole catalog
+    localMovie: data => localMovieOf(data),
+    movie: data => resolveLocalMovie(localMovieOf(data), cmsMoviesOf(data.cmsData), mergeStrategy),
+    // When Contentful wins, cms-movies.njk writes the page instead (`movie` is
+    // undefined while Eleventy works out the order of computed data)
+    permalink: data => (!data.movie || data.movie.source === "local" ? `/movies/${data.page.fileSlug}/` : false)
+  }
+};
@@ -3,15 +3,155 @@
  * Description: Netlify serverless function to fetch live movie data from OMDB API
  * Author: Sai Trivedi
  * Date: December 2025
- * 
+ *
  * This function demonstrates:
  * - Serverless computing architecture
  * - Asynchronous API calls using async/await
  * - Error handling for production environments
  * - Dynamic data fetching for static sites
+ *
+ * Query parameters:
+ * - imdbId=tt1375666          Exact lookup by IMDb ID (OMDB `i=`), preferred when known
+ * - title=Inception           Lookup by title (OMDB `t=`)
+ * - search=Inception          Search mode (OMDB `s=`), returns a list of candidates
+ * - year=2010, type=movie     Narrow down a title lookup or a search
+ * - page=2                    Page of search results (10 per page)
  */
 
-const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { loadConfig, redact, requireConfig } = require('../../lib/config.cjs');
+const { FIXTURE_MISSING } = require('../../lib/http-fixtures.cjs');
+const { lookupMovie, searchMovies } = require('../../lib/omdb-client.cjs');
+const { createCache } = require('../../lib/response-cache.cjs');
+const { createRateLimiter, getClientId, rateLimitHeaders } = require('../../lib/rate-limit.cjs');
+
+// Values OMDB accepts for `type=`
+const OMDB_TYPES = ['movie', 'series', 'episode'];
+
+// IMDb title IDs look like tt0111161 (7 or 8 digits)
+const IMDB_ID_PATTERN = /^tt\d{7,}$/;
+
+/**
+ * Build a JSON response with the CORS header every response needs
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body (serialized to JSON)
+ * @param {Object} headers - Extra headers
+ * @returns {Object} Netlify function response
+ */
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Check the query parameters
+ * @param {Object} params - Query string parameters
+ * @returns {string|null} Error message, or null when the parameters are usable
+ */
+function validateParams(params) {
+  const { title, imdbId, search, year, type, page } = params;
+
+  if (!title && !imdbId && !search) {
+    return 'Please provide a movie title, an imdbId or a search query in the query string';
+  }
+  if (imdbId && !IMDB_ID_PATTERN.test(imdbId)) {
+    return `Invalid imdbId "${imdbId}" (expected something like tt1375666)`;
+  }
+  if (year && !/^\d{4}$/.test(year)) {
+    return `Invalid year "${year}" (expected a four digit year)`;
+  }
+  if (type && !OMDB_TYPES.includes(type)) {
+    return `Invalid type "${type}" (expected one of ${OMDB_TYPES.join(', ')})`;
+  }
+  if (page && !/^([1-9]|[1-9]\d|100)$/.test(page)) {
+    return `Invalid page "${page}" (expected 1-100)`;
+  }
+  return null;
+}
+
+// ============================================
+// CACHING & RATE LIMITING
+// ============================================
+
+// Environment, .env files and profile defaults (lib/config.cjs)
+const config = loadConfig();
+
+// Created once per function instance so they survive between warm invocations
+const responseCache = createCache({ adapter: config.omdb.cache, dir: config.omdb.cacheDir });
+const rateLimiter = createRateLimiter({
+  limit: config.omdb.rateLimit,
+  windowSeconds: config.omdb.rateLimitWindow
+});
+
+/**
+ * Cache key of a request: only the parameters that change the answer, normalized
+ * @param {Object} params - Validated query parameters
+ * @returns {string}
+ */
+function cacheKey({ imdbId, title, search, year, type, page }) {
+  const key = search
+    ? ['search', search.trim().toLowerCase(), year, type, page || '1']
+    : imdbId
+      ? ['id', imdbId]
+      : ['title', title.trim().toLowerCase(), year, type];
+  return `omdb:v1:${key.map(part => part || '').join('|')}`;
+}
+
+/**
+ * Seconds to keep an OMDB result in the server-side cache
+ * Negative caching: "not found" and too broad searches are remembered too, but not
+ * for as long; OMDB errors (5xx) are not cached at all.
+ * @param {number} statusCode - Status of the result
+ * @returns {number}
+ */
+function cacheTtlFor(statusCode) {
+  if (statusCode === 200) return config.omdb.cacheTtl;
+  if (statusCode < 500) return config.omdb.negativeCacheTtl;
+  return 0;
+}
+
+/**
+ * Run a cache operation, logging instead of failing the request when the cache is broken
+ * @param {Function} operation - Async cache call
+ * @returns {Promise<*>} Result, or null on error
+ */
+async function safeCache(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.warn(`Response cache (${responseCache.name}) unavailable: ${redact(error.message, config)}`);
+    return null;
+  }
+}
+
+/**
+ * Weak ETag of a response body
+ * @param {string} body - Serialized body
+ * @returns {string}
+ */
+function etagFor(body) {
+  return `W/"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 20)}"`;
+}
+
+/**
+ * Does the request's If-None-Match header match the ETag?
+ * @param {Object} headers - Request headers (lowercase names)
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+function isNotModified(headers, etag) {
+  const header = headers['if-none-match'];
+  if (!header) return false;
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.trim() === '*' || header.split(',').some(tag => strip(tag) === strip(etag));
+}
 
 /**
  * Serverless function handler
@@ -21,107 +161,91 @@ const fetch = require('node-fetch');
  */
 exports.handler = async (event, context) => {
   try {
-    // Extract movie title from query parameters
-    const { title } = event.queryStringParameters || {};
-    
-    // Validate required parameter
-    if (!title) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          error: 'Missing required parameter: title',
-          message: 'Please provide a movie title in the query string'
-        })
-      };
-    }
+    const params = event.queryStringParameters || {};
+    const requestHeaders = event.headers || {};
 
-    // OMDB API configuration
-    // Read API key from environment variable set in Netlify
-    const OMDB_API_KEY = process.env.OMDB_API_KEY || '3267c31a';
-    
-    if (!OMDB_API_KEY) {
-      throw new Error('OMDB_API_KEY environment variable is not set');
+    // Rate limit per client before doing any work
+    const limit = rateLimiter.check(getClientId(requestHeaders));
+    const limitHeaders = rateLimitHeaders(limit);
+    if (!limit.allowed) {
+      console.warn(`Rate limit exceeded for ${getClientId(requestHeaders)}`);
+      return jsonResponse(429, {
+        error: 'Too many requests',
+        message: `Rate limit of ${limit.limit} requests per ${rateLimiter.windowSeconds} seconds exceeded. Try again in ${limit.retryAfter} seconds.`
+      }, limitHeaders);
     }
-    
-    const apiUrl = `https://www.omdbapi.com/?apikey=${OMDB_API_KEY}&t=${encodeURIComponent(title)}`;
-
-    // Asynchronous API call using async/await
-    console.log(`Fetching movie data for: ${title}`);
-    const response = await fetch(apiUrl);
-    
-    // Check if the HTTP request was successful
-    if (!response.ok) {
-      throw new Error(`OMDB API returned status ${response.status}`);
+
+    // Validate parameters
+    const problem = validateParams(params);
+    if (problem) {
+      return jsonResponse(400, {
+        error: 'Invalid or missing parameters',
+        message: problem
+      }, limitHeaders);
     }
 
-    // Parse JSON response asynchronously
-    const data = await response.json();
-
-    // Check if movie was found in OMDB database
-    if (data.Response === 'False') {
-      return {
-        statusCode: 404,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          error: 'Movie not found',
-          message: data.Error || 'No movie found with that title'
-        })
-      };
+    // Serve from the server-side cache when possible
+    const key = cacheKey(params);
+    let result = await safeCache(() => responseCache.get(key));
+    const cacheStatus = result ? 'HIT' : 'MISS';
+
+    if (!result) {
+      // OMDB API key from the environment (set in Netlify, or .env for `netlify dev`)
+      requireConfig(config, 'omdb');
+
+      result = params.search
+        ? await searchMovies(config.omdb.apiKey, params)
+        : await lookupMovie(config.omdb.apiKey, params);
+
+      const ttl = cacheTtlFor(result.statusCode);
+      if (ttl > 0) await safeCache(() => responseCache.set(key, result, ttl));
     }
 
-    // Extract required fields for the frontend
-    const movieData = {
-      title: data.Title,
-      imdbRating: data.imdbRating || 'N/A',
-      runtime: data.Runtime || 'N/A',
-      genre: data.Genre || 'N/A',
-      actors: data.Actors || 'N/A',
-      plot: data.Plot || 'N/A',
-      poster: data.Poster !== 'N/A' ? data.Poster : null,
-      year: data.Year || 'N/A',
-      director: data.Director || 'N/A'
-    };
+    console.log(`Cache ${cacheStatus} for ${key}`);
 
-    console.log(`Successfully fetched data for: ${movieData.title}`);
-
-    // Return successful response
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Cache-Control': 'public, max-age=3600' // Cache for 1 hour
-      },
-      body: JSON.stringify(movieData)
+    const body = JSON.stringify(result.body);
+    const etag = etagFor(body);
+    const headers = {
+      ...limitHeaders,
+      'ETag': etag,
+      'X-Cache': cacheStatus,
+      'Cache-Control': result.statusCode === 200
+        ? 'public, max-age=3600' // Cache for 1 hour
+        : result.statusCode < 500
+          ? `public, max-age=${Math.min(config.omdb.negativeCacheTtl, 3600)}`
+          : 'no-store' // OMDB failed; ask again next time
     };
 
+    // The client already has this exact response
+    if (isNotModified(requestHeaders, etag)) {
+      return { statusCode: 304, headers: { ...headers, 'Access-Control-Allow-Origin': '*' }, body: '' };
+    }
+
+    // Return the response
+    return jsonResponse(result.statusCode, result.body, headers);
+
   } catch (error) {
+    // Replaying recorded responses (npm run dev) and this request was never recorded
+    if (error.code === FIXTURE_MISSING) {
+      console.warn(error.message);
+      return jsonResponse(503, {
+        error: 'No recorded response',
+        message: `This lookup isn't in the recorded OMDB responses. ${error.message}`
+      }, { 'Cache-Control': 'no-store' });
+    }
+
     // Handle any errors during the process
-    console.error('Error in movie serverless function:', error);
+    // Messages can contain the request URL (and with it the API key), so redact first
+    console.error('Error in movie serverless function:', redact(error.message, config));
     console.error('Error details:', {
-      message: error.message,
-      stack: error.stack,
-      title: event.queryStringParameters?.title
+      stack: redact(error.stack, config),
+      params: event.queryStringParameters
+    });
+
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: 'Failed to fetch movie data. Please try again later.',
+      details: redact(error.message, config) // Include error message for debugging
     });
-    
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({
-        error: 'Internal server error',
-        message: 'Failed to fetch movie data. Please try again later.',
-        details: error.message // Include error message for debugging
-      })
-    };
   }
 };
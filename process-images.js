@@ -0,0 +1,167 @@
+/*
+  File: process-images.js
+  Description: Pre-build step that turns every poster (local images/ files and Contentful
+               assets) into responsive AVIF/WebP/JPEG variants plus a tiny blurred preview,
+               and records them in _data/imageManifest.json for the templates
+  Author: Sai Trivedi
+  Date: 2026-10-19
+
+  Usage:
+    node process-images.js                 Process the posters of cmsData.json and movies/*.md
+    node process-images.js --data-dir=dir  Read cmsData.json from / write imageManifest.json to another folder
+
+  Run it after fetch-cms-data.js. Generated files are written to .cache/posters/ and copied
+  to /img/posters/ by Eleventy. File names contain a hash of the source image, so unchanged
+  posters are not processed again and downloaded Contentful assets are cached in .cache/
+  for 30 days. A poster that fails to process is left out of the manifest and the page
+  uses the original URL instead.
+*/
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Image from "@11ty/eleventy-img";
+import { fromCmsRecord } from "./lib/movie-model.cjs";
+import {
+  IMAGE_CACHE_DIR,
+  IMAGE_FORMATS,
+  IMAGE_MANIFEST_FILE,
+  IMAGE_URL_PATH,
+  IMAGE_WIDTHS,
+  PLACEHOLDER_WIDTH,
+  decodeUrl,
+  posterSources
+} from "./lib/images.cjs";
+import { readSnapshot } from "./fetch-cms-data.js";
+import { loadLocalMovies } from "./fetch-omdb-data.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Downloaded remote images are reused for this long
+const REMOTE_CACHE_OPTIONS = {
+  duration: "30d",
+  directory: path.join(__dirname, ".cache")
+};
+
+/**
+ * Where eleventy-img should read a poster from
+ * @param {string} src - Poster URL from the movie data
+ * @returns {string|null} Remote URL, local file path, or null when it can't be processed
+ */
+function resolveSource(src) {
+  if (/^https?:\/\//.test(src)) return src;
+  if (path.extname(src).toLowerCase() === ".svg") return null; // already scales
+
+  const filePath = path.join(__dirname, decodeUrl(src));
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Generate the variants of one poster
+ * @param {Object} poster - { src, name } from posterSources()
+ * @returns {Promise<Object|null>} Manifest entry, or null when the poster is skipped
+ */
+async function processPoster({ src, name }) {
+  const source = resolveSource(src);
+  if (!source) return null;
+
+  const metadata = await Image(source, {
+    widths: IMAGE_WIDTHS,
+    formats: IMAGE_FORMATS,
+    outputDir: path.join(__dirname, IMAGE_CACHE_DIR),
+    urlPath: IMAGE_URL_PATH,
+    cacheOptions: REMOTE_CACHE_OPTIONS,
+    filenameFormat: (id, file, width, format) => `${name}-${id}-${width}w.${format}`
+  });
+
+  const preview = await Image(source, {
+    widths: [PLACEHOLDER_WIDTH],
+    formats: ["webp"],
+    dryRun: true,
+    cacheOptions: REMOTE_CACHE_OPTIONS
+  });
+
+  const largest = metadata.jpeg[metadata.jpeg.length - 1];
+  const formats = {};
+  IMAGE_FORMATS.forEach(format => {
+    formats[format] = metadata[format].map(({ url, width, height }) => ({ url, width, height }));
+  });
+
+  return {
+    src,
+    width: largest.width,
+    height: largest.height,
+    placeholder: `data:image/webp;base64,${preview.webp[0].buffer.toString("base64")}`,
+    formats
+  };
+}
+
+/**
+ * Process every poster and save the manifest
+ * Never fails the build over an image: failed posters keep their original URL.
+ * @param {Object} options
+ * @param {string} options.dataDir - Folder with cmsData.json and imageManifest.json
+ * @param {string} options.moviesDir - Folder with the markdown movies
+ */
+export async function processImages({
+  dataDir = path.join(__dirname, "_data"),
+  moviesDir = path.join(__dirname, "movies")
+} = {}) {
+  const snapshot = readSnapshot(path.join(dataDir, "cmsData.json"));
+  const movies = [
+    ...snapshot.movies.map(fromCmsRecord),
+    ...snapshot.localizedMovies.map(fromCmsRecord),
+    ...loadLocalMovies(moviesDir)
+  ];
+  const posters = posterSources(movies);
+
+  console.log(`🖼️  Processing ${posters.length} posters...`);
+
+  const images = {};
+  const counts = { processed: 0, skipped: 0, failed: 0 };
+
+  for (const poster of posters) {
+    try {
+      const entry = await processPoster(poster);
+      if (entry) {
+        images[poster.src] = entry;
+        counts.processed++;
+      } else {
+        counts.skipped++;
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not process ${poster.src}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+
+  console.log(`   ${counts.processed} processed, ${counts.skipped} skipped, ${counts.failed} failed`);
+
+  const outputPath = path.join(dataDir, IMAGE_MANIFEST_FILE);
+  const sortedImages = {};
+  Object.keys(images).sort().forEach(src => { sortedImages[src] = images[src]; });
+
+  fs.writeFileSync(outputPath, JSON.stringify({
+    meta: {
+      generatedAt: new Date().toISOString(),
+      widths: IMAGE_WIDTHS,
+      formats: IMAGE_FORMATS,
+      imageCount: Object.keys(sortedImages).length
+    },
+    images: sortedImages
+  }, null, 2));
+
+  console.log(`💾 Saved image manifest to ${outputPath}`);
+}
+
+// Only run when executed directly (not when imported by other scripts)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const dataDirArg = process.argv.slice(2).find(arg => arg.startsWith("--data-dir="));
+
+  processImages({
+    ...(dataDirArg && { dataDir: path.resolve(dataDirArg.split("=")[1]) })
+  }).catch(error => {
+    console.error(`❌ Image processing failed: ${error.message}`);
+    process.exit(1);
+  });
+}
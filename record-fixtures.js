@@ -0,0 +1,117 @@
+/*
+  File: record-fixtures.js
+  Description: Records the Contentful and OMDB responses that `npm run dev` replays
+               (lib/http-fixtures.cjs), with real keys, into fixtures/http/
+  Author: Sai Trivedi
+  Date: 2026-10-19
+
+  Usage:
+    node record-fixtures.js                 Record Contentful, then OMDB for every movie
+    node record-fixtures.js --skip-omdb     Record Contentful only
+    node record-fixtures.js --data-dir=dir  Read/write cmsData.json in another folder
+
+  Contentful is recorded twice, as a full refresh (`npm run fetch-cms:full`) and as an
+  initial sync (`npm run fetch-cms`, which a replayed sync always starts from). OMDB is
+  asked for every movie exactly the way js/live.js asks the function: by IMDb ID, or by
+  title and year, which records the `t=`, `s=` and `i=` calls of lib/omdb-client.cjs.
+  Commit the files in fixtures/http/ afterwards; API keys are never part of them.
+*/
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadConfig, redact, requireConfig } from "./lib/config.cjs";
+import { fromCmsRecord } from "./lib/movie-model.cjs";
+import { lookupMovie } from "./lib/omdb-client.cjs";
+import { enrichmentKey, lookupParams } from "./lib/omdb-enrichment.cjs";
+import { fetchContentfulData, readSnapshot } from "./fetch-cms-data.js";
+import { loadMovies } from "./fetch-omdb-data.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Every movie page with a "Live OMDB Data" box: the catalog plus the CMS translations
+ * @param {string} dataDir - Folder with cmsData.json
+ * @param {string} moviesDir - Folder with the markdown movies
+ * @returns {Object[]} Canonical movies, once per enrichment key
+ */
+function moviesToRecord(dataDir, moviesDir) {
+  const translations = readSnapshot(path.join(dataDir, "cmsData.json")).localizedMovies.map(fromCmsRecord);
+  const movies = [...loadMovies(dataDir, moviesDir), ...translations];
+
+  return movies.filter((movie, index) =>
+    movies.findIndex(other => enrichmentKey(other) === enrichmentKey(movie)) === index);
+}
+
+/**
+ * Record the responses replayed by `npm run dev`
+ * @param {Object} options
+ * @param {boolean} options.omdb - Record the OMDB lookups too
+ * @param {string} options.dataDir - Folder with cmsData.json
+ * @param {string} options.moviesDir - Folder with the markdown movies
+ * @throws {Error} When MOVIELOG_FIXTURES isn't "record", keys are missing or Contentful fails
+ */
+export async function recordFixtures({
+  omdb = true,
+  dataDir = path.join(__dirname, "_data"),
+  moviesDir = path.join(__dirname, "movies")
+} = {}) {
+  const appConfig = loadConfig();
+  if (appConfig.fixtures.mode !== "record") {
+    throw new Error(`MOVIELOG_FIXTURES must be "record" (is "${appConfig.fixtures.mode}")`);
+  }
+  requireConfig(appConfig, "contentful");
+  if (omdb) requireConfig(appConfig, "omdb");
+
+  console.log("📼 Recording Contentful (full refresh)...");
+  await fetchContentfulData({ strict: true, dataDir });
+
+  // The initial sync goes to a scratch folder so the real sync token stays untouched
+  console.log("📼 Recording Contentful (initial sync)...");
+  const syncDir = fs.mkdtempSync(path.join(os.tmpdir(), "movielog-sync-"));
+  try {
+    await fetchContentfulData({ sync: true, strict: true, dataDir: syncDir });
+  } finally {
+    fs.rmSync(syncDir, { recursive: true, force: true });
+  }
+
+  if (!omdb) return;
+
+  const movies = moviesToRecord(dataDir, moviesDir);
+  const counts = { found: 0, notFound: 0, failed: 0 };
+  console.log(`📼 Recording OMDB for ${movies.length} movies...`);
+
+  for (const movie of movies) {
+    try {
+      const result = await lookupMovie(appConfig.omdb.apiKey, lookupParams(movie));
+      if (result.statusCode !== 200 && result.statusCode !== 404) throw new Error(result.body.message);
+      counts[result.statusCode === 200 ? "found" : "notFound"]++;
+    } catch (error) {
+      console.warn(`⚠️  OMDB lookup failed for ${enrichmentKey(movie)}: ${redact(error.message, appConfig)}`);
+      counts.failed++;
+    }
+  }
+
+  console.log(`   ${counts.found} found, ${counts.notFound} not on OMDB, ${counts.failed} failed`);
+  if (counts.failed > 0) {
+    throw new Error(`${counts.failed} OMDB lookups failed; run it again to record them`);
+  }
+}
+
+// Only run when executed directly (not when imported by other scripts)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const dataDirArg = args.find(arg => arg.startsWith("--data-dir="));
+
+  // The HTTP clients read MOVIELOG_FIXTURES on their first request
+  process.env.MOVIELOG_FIXTURES = "record";
+
+  recordFixtures({
+    omdb: !args.includes("--skip-omdb"),
+    ...(dataDirArg && { dataDir: path.resolve(dataDirArg.split("=")[1]) })
+  }).catch(error => {
+    console.error(`❌ Recording failed: ${redact(error.message, loadConfig())}`);
+    process.exit(1);
+  });
+}
@@ -1,15 +1,15 @@
-import dotenv from "dotenv";
-dotenv.config();
+import { loadConfig, redact } from "./lib/config.cjs";
 
-const SPACE_ID = process.env.CONTENTFUL_SPACE_ID;
-const ACCESS_TOKEN = process.env.CONTENTFUL_ACCESS_TOKEN;
+const config = loadConfig();
+const SPACE_ID = config.contentful.spaceId;
+const ACCESS_TOKEN = config.contentful.accessToken;
 
 console.log("Space ID:", SPACE_ID);
 console.log("Access Token:", ACCESS_TOKEN ? "Found" : "Missing");
 
 const url = `https://cdn.contentful.com/spaces/${SPACE_ID}/environments/master/entries?content_type=movie&access_token=${ACCESS_TOKEN}`;
 
-console.log("\nFetching from:", url);
+console.log("\nFetching from:", redact(url, config));
 
 try {
   const response = await fetch(url);
@@ -0,0 +1,205 @@
+/*
+  File: test/build.test.js
+  Description: Eleventy build smoke test. Builds a copy of the site with cmsData.json
+               made from the mock Contentful fixtures (fixtures/contentful) and checks
+               the generated pages, permalinks and API files.
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import matter from "gray-matter";
+import { buildMovies } from "../fetch-cms-data.js";
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Not part of the site, or generated by the pre-build steps
+const SKIPPED = new Set([".git", ".cache", "node_modules", "_site", "reports", "test"]);
+const SKIPPED_DATA = ["omdbData.json", "imageManifest.json", ".cmsSyncState.json"];
+
+const entriesFixture = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, "fixtures", "contentful", "entries.json"), "utf-8"));
+const localSlugs = fs.readdirSync(path.join(ROOT_DIR, "movies"))
+  .filter(file => file.endsWith(".md"))
+  .map(file => path.basename(file, ".md"));
+
+let siteDir;
+let outputDir;
+let build;
+
+/**
+ * Contents of a generated file
+ * @param {string} url - Site path (e.g. /movies/lagaan/)
+ * @returns {string}
+ */
+function readPage(url) {
+  return fs.readFileSync(path.join(outputDir, url.endsWith("/") ? `${url}index.html` : url), "utf-8");
+}
+
+/**
+ * Does a generated page exist?
+ * @param {string} url - Site path
+ * @returns {boolean}
+ */
+function pageExists(url) {
+  return fs.existsSync(path.join(outputDir, url.endsWith("/") ? `${url}index.html` : url));
+}
+
+describe("Eleventy build", () => {
+  before(() => {
+    siteDir = fs.mkdtempSync(path.join(os.tmpdir(), "movielog-build-"));
+    outputDir = path.join(siteDir, "_site");
+
+    fs.cpSync(ROOT_DIR, siteDir, {
+      recursive: true,
+      filter: source => {
+        const relative = path.relative(ROOT_DIR, source);
+        const [top] = relative.split(path.sep);
+        return !SKIPPED.has(top) && !/^\.env(?!\.example)/.test(path.basename(source))
+          && !(top === "_data" && SKIPPED_DATA.includes(path.basename(source)));
+      }
+    });
+    fs.symlinkSync(path.join(ROOT_DIR, "node_modules"), path.join(siteDir, "node_modules"), "dir");
+
+    // The fixture entries in two locales, as fetch-cms-data.js would save them
+    const { movies, localizedMovies } = buildMovies({
+      entries: [...entriesFixture.items, ...entriesFixture.includes.Entry],
+      assets: entriesFixture.includes.Asset
+    }, ["en-US", "fr-FR"]);
+    fs.writeFileSync(path.join(siteDir, "_data", "cmsData.json"), JSON.stringify({
+      meta: { lastSuccessAt: "2025-11-14T07:00:00.000Z", locales: ["en-US", "fr-FR"], error: null, stale: false },
+      movies,
+      localizedMovies
+    }, null, 2));
+
+    // A local copy of a Contentful film: merged, and only Contentful's page is written
+    fs.writeFileSync(path.join(siteDir, "movies", "lagaan-notes.md"), [
+      "---",
+      'title: "Lagaan"',
+      'imdbId: "tt0169102"',
+      "year: 2001",
+      "rating: 4.5",
+      'image: "/images/placeholder-poster.svg"',
+      "---",
+      "",
+      "My notes on Lagaan."
+    ].join("\n"));
+
+    // A poster file name with a `%` that isn't an escape
+    fs.renameSync(path.join(siteDir, "images", "inception.jpg"), path.join(siteDir, "images", "50%-off.jpg"));
+    const inceptionPath = path.join(siteDir, "movies", "inception.md");
+    fs.writeFileSync(inceptionPath, fs.readFileSync(inceptionPath, "utf-8").replace("/images/inception.jpg", "/images/50%-off.jpg"));
+
+    build = spawnSync(process.execPath, [path.join(ROOT_DIR, "node_modules", "@11ty", "eleventy", "cmd.js"), "--quiet"], {
+      cwd: siteDir,
+      encoding: "utf-8",
+      timeout: 180000,
+      env: { ...process.env, MOVIELOG_ENV: "dev", MOVIELOG_FIXTURES: "off", CATALOG_MERGE_STRATEGY: "cms" }
+    });
+  });
+
+  after(() => {
+    if (siteDir) fs.rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  test("builds without errors", () => {
+    assert.equal(build.status, 0, `${build.stdout}\n${build.stderr}`);
+  });
+
+  test("writes a page for every local movie at /movies/<file slug>/", () => {
+    localSlugs.forEach(slug => {
+      const { data } = matter(fs.readFileSync(path.join(siteDir, "movies", `${slug}.md`), "utf-8"));
+      assert.ok(pageExists(`/movies/${slug}/`), `/movies/${slug}/`);
+      assert.ok(readPage(`/movies/${slug}/`).includes(data.title), `${slug} shows its title`);
+    });
+  });
+
+  test("writes a page for every Contentful movie at its permalink", () => {
+    ["/movies/lagaan/", "/movies/kal-ho-naa-ho/", "/movies/chak-de-india/"].forEach(url => {
+      assert.ok(pageExists(url), url);
+    });
+
+    const lagaan = readPage("/movies/lagaan/");
+    assert.ok(lagaan.includes("Ashutosh Gowariker"));
+    assert.ok(lagaan.includes("Inspiring <b>underdog</b> tale"));
+  });
+
+  test("writes translated pages under the locale prefix", () => {
+    assert.ok(readPage("/fr-fr/movies/lagaan/").includes("Lagaan : Il était une fois en Inde"));
+    assert.ok(pageExists("/fr-fr/movies/chak-de-india/"));
+  });
+
+  test("writes one page for a film in both Contentful and movies/", () => {
+    assert.equal(pageExists("/movies/lagaan-notes/"), false);
+    assert.match(readPage("/movies/lagaan/"), /data-field-sources/);
+  });
+
+  test("lists every movie once in the API, pointing at pages that exist", () => {
+    const listing = JSON.parse(readPage("/api/v1/movies.json"));
+    const urls = listing.items.map(movie => movie.url);
+
+    assert.equal(listing.totalItems, localSlugs.length + 3);
+    assert.equal(new Set(urls).size, urls.length);
+    urls.forEach(url => assert.ok(pageExists(url), url));
+    listing.items.forEach(movie => assert.ok(pageExists(`/api/v1/movies/${movie.slug}.json`), movie.slug));
+  });
+
+  test("writes the listing, search and feed files", () => {
+    ["/", "/all-movies/", "/reviews/", "/search/", "/search-index.json", "/feed.xml", "/feed.json"].forEach(url => {
+      assert.ok(pageExists(url), url);
+    });
+    assert.ok(readPage("/").includes("Lagaan"));
+  });
+
+  test("encodes a stray % in poster URLs instead of failing", () => {
+    assert.ok(readPage("/movies/inception/").includes('src="/images/50%25-off.jpg"'));
+    assert.ok(readPage("/feed.xml").includes("/images/50%25-off.jpg"));
+  });
+
+  test("credits the feed to the site author and puts directors in the entry content", () => {
+    const feed = readPage("/feed.xml");
+    assert.equal(feed.match(/<author>/g).length, 1);
+    assert.ok(feed.includes("&lt;p&gt;Directed by Ashutosh Gowariker&lt;/p&gt;"));
+  });
+
+  test("lists viewings on movie pages with spoilers collapsed, and on the reviews timeline", () => {
+    const lagaan = readPage("/movies/lagaan/");
+    assert.ok(lagaan.includes("Viewings"));
+    assert.match(lagaan, /<details class="review-spoilers[^"]*">\s*<summary/);
+    assert.ok(lagaan.indexOf('data-review-id="mockReview2"') < lagaan.indexOf('data-review-id="mockReview1"'), "newest first");
+
+    const timeline = readPage("/reviews/");
+    assert.ok(timeline.indexOf(">2024</h2>") < timeline.indexOf(">2002</h2>"), "newest year first");
+    assert.ok(timeline.includes('data-review-id="mockReview1"'));
+    assert.ok(timeline.includes('href="/movies/lagaan/"'));
+  });
+
+  test("adds sharing tags and schema.org/Movie JSON-LD to movie pages", () => {
+    const lagaan = readPage("/movies/lagaan/");
+    assert.ok(lagaan.includes('<link rel="canonical" href="https://movielog.com/movies/lagaan/">'));
+    assert.ok(lagaan.includes('<meta property="og:image" content="https://images.ctfassets.net/mock/lagaan.webp">'));
+    assert.ok(lagaan.includes('<link rel="alternate" hreflang="fr-FR" href="https://movielog.com/fr-fr/movies/lagaan/">'));
+
+    const jsonLd = JSON.parse(lagaan.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    assert.equal(jsonLd["@type"], "Movie");
+    assert.equal(jsonLd.name, "Lagaan");
+    assert.deepEqual(jsonLd.director, [{ "@type": "Person", name: "Ashutosh Gowariker" }]);
+    assert.equal(jsonLd.datePublished, "2001");
+    assert.deepEqual(jsonLd.review.map(review => review.datePublished), ["2024-01-26", "2002-06-15"]);
+    assert.equal(jsonLd.review[0].reviewRating.bestRating, 10);
+  });
+
+  test("lists indexable pages in the sitemap and robots.txt", () => {
+    const sitemap = readPage("/sitemap.xml");
+    ["/movies/lagaan/", "/fr-fr/movies/lagaan/", `/movies/${localSlugs[0]}/`, "/genres/drama/", "/search/"].forEach(url => {
+      assert.ok(sitemap.includes(`<loc>https://movielog.com${url}</loc>`), url);
+    });
+    assert.ok(!sitemap.includes("/debug/"));
+    assert.match(readPage("/robots.txt"), /^Sitemap: https:\/\/movielog\.com\/sitemap\.xml$/m);
+  });
+});
@@ -0,0 +1,223 @@
+/*
+  File: test/fetch-cms-data.test.js
+  Description: Contentful entry mapping (buildMovies), the full refresh and the Sync API
+               client of fetch-cms-data.js, against the fixtures of the mock Contentful server
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { applySyncItems, buildMovies, fetchAllRecords, syncContentful } from "../fetch-cms-data.js";
+import { createMockContentfulServer } from "../fixtures/contentful/server.js";
+import { fromContentfulEntry, validateMovie } from "../lib/movie-model.cjs";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "contentful");
+const entriesFixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, "entries.json"), "utf-8"));
+
+// Raw records the way fetchAllRecords() collects them
+const records = {
+  entries: [...entriesFixture.items, ...entriesFixture.includes.Entry],
+  assets: entriesFixture.includes.Asset
+};
+
+/**
+ * Start a mock Contentful server on a free port
+ * @param {Object} options - createMockContentfulServer() options
+ * @returns {Promise<Object>} { server, config } with the Contentful settings pointing at it
+ */
+async function startMockContentful(options) {
+  // Real requests to the mock server, whatever .env says
+  process.env.MOVIELOG_FIXTURES = "off";
+  const server = createMockContentfulServer(options);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    server,
+    config: {
+      host: `http://127.0.0.1:${server.address().port}`,
+      spaceId: "mock",
+      accessToken: "mock",
+      environment: "master",
+      locales: ["en-US"]
+    }
+  };
+}
+
+describe("buildMovies", () => {
+  test("maps every movie entry to a valid canonical movie, newest first", () => {
+    const { movies, localizedMovies } = buildMovies(records, ["en-US"]);
+
+    assert.deepEqual(movies.map(movie => movie.title), ["Lagaan", "Kal Ho Naa Ho", "Chak De! India"]);
+    assert.deepEqual(localizedMovies, []);
+    movies.forEach(movie => assert.deepEqual(validateMovie(movie), [], movie.title));
+  });
+
+  test("resolves linked people and poster assets", () => {
+    const [lagaan] = buildMovies(records, ["en-US"]).movies;
+
+    assert.equal(lagaan.id, "mockEntry1");
+    assert.equal(lagaan.imdbId, "tt0169102");
+    assert.equal(lagaan.director, "Ashutosh Gowariker");
+    assert.deepEqual(lagaan.cast, ["Aamir Khan", "Gracy Singh"]);
+    assert.equal(lagaan.poster, "https://images.ctfassets.net/mock/lagaan.webp");
+    assert.equal(lagaan.posterAlt, "Lagaan theatrical poster");
+    assert.equal(lagaan.posters.length, 2);
+  });
+
+  test("maps plain fields, rich text and the page URL", () => {
+    const [lagaan, kalHoNaaHo] = buildMovies(records, ["en-US"]).movies;
+
+    assert.equal(kalHoNaaHo.director, "Nikkhil Advani");
+    assert.equal(kalHoNaaHo.year, 2003);
+    assert.equal(kalHoNaaHo.rating, 8);
+    assert.deepEqual(kalHoNaaHo.genres, ["Drama"]);
+    assert.equal(kalHoNaaHo.source, "contentful");
+    assert.equal(kalHoNaaHo.slug, "kal-ho-naa-ho");
+    assert.equal(kalHoNaaHo.url, "/movies/kal-ho-naa-ho/");
+
+    assert.equal(lagaan.description, "Inspiring underdog tale set in colonial India.");
+    assert.equal(lagaan.descriptionHtml, "<p>Inspiring <b>underdog</b> tale set in colonial India.</p>");
+  });
+
+  test("builds translations that share the default locale's slug", () => {
+    const { movies, localizedMovies } = buildMovies(records, ["en-US", "fr-FR"]);
+    const frenchLagaan = localizedMovies.find(movie => movie.id === "mockEntry1");
+
+    assert.equal(localizedMovies.length, movies.length);
+    assert.equal(frenchLagaan.title, "Lagaan : Il était une fois en Inde");
+    assert.equal(frenchLagaan.slug, "lagaan");
+    assert.equal(frenchLagaan.url, "/fr-fr/movies/lagaan/");
+    assert.equal(frenchLagaan.locale, "fr-FR");
+    assert.deepEqual(movies[0].translations.map(translation => translation.url), ["/movies/lagaan/", "/fr-fr/movies/lagaan/"]);
+
+    // Fields without a translation fall back to the default locale
+    const frenchKalHoNaaHo = localizedMovies.find(movie => movie.id === "mockEntry2");
+    assert.equal(frenchKalHoNaaHo.title, "Kal Ho Naa Ho");
+    assert.equal(frenchKalHoNaaHo.director, "Nikkhil Advani");
+  });
+
+  test("attaches review entries to their movie, oldest viewing first", () => {
+    const { movies, localizedMovies } = buildMovies(records, ["en-US", "fr-FR"]);
+    const [lagaan, kalHoNaaHo] = movies;
+
+    assert.deepEqual(lagaan.reviews.map(review => [review.id, review.date, review.rating]), [
+      ["mockReview1", "2002-06-15", 8],
+      ["mockReview2", "2024-01-26", 9]
+    ]);
+    assert.deepEqual(lagaan.reviews[1].tags, ["rewatch", "home"]);
+    assert.equal(lagaan.reviews[0].bodyHtml, "<p>Nearly four hours and it <strong>flies by</strong>.</p>");
+    assert.match(lagaan.reviews[1].spoilersHtml, /last ball/);
+    assert.deepEqual(kalHoNaaHo.reviews, []);
+
+    const frenchLagaan = localizedMovies.find(movie => movie.id === "mockEntry1");
+    assert.equal(frenchLagaan.reviews[1].quote, "Toujours le meilleur match de cricket jamais filmé.");
+  });
+
+  test("ignores other content types and duplicate entries", () => {
+    const { movies } = buildMovies({
+      entries: [...records.entries, entriesFixture.items[0]],
+      assets: records.assets
+    }, ["en-US"]);
+
+    assert.equal(movies.length, 3);
+    assert.ok(movies.every(movie => !movie.id.startsWith("mockPerson")));
+  });
+
+  test("escapes embedded entries and assets in rich text descriptions", () => {
+    const embed = (nodeType, linkType, id) => ({ nodeType, data: { target: { sys: { type: "Link", linkType, id } } }, content: [] });
+    const movie = fromContentfulEntry({
+      sys: { id: "escaped" },
+      fields: {
+        title: "Escaped",
+        description: {
+          nodeType: "document",
+          data: {},
+          content: [embed("embedded-entry-block", "Entry", "person"), embed("embedded-asset-block", "Asset", "still")]
+        }
+      }
+    }, {
+      entries: { person: { sys: { id: "person" }, fields: { name: "Tom & Jerry <3" } } },
+      assets: { still: { sys: { id: "still" }, fields: { title: 'Say "cheese"', file: { url: '//images.example/still.jpg?w=1&h=2"onerror="alert(1)' } } } }
+    });
+
+    assert.equal(movie.descriptionHtml, [
+      "<p>Tom &amp; Jerry &lt;3</p>",
+      '<img src="https://images.example/still.jpg?w=1&amp;h=2&quot;onerror=&quot;alert(1)" alt="Say &quot;cheese&quot;" loading="lazy">'
+    ].join(""));
+  });
+});
+
+describe("applySyncItems", () => {
+  test("counts created, updated and deleted records", () => {
+    const state = { syncToken: null, entries: {}, assets: {} };
+
+    assert.deepEqual(applySyncItems(state, [...entriesFixture.items.slice(0, 2), records.assets[0]]), { created: 3, updated: 0, deleted: 0 });
+    assert.deepEqual(applySyncItems(state, [
+      entriesFixture.items[1],
+      { sys: { type: "DeletedEntry", id: "mockEntry1" } },
+      { sys: { type: "DeletedEntry", id: "unknown" } }
+    ]), { created: 0, updated: 1, deleted: 1 });
+    assert.deepEqual(Object.keys(state.entries), ["mockEntry2"]);
+  });
+});
+
+describe("fetchAllRecords (mock Contentful server)", () => {
+  test("fetches the movies and the reviews", async () => {
+    const { server, config } = await startMockContentful();
+    try {
+      const { movies } = buildMovies(await fetchAllRecords(config), ["en-US"]);
+      assert.equal(movies.find(movie => movie.id === "mockEntry1").reviews.length, 2);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test("a space without a review content type has movies without reviews", async () => {
+    const { server, config } = await startMockContentful({ contentTypes: ["movie", "person"] });
+    try {
+      const { movies } = buildMovies(await fetchAllRecords(config), ["en-US"]);
+      assert.deepEqual(movies.map(movie => movie.id).sort(), ["mockEntry1", "mockEntry2", "mockEntry3"]);
+      movies.forEach(movie => assert.deepEqual(movie.reviews, [], movie.id));
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test("still fails when the movie content type is missing", async () => {
+    const { server, config } = await startMockContentful({ contentTypes: ["review"] });
+    try {
+      await assert.rejects(fetchAllRecords(config), /Contentful API Error: 400/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe("syncContentful (mock Contentful server)", () => {
+  let server;
+  let config;
+
+  before(async () => {
+    ({ server, config } = await startMockContentful());
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  test("follows the initial sync over both pages, then applies the next changes", async () => {
+    const state = { syncToken: null, entries: {}, assets: {} };
+
+    await syncContentful(config, state);
+    assert.equal(state.syncToken, "token-1");
+    assert.deepEqual(Object.keys(state.entries).sort(), ["mockEntry1", "mockEntry2", "mockPerson1"]);
+
+    const changes = await syncContentful(config, state);
+    assert.deepEqual(changes, { created: 1, updated: 1, deleted: 1 });
+    assert.equal(state.syncToken, "token-2");
+
+    const { movies } = buildMovies({ entries: Object.values(state.entries), assets: Object.values(state.assets) }, ["en-US"]);
+    assert.deepEqual(movies.map(movie => movie.id).sort(), ["mockEntry2", "mockEntry3"]);
+  });
+});
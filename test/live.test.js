@@ -0,0 +1,293 @@
+/*
+  File: test/live.test.js
+  Description: DOM tests of js/live.js (loadLiveMovieData, updateUI, updateUIWithError)
+               in jsdom, with the serverless function replaced by a mocked fetch
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { afterEach, describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+const LIVE_SCRIPT = fs.readFileSync(path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "js", "live.js"), "utf-8");
+
+const INCEPTION = {
+  imdbId: "tt1375666",
+  title: "Inception",
+  type: "movie",
+  imdbRating: "8.8",
+  runtime: "148 min",
+  genre: "Action, Adventure, Sci-Fi",
+  actors: "Leonardo DiCaprio, Joseph Gordon-Levitt, Elliot Page",
+  plot: "A thief who steals corporate secrets through dream-sharing technology.",
+  poster: null,
+  year: "2010",
+  director: "Christopher Nolan",
+  matchedBy: "imdbId"
+};
+
+/**
+ * Markup of a live data widget, like the "Live OMDB Data" box of layouts/movie.njk
+ * @param {Object} options - { title, imdbId, year, attributes }
+ * @returns {string}
+ */
+function widgetHtml({ title = "Inception", imdbId = "tt1375666", year = "2010", attributes = "" } = {}) {
+  return `
+    <div data-movie-title="${title}"${imdbId ? ` data-movie-imdb-id="${imdbId}"` : ""} data-movie-year="${year}"${attributes}>
+      <span data-live-field="rating">Loading...</span>
+      <span data-live-field="runtime">Loading...</span>
+      <span data-live-field="genre">Loading...</span>
+      <span data-live-field="actors">Loading...</span>
+      <span data-live-field="plot">Loading...</span>
+      <p data-live-source></p>
+    </div>`;
+}
+
+/**
+ * Mocked fetch answering like the serverless function
+ * @param {Function} respond - (url) => { status, body, contentType }
+ * @returns {Function} fetch, with the requested URLs in fetch.calls
+ */
+function mockFetch(respond) {
+  const fetch = async url => {
+    fetch.calls.push(String(url));
+    const { status = 200, body = {}, contentType = "application/json" } = respond(String(url));
+    return new Response(typeof body === "string" ? body : JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": contentType }
+    });
+  };
+  fetch.calls = [];
+  return fetch;
+}
+
+let windows = [];
+
+/**
+ * Page running js/live.js
+ * The script is evaluated after DOMContentLoaded, so each test decides when data loads.
+ * @param {string} body - Body markup
+ * @param {Function} fetch - From mockFetch()
+ * @param {Object} storage - localStorage entries to start with
+ * @returns {Promise<Window>}
+ */
+async function loadPage(body, fetch, storage = {}) {
+  const { window } = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+    url: "http://localhost:8080/movies/inception/",
+    runScripts: "outside-only",
+    virtualConsole: new VirtualConsole()
+  });
+  windows.push(window);
+
+  if (window.document.readyState === "loading") {
+    await new Promise(resolve => window.document.addEventListener("DOMContentLoaded", resolve));
+  }
+
+  window.localStorage.clear();
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  window.fetch = fetch;
+  window.eval(LIVE_SCRIPT);
+  return window;
+}
+
+/**
+ * Text of every field of a widget
+ * @param {Element} widget - Live data widget
+ * @returns {Object} { rating, runtime, genre, actors, plot }
+ */
+function fieldsOf(widget) {
+  return Object.fromEntries(Array.from(widget.querySelectorAll("[data-live-field]"))
+    .map(element => [element.getAttribute("data-live-field"), element.textContent]));
+}
+
+afterEach(() => {
+  // Also cancels the fade-in timers of updateUI()
+  windows.forEach(window => window.close());
+  windows = [];
+});
+
+describe("updateUI", () => {
+  test("fills every field and the source note", async () => {
+    const window = await loadPage(widgetHtml(), mockFetch(() => ({})));
+    const widget = window.document.querySelector("[data-movie-title]");
+
+    window.updateUI(widget, INCEPTION);
+
+    assert.deepEqual(fieldsOf(widget), {
+      rating: "⭐ 8.8/10",
+      runtime: "148 min",
+      genre: "Action, Adventure, Sci-Fi",
+      actors: "Leonardo DiCaprio, Joseph Gordon-Levitt, Elliot Page",
+      plot: INCEPTION.plot
+    });
+    assert.match(widget.querySelector("[data-live-source]").textContent, /Refreshed from OMDB/);
+  });
+
+  test("shows N/A for a movie without an IMDb rating and reveals hidden widgets", async () => {
+    const window = await loadPage(widgetHtml({ attributes: " hidden" }), mockFetch(() => ({})));
+    const widget = window.document.querySelector("[data-movie-title]");
+
+    window.updateUI(widget, { ...INCEPTION, imdbRating: "N/A" });
+
+    assert.equal(fieldsOf(widget).rating, "N/A");
+    assert.equal(widget.hidden, false);
+  });
+});
+
+describe("updateUIWithError", () => {
+  test("explains a movie OMDB doesn't know", async () => {
+    const window = await loadPage(widgetHtml(), mockFetch(() => ({})));
+    const widget = window.document.querySelector("[data-movie-title]");
+
+    window.updateUIWithError(widget, "Movie not found");
+
+    const fields = fieldsOf(widget);
+    assert.equal(fields.rating, "N/A");
+    assert.equal(fields.runtime, "N/A");
+    assert.match(fields.plot, /not available in OMDB database/);
+  });
+
+  test("explains a missing serverless function", async () => {
+    const window = await loadPage(widgetHtml(), mockFetch(() => ({})));
+    const widget = window.document.querySelector("[data-movie-title]");
+
+    window.updateUIWithError(widget, "Serverless function not available.");
+
+    assert.match(fieldsOf(widget).plot, /needs the serverless function/);
+  });
+
+  test("shows any other error message", async () => {
+    const window = await loadPage(widgetHtml(), mockFetch(() => ({})));
+    const widget = window.document.querySelector("[data-movie-title]");
+
+    window.updateUIWithError(widget, "Too many requests");
+
+    assert.equal(fieldsOf(widget).plot, "Unable to load live data: Too many requests");
+  });
+
+  test("leaves hidden widgets alone", async () => {
+    const window = await loadPage(widgetHtml({ attributes: " hidden" }), mockFetch(() => ({})));
+    const widget = window.document.querySelector("[data-movie-title]");
+
+    window.updateUIWithError(widget, "Movie not found");
+
+    assert.equal(widget.hidden, true);
+    assert.equal(fieldsOf(widget).plot, "Loading...");
+  });
+});
+
+describe("loadLiveMovieData", () => {
+  test("requests each movie once by IMDb ID and fills every widget", async () => {
+    const fetch = mockFetch(() => ({ body: INCEPTION }));
+    const window = await loadPage(widgetHtml() + widgetHtml(), fetch);
+
+    await window.loadLiveMovieData();
+
+    assert.deepEqual(fetch.calls, ["/.netlify/functions/movie?imdbId=tt1375666"]);
+    window.document.querySelectorAll("[data-movie-title]").forEach(widget => {
+      assert.equal(fieldsOf(widget).runtime, "148 min");
+    });
+  });
+
+  test("looks movies without an IMDb ID up by title and year", async () => {
+    const fetch = mockFetch(() => ({ body: { ...INCEPTION, title: "Lagaan" } }));
+    const window = await loadPage(widgetHtml({ title: "Lagaan", imdbId: "", year: "2001" }), fetch);
+
+    await window.loadLiveMovieData();
+
+    assert.deepEqual(fetch.calls, ["/.netlify/functions/movie?title=Lagaan&year=2001"]);
+  });
+
+  test("keeps results in localStorage and doesn't request them again", async () => {
+    const fetch = mockFetch(() => ({ body: INCEPTION }));
+    const window = await loadPage(widgetHtml(), fetch);
+
+    await window.loadLiveMovieData();
+    await window.loadLiveMovieData();
+
+    assert.equal(fetch.calls.length, 1);
+    const stored = JSON.parse(window.localStorage.getItem("movielog:live:v2"));
+    assert.equal(stored.tt1375666.data.title, "Inception");
+
+    // A new page (same storage) uses the cache too
+    const nextFetch = mockFetch(() => ({ body: INCEPTION }));
+    const nextWindow = await loadPage(widgetHtml(), nextFetch, { "movielog:live:v2": JSON.stringify(stored) });
+    await nextWindow.loadLiveMovieData();
+
+    assert.equal(nextFetch.calls.length, 0);
+    assert.equal(fieldsOf(nextWindow.document.querySelector("[data-movie-title]")).runtime, "148 min");
+  });
+
+  test("refreshes cached movies when forced", async () => {
+    const fetch = mockFetch(() => ({ body: INCEPTION }));
+    const window = await loadPage(widgetHtml(), fetch);
+
+    await window.loadLiveMovieData();
+    await window.loadLiveMovieData({ force: true });
+
+    assert.equal(fetch.calls.length, 2);
+  });
+
+  test("shows and caches a movie OMDB doesn't know", async () => {
+    const fetch = mockFetch(() => ({ status: 404, body: { error: "Movie not found" } }));
+    const window = await loadPage(widgetHtml(), fetch);
+
+    await window.loadLiveMovieData();
+
+    assert.match(fieldsOf(window.document.querySelector("[data-movie-title]")).plot, /not available in OMDB database/);
+    const stored = JSON.parse(window.localStorage.getItem("movielog:live:v2"));
+    assert.equal(stored.tt1375666.notFound, true);
+  });
+
+  test("explains when the serverless function isn't there", async () => {
+    const fetch = mockFetch(() => ({ status: 404, body: "<h1>Not Found</h1>", contentType: "text/html" }));
+    const window = await loadPage(widgetHtml(), fetch);
+
+    await window.loadLiveMovieData();
+
+    assert.match(fieldsOf(window.document.querySelector("[data-movie-title]")).plot, /needs the serverless function/);
+  });
+
+  test("shows the function's error message", async () => {
+    const fetch = mockFetch(() => ({
+      status: 500,
+      body: { error: "Internal server error", message: "Failed to fetch movie data. Please try again later." }
+    }));
+    const window = await loadPage(widgetHtml(), fetch);
+
+    await window.loadLiveMovieData();
+
+    assert.equal(
+      fieldsOf(window.document.querySelector("[data-movie-title]")).plot,
+      "Unable to load live data: Failed to fetch movie data. Please try again later."
+    );
+    assert.equal(window.localStorage.getItem("movielog:live:v2"), null);
+  });
+
+  test("skips widgets with fresh build-time data", async () => {
+    const fetch = mockFetch(() => ({ body: INCEPTION }));
+    const fresh = ` data-omdb-status="found" data-omdb-fetched-at="${new Date().toISOString()}" data-omdb-max-age="3600"`;
+    const window = await loadPage(widgetHtml({ attributes: fresh }), fetch);
+
+    await window.loadLiveMovieData();
+
+    assert.equal(fetch.calls.length, 0);
+  });
+
+  test("keeps stale build-time data when the refresh fails", async () => {
+    const fetch = mockFetch(() => ({ status: 500, body: { error: "Internal server error" } }));
+    const stale = ' data-omdb-status="found" data-omdb-fetched-at="2020-01-01T00:00:00.000Z" data-omdb-max-age="3600"';
+    const window = await loadPage(widgetHtml({ attributes: stale }), fetch);
+    const widget = window.document.querySelector("[data-movie-title]");
+    widget.querySelector('[data-live-field="runtime"]').textContent = "148 min";
+
+    await window.loadLiveMovieData();
+
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(fieldsOf(widget).runtime, "148 min");
+  });
+});
@@ -0,0 +1,229 @@
+/*
+  File: test/movie-function.test.js
+  Description: The OMDB serverless function (netlify/functions/movie.js) end to end,
+               with OMDB answered from recorded responses (lib/http-fixtures.cjs)
+               written to a temporary folder by each test
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import { after, beforeEach, describe, test } from "node:test";
+
+const require = createRequire(import.meta.url);
+const { fixturePath, fixtureRequest } = require("../lib/http-fixtures.cjs");
+
+const FIXTURES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "movielog-omdb-"));
+
+// The function reads its configuration once, when it is loaded
+Object.assign(process.env, {
+  MOVIELOG_ENV: "dev",
+  MOVIELOG_FIXTURES: "replay",
+  MOVIELOG_FIXTURES_DIR: FIXTURES_DIR,
+  OMDB_API_KEY: "test-omdb-key",
+  OMDB_CACHE: "memory",
+  OMDB_CACHE_TTL: "0",
+  OMDB_NEGATIVE_CACHE_TTL: "0",
+  OMDB_RATE_LIMIT: "1000"
+});
+const { handler } = require("../netlify/functions/movie.js");
+
+const INCEPTION = {
+  Title: "Inception",
+  Year: "2010",
+  Runtime: "148 min",
+  Genre: "Action, Adventure, Sci-Fi",
+  Director: "Christopher Nolan",
+  Actors: "Leonardo DiCaprio, Joseph Gordon-Levitt, Elliot Page",
+  Plot: "A thief who steals corporate secrets through dream-sharing technology is given the task of planting an idea.",
+  Poster: "N/A",
+  imdbRating: "8.8",
+  imdbVotes: "2,612,093",
+  imdbID: "tt1375666",
+  Type: "movie",
+  Response: "True"
+};
+
+/**
+ * Record what OMDB answers to a query
+ * @param {Object} query - OMDB query parameters (i, t, s, y...)
+ * @param {number} status - HTTP status
+ * @param {Object} body - OMDB response body
+ */
+function recordOmdb(query, status, body) {
+  const request = fixtureRequest(`https://www.omdbapi.com/?${new URLSearchParams({ apikey: "any", ...query })}`);
+  const filePath = fixturePath(FIXTURES_DIR, request);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    request,
+    response: { status, headers: { "content-type": "application/json" }, body }
+  }));
+}
+
+/**
+ * Call the function like Netlify does
+ * @param {Object} query - Query string parameters
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} { statusCode, headers, body, json }
+ */
+async function invoke(query, headers = {}) {
+  const response = await handler({ queryStringParameters: query, headers }, {});
+  return { ...response, json: response.body ? JSON.parse(response.body) : null };
+}
+
+describe("movie function", () => {
+  beforeEach(() => {
+    fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  });
+
+  after(() => fs.rmSync(FIXTURES_DIR, { recursive: true, force: true }));
+
+  test("400 without a title, imdbId or search", async () => {
+    const response = await invoke({});
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.error, "Invalid or missing parameters");
+    assert.equal(response.headers["Access-Control-Allow-Origin"], "*");
+  });
+
+  test("400 for malformed parameters", async () => {
+    assert.match((await invoke({ imdbId: "1375666" })).json.message, /Invalid imdbId/);
+    assert.match((await invoke({ title: "Inception", year: "10" })).json.message, /Invalid year/);
+    assert.match((await invoke({ search: "Inception", page: "0" })).json.message, /Invalid page/);
+  });
+
+  test("200 with the movie data for an IMDb ID", async () => {
+    recordOmdb({ i: "tt1375666" }, 200, INCEPTION);
+    const response = await invoke({ imdbId: "tt1375666" });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json, {
+      imdbId: "tt1375666",
+      title: "Inception",
+      type: "movie",
+      imdbRating: "8.8",
+      imdbVotes: "2,612,093",
+      runtime: "148 min",
+      genre: "Action, Adventure, Sci-Fi",
+      actors: "Leonardo DiCaprio, Joseph Gordon-Levitt, Elliot Page",
+      plot: INCEPTION.Plot,
+      poster: null,
+      year: "2010",
+      director: "Christopher Nolan",
+      matchedBy: "imdbId"
+    });
+    assert.equal(response.headers["Cache-Control"], "public, max-age=3600");
+    assert.ok(response.headers.ETag);
+  });
+
+  test("304 when the client already has the response", async () => {
+    recordOmdb({ i: "tt1375666" }, 200, INCEPTION);
+    const { headers } = await invoke({ imdbId: "tt1375666" });
+    const response = await invoke({ imdbId: "tt1375666" }, { "if-none-match": headers.ETag });
+
+    assert.equal(response.statusCode, 304);
+    assert.equal(response.body, "");
+  });
+
+  test("200 with the candidates of a search", async () => {
+    recordOmdb({ s: "Inception" }, 200, {
+      Search: [{ Title: "Inception", Year: "2010", imdbID: "tt1375666", Type: "movie", Poster: "N/A" }],
+      totalResults: "1",
+      Response: "True"
+    });
+    const response = await invoke({ search: "Inception" });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json.totalResults, 1);
+    assert.deepEqual(response.json.results, [{ imdbId: "tt1375666", title: "Inception", year: "2010", type: "movie", poster: null }]);
+  });
+
+  test("200 with no candidates when a search finds nothing", async () => {
+    recordOmdb({ s: "Nothing Like It" }, 200, { Response: "False", Error: "Movie not found!" });
+    const response = await invoke({ search: "Nothing Like It" });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json.results, []);
+    assert.equal(response.json.message, "Movie not found!");
+  });
+
+  test("400 when a search matches too many titles", async () => {
+    recordOmdb({ s: "a" }, 200, { Response: "False", Error: "Too many results." });
+    const response = await invoke({ search: "a" });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.error, "Search too broad");
+  });
+
+  test("502, not cached, when OMDB answers a search with an error", async () => {
+    recordOmdb({ s: "Inception", y: "2010" }, 200, { Response: "False", Error: "Request limit reached!" });
+    const response = await invoke({ search: "Inception", year: "2010" });
+
+    assert.equal(response.statusCode, 502);
+    assert.equal(response.json.error, "OMDB error");
+    assert.match(response.json.message, /Request limit reached!/);
+    assert.equal(response.headers["Cache-Control"], "no-store");
+  });
+
+  test("404 when OMDB doesn't know the movie", async () => {
+    recordOmdb({ i: "tt0000001" }, 200, { Response: "False", Error: "Incorrect IMDb ID." });
+    const response = await invoke({ imdbId: "tt0000001" });
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.json.error, "Movie not found");
+    assert.match(response.json.message, /tt0000001/);
+  });
+
+  test("404 when no title variant or search candidate matches", async () => {
+    recordOmdb({ t: "Unknown Film", y: "1999" }, 200, { Response: "False", Error: "Movie not found!" });
+    recordOmdb({ s: "Unknown Film", y: "1999" }, 200, { Response: "False", Error: "Movie not found!" });
+    const response = await invoke({ title: "Unknown Film", year: "1999" });
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.json.error, "Movie not found");
+  });
+
+  test("502, not cached, when OMDB answers an IMDb ID lookup with an error", async () => {
+    recordOmdb({ i: "tt0468569" }, 200, { Response: "False", Error: "Invalid API key!" });
+    const response = await invoke({ imdbId: "tt0468569" });
+
+    assert.equal(response.statusCode, 502);
+    assert.equal(response.json.error, "OMDB error");
+    assert.match(response.json.message, /Invalid API key!/);
+    assert.equal(response.headers["Cache-Control"], "no-store");
+  });
+
+  test("502, not cached, when OMDB answers a title lookup with an error", async () => {
+    recordOmdb({ t: "Heat", y: "1995" }, 200, { Response: "False", Error: "Request limit reached!" });
+    const response = await invoke({ title: "Heat", year: "1995" });
+
+    assert.equal(response.statusCode, 502);
+    assert.match(response.json.message, /Request limit reached!/);
+    assert.equal(response.headers["Cache-Control"], "no-store");
+  });
+
+  test("500 when OMDB fails, without leaking the API key", async () => {
+    recordOmdb({ i: "tt1375666" }, 503, { Error: "Service unavailable" });
+    const response = await invoke({ imdbId: "tt1375666" });
+
+    assert.equal(response.statusCode, 500);
+    assert.equal(response.json.error, "Internal server error");
+    assert.match(response.json.details, /OMDB API returned status 503/);
+    assert.ok(!response.body.includes("test-omdb-key"));
+  });
+
+  test("503 naming the request to record when a replayed lookup was never recorded", async () => {
+    const response = await invoke({ title: "Unrecorded Movie", year: "2010" });
+
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.json.error, "No recorded response");
+    assert.match(response.json.message, /GET https:\/\/www\.omdbapi\.com\/\?t=Unrecorded\+Movie&y=2010/);
+    assert.match(response.json.message, /npm run record-fixtures/);
+    assert.equal(response.headers["Cache-Control"], "no-store");
+  });
+});
@@ -0,0 +1,76 @@
+/*
+  File: test/movie-merge.test.js
+  Description: Merging a film that is in both Contentful and movies/ (lib/movie-merge.cjs),
+               in particular how the `fields` strategy combines reviews
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import { describe, test } from "node:test";
+
+const require = createRequire(import.meta.url);
+const { createMovie, createReview } = require("../lib/movie-model.cjs");
+const { mergePair } = require("../lib/movie-merge.cjs");
+
+/**
+ * Canonical Lagaan from one source
+ * @param {string} source - "contentful" or "local"
+ * @param {Object[]} reviews - [{ date, quote }]
+ * @param {Object} fields - Other fields
+ * @returns {Object}
+ */
+function lagaan(source, reviews, fields = {}) {
+  return createMovie({
+    id: `${source}-lagaan`,
+    slug: "lagaan",
+    title: "Lagaan",
+    imdbId: "tt0169102",
+    year: 2001,
+    source,
+    reviews: reviews.map((review, index) => createReview({ id: `${source}-${index + 1}`, ...review })),
+    ...fields
+  });
+}
+
+describe("mergePair", () => {
+  test("fields strategy: fills empty CMS fields from the local file", () => {
+    const movie = mergePair(lagaan("contentful", []), lagaan("local", [], { director: "Ashutosh Gowariker", rating: 9 }), "fields");
+
+    assert.equal(movie.director, "Ashutosh Gowariker");
+    assert.equal(movie.rating, 9);
+    assert.equal(movie.fieldSources.director, "local");
+    assert.equal(movie.fieldSources.title, "contentful");
+    assert.deepEqual(movie.mergedFrom.map(origin => origin.source), ["contentful", "local"]);
+  });
+
+  test("fields strategy: keeps the viewings of both, one per date, oldest first", () => {
+    const cms = lagaan("contentful", [{ date: "2002-06-15", quote: "CMS first watch" }, { date: "2024-01-26", quote: "CMS rewatch" }]);
+    const local = lagaan("local", [{ date: "2010-08-15", quote: "Local rewatch" }, { date: "2024-01-26", quote: "Local notes" }]);
+    const movie = mergePair(cms, local, "fields");
+
+    assert.deepEqual(movie.reviews.map(review => [review.date, review.quote]), [
+      ["2002-06-15", "CMS first watch"],
+      ["2010-08-15", "Local rewatch"],
+      ["2024-01-26", "CMS rewatch"]
+    ]);
+    assert.equal(movie.fieldSources.reviews, "both");
+  });
+
+  test("fields strategy: reviews of one movie only are credited to it", () => {
+    const local = lagaan("local", [{ date: "2010-08-15", quote: "Local rewatch" }]);
+
+    assert.equal(mergePair(lagaan("contentful", []), local, "fields").fieldSources.reviews, "local");
+    assert.equal(mergePair(lagaan("contentful", [{ date: "2010-08-15", quote: "Same day" }]), local, "fields").fieldSources.reviews, "contentful");
+  });
+
+  test("cms and local strategies use the winner's reviews as they are", () => {
+    const cms = lagaan("contentful", [{ date: "2002-06-15", quote: "CMS first watch" }]);
+    const local = lagaan("local", [{ date: "2010-08-15", quote: "Local rewatch" }]);
+
+    assert.deepEqual(mergePair(cms, local, "cms").reviews.map(review => review.date), ["2002-06-15"]);
+    assert.deepEqual(mergePair(cms, local, "local").reviews.map(review => review.date), ["2010-08-15"]);
+    assert.equal(mergePair(cms, local, "local").fieldSources.reviews, "local");
+  });
+});
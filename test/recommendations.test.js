@@ -0,0 +1,132 @@
+/*
+  File: test/recommendations.test.js
+  Description: "More like this" scoring and ranking (lib/recommendations.cjs):
+               scorePair, buildRecommendations and becauseYouLiked
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import { describe, test } from "node:test";
+
+const require = createRequire(import.meta.url);
+const { createMovie } = require("../lib/movie-model.cjs");
+const { WEIGHTS, becauseYouLiked, buildRecommendations, scorePair, toProfile } = require("../lib/recommendations.cjs");
+
+/**
+ * Canonical local movie with only the fields the scoring looks at
+ * @param {Object} fields - title, year, director, genres, rating (out of 10), imdbId, cast
+ * @returns {Object}
+ */
+function movie(fields) {
+  return createMovie({ source: "local", ...fields });
+}
+
+/**
+ * _data/omdbData.json with OMDB actors for some movies
+ * @param {Object} actorsById - IMDb ID -> "Actor One, Actor Two"
+ * @returns {Object}
+ */
+function omdbData(actorsById) {
+  const entries = {};
+  Object.entries(actorsById).forEach(([imdbId, actors]) => {
+    entries[imdbId] = { key: imdbId, status: "found", fetchedAt: "2026-10-01T00:00:00.000Z", data: { actors } };
+  });
+  return { meta: { maxAge: 604800 }, entries };
+}
+
+/**
+ * Slugs recommended for a movie, best first
+ * @param {Map<string, Object[]>} recommendations - From buildRecommendations()
+ * @param {string} slug - Movie slug
+ * @returns {string[]}
+ */
+function slugsFor(recommendations, slug) {
+  return recommendations.get(slug).map(match => match.movie.slug);
+}
+
+const heat = movie({ title: "Heat", year: 1995, director: "Michael Mann", genres: "Crime, Drama", rating: 9 });
+const collateral = movie({ title: "Collateral", year: 2004, director: "Michael Mann", genres: "Crime, Thriller", rating: 8 });
+const casino = movie({ title: "Casino", year: 1995, director: "Martin Scorsese", genres: "Crime, Drama", rating: 8 });
+const seven = movie({ title: "Se7en", year: 1995, director: "David Fincher", genres: "Thriller", rating: 9 });
+const up = movie({ title: "Up", year: 2009, director: "Pete Docter", genres: "Animation", rating: 9 });
+
+describe("scorePair", () => {
+  test("scores shared genres, director, decade and rating, with a reason for each", () => {
+    const { score, reasons } = scorePair(toProfile(heat), toProfile(casino));
+
+    assert.equal(score, 2 * WEIGHTS.genre + WEIGHTS.decade + 0.75 * WEIGHTS.rating);
+    assert.deepEqual(reasons, ["Crime", "Drama", "From the 1990s", "Similar rating"]);
+    assert.deepEqual(scorePair(toProfile(heat), toProfile(collateral)).reasons.slice(0, 2), ["Directed by Michael Mann", "Crime"]);
+  });
+
+  test("a shared decade or rating alone doesn't make movies related", () => {
+    assert.deepEqual(scorePair(toProfile(seven), toProfile(up)), { score: 0, reasons: [] });
+    assert.deepEqual(scorePair(toProfile(heat), toProfile(movie({ title: "Toy Story", year: 1995, genres: "Animation", rating: 9 }))), { score: 0, reasons: [] });
+  });
+});
+
+describe("buildRecommendations", () => {
+  test("ranks the best matches first and leaves out unrelated movies", () => {
+    const recommendations = buildRecommendations([heat, collateral, casino, seven, up]);
+
+    // Casino: two genres, decade, close rating; Collateral: director and one genre
+    assert.deepEqual(slugsFor(recommendations, "heat"), ["casino", "collateral"]);
+    assert.deepEqual(slugsFor(recommendations, "up"), []);
+    recommendations.get("heat").forEach((match, index, matches) => {
+      if (index > 0) assert.ok(matches[index - 1].score >= match.score);
+    });
+  });
+
+  test("breaks ties between equal scores and years by title", () => {
+    const drive = movie({ title: "Drive", year: 2011, genres: "Crime", rating: 8 });
+    const twins = ["Zodiac", "Brick", "Memento"].map(title => movie({ title, year: 2011, genres: "Crime", rating: 8 }));
+
+    const recommendations = buildRecommendations([drive, ...twins]);
+    assert.deepEqual(slugsFor(recommendations, "drive"), ["brick", "memento", "zodiac"]);
+
+    // Same result whatever the input order
+    assert.deepEqual(slugsFor(buildRecommendations([...twins].reverse().concat(drive)), "drive"), ["brick", "memento", "zodiac"]);
+  });
+
+  test("honours the limit", () => {
+    const recommendations = buildRecommendations([heat, collateral, casino, seven, up], { limit: 1 });
+    assert.deepEqual(slugsFor(recommendations, "heat"), ["casino"]);
+  });
+
+  test("OMDB actors from omdbData.json add to the score and can change the order", () => {
+    const insider = movie({ title: "The Insider", year: 1999, imdbId: "tt0140352", genres: "Drama", rating: 8 });
+    const godfather = movie({ title: "The Godfather Part II", year: 1974, imdbId: "tt0071562", genres: "Drama", rating: 9 });
+    const scarface = movie({ title: "Scarface", year: 1983, imdbId: "tt0086250", genres: "Drama", rating: 8 });
+    const movies = [insider, godfather, scarface];
+
+    // Without OMDB data Scarface wins on rating
+    const plain = buildRecommendations(movies);
+    assert.deepEqual(slugsFor(plain, "the-insider"), ["scarface", "the-godfather-part-ii"]);
+
+    const enriched = buildRecommendations(movies, {
+      omdbData: omdbData({
+        tt0140352: "Al Pacino, Russell Crowe, Christopher Plummer",
+        tt0071562: "Al Pacino, Robert De Niro, Robert Duvall",
+        tt0086250: "N/A"
+      })
+    });
+    const [first] = enriched.get("the-insider");
+    assert.deepEqual(slugsFor(enriched, "the-insider"), ["the-godfather-part-ii", "scarface"]);
+    assert.ok(first.reasons.includes("With Al Pacino"));
+    assert.equal(first.score, plain.get("the-insider").find(match => match.movie.slug === "the-godfather-part-ii").score + WEIGHTS.actor);
+  });
+});
+
+describe("becauseYouLiked", () => {
+  test("picks the highest rated movies and never shows a movie twice", () => {
+    const movies = [heat, collateral, casino, seven, up];
+    const sections = becauseYouLiked(movies, buildRecommendations(movies));
+    const shown = sections.flatMap(section => [section.movie.slug, ...section.recommendations.map(match => match.movie.slug)]);
+
+    assert.equal(sections[0].movie.slug, "heat");
+    assert.equal(new Set(shown).size, shown.length);
+    sections.forEach(section => assert.ok(section.recommendations.length > 0, section.movie.slug));
+  });
+});
@@ -0,0 +1,71 @@
+/*
+  File: test/response-cache.test.js
+  Description: The tiered OMDB response cache (lib/response-cache.cjs createTieredCache):
+               hits in a slower tier are copied into the faster ones without outliving
+               the TTL they were stored with
+  Author: Sai Trivedi
+  Date: 2026-10-19
+*/
+
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import { describe, test } from "node:test";
+
+const require = createRequire(import.meta.url);
+const { createMemoryCache, createTieredCache } = require("../lib/response-cache.cjs");
+
+/**
+ * Memory cache that remembers the TTL of every set()
+ * @returns {Object} Cache adapter with a `ttls` list
+ */
+function recordingCache() {
+  const cache = createMemoryCache();
+  const ttls = [];
+  return {
+    ...cache,
+    ttls,
+    async set(key, value, ttlSeconds) {
+      ttls.push(ttlSeconds);
+      await cache.set(key, value, ttlSeconds);
+    }
+  };
+}
+
+describe("createTieredCache", () => {
+  test("stores in every tier and reads the fastest one", async () => {
+    const [fast, slow] = [recordingCache(), recordingCache()];
+    const cache = createTieredCache([fast, slow]);
+
+    await cache.set("movie", { statusCode: 200 }, 3600);
+    assert.deepEqual(await cache.get("movie"), { statusCode: 200 });
+    assert.deepEqual([fast.ttls, slow.ttls], [[3600], [3600]]);
+    assert.equal(cache.name, "memory+memory");
+  });
+
+  test("backfills the faster tier for at most backfillTtl", async () => {
+    const [fast, slow] = [recordingCache(), recordingCache()];
+    await createTieredCache([slow]).set("movie", { statusCode: 200 }, 86400);
+
+    const cache = createTieredCache([fast, slow], { backfillTtl: 300 });
+    assert.deepEqual(await cache.get("movie"), { statusCode: 200 });
+    assert.deepEqual(fast.ttls, [300]);
+    assert.deepEqual(await fast.get("movie").then(entry => entry.value), { statusCode: 200 });
+  });
+
+  test("never backfills past the original expiry, e.g. of a negative-cached 404", async () => {
+    const [fast, slow] = [recordingCache(), recordingCache()];
+    await createTieredCache([slow]).set("missing", { statusCode: 404 }, 60);
+
+    const cache = createTieredCache([fast, slow], { backfillTtl: 300 });
+    assert.deepEqual(await cache.get("missing"), { statusCode: 404 });
+    assert.equal(fast.ttls.length, 1);
+    assert.ok(fast.ttls[0] <= 60 && fast.ttls[0] > 59, `backfilled for ${fast.ttls[0]}s`);
+  });
+
+  test("treats an expired entry as a miss", async () => {
+    const slow = createMemoryCache();
+    await slow.set("old", { value: { statusCode: 200 }, expiresAt: Date.now() - 1000 }, 60);
+
+    assert.equal(await createTieredCache([createMemoryCache(), slow]).get("old"), null);
+  });
+});